@@ -1,10 +1,26 @@
 const cors = require('cors');
 
+// Comma-separated list of origins allowed to call the API, e.g.
+// "http://localhost:5173,https://notes.example.com". Unset or "*" allows all origins.
+const allowedOrigins = (process.env.CORS_ORIGINS || '*')
+  .split(',')
+  .map((origin) => origin.trim().replace(/\/+$/, ''))
+  .filter(Boolean);
+
+const allowAllOrigins = allowedOrigins.includes('*');
+
+// Requests without an Origin header (curl, server-to-server) are not subject to CORS
+const isOriginAllowed = (origin) =>
+  !origin || allowAllOrigins || allowedOrigins.includes(origin.replace(/\/+$/, ''));
+
 const corsOptions = {
-  origin: '*', // Allow all origins
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-  credentials: false, // Set to false when allowing all origins
+  origin: allowAllOrigins ? '*' : (origin, callback) => callback(null, isOriginAllowed(origin)),
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'If-Match', 'Range'],
+  // ETag is needed by clients for optimistic concurrency on note writes, the others for
+  // streaming attachments
+  exposedHeaders: ['ETag', 'Accept-Ranges', 'Content-Range', 'Content-Length'],
+  credentials: false, // Authentication uses bearer tokens, not cookies
   optionsSuccessStatus: 200 // For legacy browser support
 };
 
@@ -12,5 +28,6 @@ const corsMiddleware = cors(corsOptions);
 
 module.exports = {
   corsOptions,
-  corsMiddleware
+  corsMiddleware,
+  isOriginAllowed
 };
@@ -1,46 +1,517 @@
+const crypto = require('crypto');
 const express = require('express');
 const fs = require('fs').promises;
 const path = require('path');
 const http = require('http');
 const WebSocket = require('ws');
-const { corsMiddleware } = require('./config/cors');
+const { corsMiddleware, isOriginAllowed } = require('./config/cors');
+const { EVERYONE, createAccessControl, isValidPermission } = require('./services/acl');
+const {
+  contentTypeOf,
+  isAttachment,
+  isImage,
+  receiveAttachments,
+  toRelativeLink
+} = require('./services/attachments');
+const { createAuth, getBearerToken, parseCredentialList } = require('./services/auth');
+const { createBackups, parseInterval } = require('./services/backups');
+const { createChangeLog } = require('./services/change-log');
+const { createCollaboration } = require('./services/collab');
+const {
+  createDailyNotes,
+  isValidDailyNoteFormat,
+  isValidDate,
+  today
+} = require('./services/daily');
+const {
+  createCollectionRegistry,
+  isValidCollectionName,
+  normalizeCollectionName
+} = require('./services/collections');
+const { computeEtag, ifMatchSatisfied, withFileLock } = require('./services/concurrency');
+const { diffLines } = require('./services/diff');
+const { EXPORT_FORMATS, createArchive, createSite } = require('./services/export');
+const { exists } = require('./services/files');
+const {
+  createPropertyIndex,
+  matchesPropertyFilter,
+  parseFrontmatter,
+  parsePropertyFilter,
+  setProperty
+} = require('./services/frontmatter');
+const { createGitStorage, parseSyncInterval } = require('./services/git-storage');
+const { createVersionStore } = require('./services/history');
+const { createPresence } = require('./services/presence');
+const { escapeRegExp, searchDirectory } = require('./services/search');
+const { createLinkIndex } = require('./services/link-index');
+const { createSearchIndex } = require('./services/search-index');
+const {
+  createTagIndex,
+  isTagWithin,
+  isValidTag,
+  normalizeTag,
+  renameTag
+} = require('./services/tags');
+const { createTaskIndex, parseTasks, setTaskDone } = require('./services/tasks');
+const { createTemplates, renderTemplate } = require('./services/templates');
+const { importArchive } = require('./services/import');
+const { createTrash } = require('./services/trash');
+const { createVolumeWatcher } = require('./services/watcher');
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
 
 const PORT = process.env.PORT || 3000;
 const VOLUME_PATH = process.env.VOLUME_PATH || './Haptic';
 const ROOT_NAME = process.env.ROOT_NAME || 'Haptic';
+// Directory that holds the directories of collections created through the API
+const COLLECTIONS_PATH =
+  process.env.COLLECTIONS_PATH || path.join(path.dirname(path.resolve(VOLUME_PATH)), 'Collections');
+const COLLECTIONS_FILE =
+  process.env.COLLECTIONS_FILE || path.join(VOLUME_PATH, '.haptic', 'collections.json');
+// Durable log of the changes broadcast to clients, which clients catch up from after they were
+// disconnected (GET /changes, WebSocket resume); only the newest CHANGE_LOG_MAX_ENTRIES are kept
+const CHANGE_LOG_FILE =
+  process.env.CHANGE_LOG_FILE || path.join(VOLUME_PATH, '.haptic', 'changes.jsonl');
+const CHANGE_LOG_MAX_ENTRIES = parseInt(process.env.CHANGE_LOG_MAX_ENTRIES, 10) || 10000;
+// Clients that missed more changes than this over the WebSocket have to resync instead
+const CHANGE_REPLAY_LIMIT = 1000;
+const WATCH_VOLUME = process.env.WATCH_VOLUME !== 'false';
+const WATCH_DEBOUNCE_MS = parseInt(process.env.WATCH_DEBOUNCE_MS, 10) || 300;
+// Retention of note versions: number of versions per note and maximum age (0 = unlimited)
+const HISTORY_MAX_VERSIONS = parseInt(process.env.HISTORY_MAX_VERSIONS ?? '50', 10);
+const HISTORY_MAX_AGE_DAYS = parseInt(process.env.HISTORY_MAX_AGE_DAYS ?? '30', 10);
+// How DELETE /markdown handles items when the request doesn't say: 'haptic' moves them to the
+// collection's trash, 'delete' removes them permanently
+const TRASH_MODE = process.env.TRASH_MODE || 'haptic';
+// Items in the trash are purged automatically after this many days (0 = never)
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS ?? '30', 10);
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+// Scheduled backups of VOLUME_PATH (the schedule can be changed through the API). The interval
+// is a number of hours, days, weeks or months: "12h", "1d", "1w", "1m"
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(VOLUME_PATH, '.haptic', 'backups');
+const BACKUPS_ENABLED = process.env.BACKUPS_ENABLED === 'true';
+const BACKUP_INTERVAL = process.env.BACKUP_INTERVAL || '1w';
+// Number of backups to keep (0: all) and age after which they are deleted (0: never)
+const BACKUP_KEEP_COUNT = parseInt(process.env.BACKUP_KEEP_COUNT ?? '10', 10);
+const BACKUP_MAX_AGE_DAYS = parseInt(process.env.BACKUP_MAX_AGE_DAYS ?? '0', 10);
+const BACKUP_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+// Git-backed storage: VOLUME_PATH becomes a git repository in which every change is committed
+// once nothing changed for GIT_COMMIT_DELAY_MS. With a remote (a URL or the path of a bare
+// repository) the server pulls and pushes every GIT_SYNC_INTERVAL ("5m", "1h", ...) while auto
+// sync is enabled (it can be changed through the API)
+const GIT_STORAGE = process.env.GIT_STORAGE === 'true';
+const GIT_REMOTE = process.env.GIT_REMOTE || null;
+const GIT_BRANCH = process.env.GIT_BRANCH || 'main';
+const GIT_COMMIT_DELAY_MS = parseInt(process.env.GIT_COMMIT_DELAY_MS, 10) || 10 * 1000;
+const GIT_AUTO_SYNC = process.env.GIT_AUTO_SYNC !== 'false';
+const GIT_SYNC_INTERVAL = process.env.GIT_SYNC_INTERVAL || '5m';
+const GIT_AUTHOR_NAME = process.env.GIT_AUTHOR_NAME || 'Haptic';
+const GIT_AUTHOR_EMAIL = process.env.GIT_AUTHOR_EMAIL || 'haptic@localhost';
+// Credentials: comma-separated "name:key" API keys and "username:password" users. Without any
+// credentials authentication is disabled
+const API_KEYS = parseCredentialList(process.env.API_KEYS);
+const AUTH_USERS = parseCredentialList(process.env.AUTH_USERS).filter(({ name }) => name);
+// Secret used to sign session tokens; a random one invalidates all sessions on restart
+const AUTH_SECRET = process.env.AUTH_SECRET;
+const AUTH_TOKEN_TTL_HOURS = parseInt(process.env.AUTH_TOKEN_TTL_HOURS, 10) || 24;
+// Accounts created through the API
+const USERS_FILE =
+  process.env.USERS_FILE || path.join(path.dirname(COLLECTIONS_FILE), 'users.json');
+// Comma-separated usernames that may manage accounts and have every permission
+const ADMIN_USERS = (process.env.ADMIN_USERS || '')
+  .split(',')
+  .map((username) => username.trim())
+  .filter(Boolean);
+// Permission of users on paths without an access control rule: 'none', 'read', 'write' or 'admin'
+const ACL_DEFAULT_PERMISSION = isValidPermission(process.env.ACL_DEFAULT_PERMISSION)
+  ? process.env.ACL_DEFAULT_PERMISSION
+  : 'write';
+// Collaborative edits are written to the note at most this often
+const COLLAB_PERSIST_DELAY_MS = parseInt(process.env.COLLAB_PERSIST_DELAY_MS, 10) || 1000;
+// How often presence entries of sockets that went away without closing are removed
+const PRESENCE_SWEEP_INTERVAL_MS = 30 * 1000;
+// How often WebSocket clients are pinged; clients that don't answer until the next ping are
+// disconnected
+const WS_HEARTBEAT_INTERVAL_MS = parseInt(process.env.WS_HEARTBEAT_INTERVAL_MS, 10) || 30 * 1000;
+// Uploaded attachments are stored in a folder of this name next to the note they belong to
+const ATTACHMENTS_DIR = process.env.ATTACHMENTS_DIR || 'attachments';
+const ATTACHMENT_MAX_MB = parseInt(process.env.ATTACHMENT_MAX_MB, 10) || 50;
+// Largest ZIP archive that can be imported; files in it may be at most ATTACHMENT_MAX_MB
+const IMPORT_MAX_MB = parseInt(process.env.IMPORT_MAX_MB, 10) || 500;
+// Folder of the daily notes in every collection (relative to it). Keep it out of ".haptic",
+// which holds the server's data
+const DAILY_NOTES_DIR = process.env.DAILY_NOTES_DIR || 'Daily';
+// File name of a daily note (without ".md") with the date as YYYY, MM and DD, e.g. "YYYY/MM-DD"
+const DAILY_NOTE_FORMAT = isValidDailyNoteFormat(process.env.DAILY_NOTE_FORMAT)
+  ? process.env.DAILY_NOTE_FORMAT
+  : 'YYYY-MM-DD';
+// Note (relative to the collection) that new daily notes are created from, if any
+const DAILY_NOTE_TEMPLATE = process.env.DAILY_NOTE_TEMPLATE || null;
+// Folder of the note templates in every collection
+const TEMPLATES_DIR = process.env.TEMPLATES_DIR || 'Templates';
+
+const auth = createAuth({
+  apiKeys: API_KEYS,
+  users: AUTH_USERS,
+  usersFile: USERS_FILE,
+  adminUsers: ADMIN_USERS,
+  secret: AUTH_SECRET,
+  tokenTtlMs: AUTH_TOKEN_TTL_HOURS * 60 * 60 * 1000
+});
+const authReady = auth.initialize();
+
+// Registry of served collections; ROOT_NAME / VOLUME_PATH is the default collection
+const collectionRegistry = createCollectionRegistry({
+  registryFile: COLLECTIONS_FILE,
+  defaultCollection: { name: ROOT_NAME, directory: VOLUME_PATH }
+});
+
+// Open collections by name: { name, root, searchIndex, linkIndex, tasks, properties, tags,
+// daily, templates, history, trash, acl, collab, watcher }
+const collections = new Map();
 
 // Middleware
 app.use(corsMiddleware); // Enable CORS for all routes
 app.use(express.json({ limit: '10mb' }));
 
 // Create data directory if it doesn't exist
-const ensureDataDirectory = async () => {
+const ensureDataDirectory = async (directory) => {
   try {
-    await fs.mkdir(VOLUME_PATH, { recursive: true });
+    await fs.mkdir(directory, { recursive: true });
   } catch (error) {
     console.error('Error creating data directory:', error);
   }
 };
 
-ensureDataDirectory();
+// Drop the version history and access rules of trash items that were deleted for good, unless
+// their original path has been taken again in the meantime
+const forgetPurgedItems = async (collection, purged) => {
+  for (const item of purged) {
+    const fsPath = path.join(collection.root, item.originalPath);
+    if (await exists(fsPath)) continue;
+
+    await collection.history.removePath(fsPath);
+    await collection.acl.removePath(fsPath);
+  }
+};
+
+// Permanently delete the trash items of a collection that are past the retention period
+const purgeExpiredTrash = async (collection) => {
+  try {
+    const purged = await collection.trash.purgeExpired();
+    await forgetPurgedItems(collection, purged);
+    if (purged.length > 0) {
+      console.log(`Purged ${purged.length} expired trash item(s) from ${collection.name}`);
+    }
+  } catch (error) {
+    console.error(`Error purging the trash of ${collection.name}:`, error);
+  }
+};
+
+setInterval(() => {
+  for (const collection of collections.values()) purgeExpiredTrash(collection);
+}, TRASH_PURGE_INTERVAL_MS).unref();
+
+// Start serving a collection: create its directory, bring its full-text search index and link
+// graph (persisted under "<directory>/.haptic") up to date, load its version history, trash and
+// access control rules, host its collaborative editing rooms and watch it for changes made
+// outside of the API (editors, git pulls, sync tools, ...)
+const openCollection = async ({ name, directory }) => {
+  const root = path.resolve(directory);
+  await ensureDataDirectory(root);
+
+  const collection = {
+    name,
+    root,
+    searchIndex: createSearchIndex(root),
+    linkIndex: createLinkIndex(root),
+    tasks: createTaskIndex(root),
+    properties: createPropertyIndex(root),
+    tags: createTagIndex(root),
+    daily: createDailyNotes(root, {
+      directory: DAILY_NOTES_DIR,
+      format: DAILY_NOTE_FORMAT,
+      template: DAILY_NOTE_TEMPLATE
+    }),
+    templates: createTemplates(root, { directory: TEMPLATES_DIR }),
+    history: createVersionStore(root, {
+      maxVersions: HISTORY_MAX_VERSIONS,
+      maxAgeDays: HISTORY_MAX_AGE_DAYS
+    }),
+    trash: createTrash(root, { retentionDays: TRASH_RETENTION_DAYS }),
+    acl: createAccessControl(root, { defaultPermission: ACL_DEFAULT_PERMISSION })
+  };
+  collection.collab = createCollaboration(root, {
+    persistDelayMs: COLLAB_PERSIST_DELAY_MS,
+    save: (fsPath, markdown) => saveCollaborativeEdits(collection, fsPath, markdown),
+    send: (client, type, fsPath, payload) =>
+      sendToClient(client, {
+        type,
+        collection: name,
+        path: toApiPath(collection, path.relative(root, fsPath)),
+        ...payload
+      })
+  });
+  collection.watcher = createVolumeWatcher(root, {
+    debounceMs: WATCH_DEBOUNCE_MS,
+    onChange: (change) => handleExternalChange(collection, change)
+  });
+  collections.set(name, collection);
+
+  await collection.searchIndex.initialize();
+  await collection.linkIndex.initialize();
+  await collection.history.initialize();
+  await collection.trash.initialize();
+  await collection.acl.initialize();
+  await purgeExpiredTrash(collection);
+  if (WATCH_VOLUME) await collection.watcher.start();
+
+  return collection;
+};
+
+const closeCollection = (name) => {
+  const collection = collections.get(name);
+  if (!collection) return;
+
+  collection.watcher.stop();
+  collection.collab.close();
+  collections.delete(name);
+};
+
+const backups = createBackups(VOLUME_PATH, {
+  backupDir: BACKUP_DIR,
+  enabled: BACKUPS_ENABLED,
+  interval: BACKUP_INTERVAL,
+  keepCount: BACKUP_KEEP_COUNT,
+  maxAgeDays: BACKUP_MAX_AGE_DAYS
+});
+
+// Create a scheduled backup of VOLUME_PATH if one is due
+const runScheduledBackup = async () => {
+  try {
+    const backup = await backups.runIfDue();
+    if (backup) console.log(`Scheduled backup created: ${backup.fileName}`);
+  } catch (error) {
+    console.error('Error creating scheduled backup:', error);
+  }
+};
+
+const backupsReady = backups.initialize().then(runScheduledBackup);
+setInterval(runScheduledBackup, BACKUP_CHECK_INTERVAL_MS).unref();
+
+// Apply the changes a git sync pulled into the default collection like external changes
+const applyPulledChanges = async (changes) => {
+  await collectionsReady;
+  const collection = collections.get(ROOT_NAME);
+
+  for (const { changeType, path: relativePath } of changes) {
+    const fsPath = path.join(collection.root, ...relativePath.split('/'));
+
+    // Collaborators continue from the merged file
+    collection.collab.discard(fsPath);
+    if (changeType === 'deleted') {
+      collection.searchIndex.removePath(fsPath);
+      collection.linkIndex.removePath(fsPath);
+    } else {
+      collection.searchIndex.updateFile(fsPath);
+      collection.linkIndex.updateFile(fsPath);
+    }
+    collection.watcher.sync(fsPath);
+
+    broadcastChange(collection.name, changeType, toApiPath(collection, relativePath));
+  }
+  console.log(`Applied ${changes.length} change(s) pulled from ${GIT_REMOTE}`);
+};
+
+// Tell the clients of the default collection about the state of the git storage, e.g. that a
+// sync ran into a merge conflict
+const broadcastGitStatus = (status) => {
+  clients.forEach((client) => {
+    if (client.collection !== ROOT_NAME) return;
+    sendToClient(client, { type: 'git_status', collection: ROOT_NAME, ...status });
+  });
+};
+
+const gitStorage = GIT_STORAGE
+  ? createGitStorage(VOLUME_PATH, {
+      remote: GIT_REMOTE,
+      branch: GIT_BRANCH,
+      commitDelayMs: GIT_COMMIT_DELAY_MS,
+      autoSync: GIT_AUTO_SYNC,
+      syncInterval: GIT_SYNC_INTERVAL,
+      authorName: GIT_AUTHOR_NAME,
+      authorEmail: GIT_AUTHOR_EMAIL,
+      onPulled: (changes) =>
+        applyPulledChanges(changes).catch((error) =>
+          console.error('Error applying pulled changes:', error)
+        ),
+      onStatus: broadcastGitStatus
+    })
+  : null;
+const gitStorageReady = gitStorage
+  ? gitStorage.initialize().catch((error) => {
+      console.error('Error initializing git storage:', error);
+    })
+  : Promise.resolve();
+
+const changeLog = createChangeLog(CHANGE_LOG_FILE, { maxEntries: CHANGE_LOG_MAX_ENTRIES });
+const changeLogReady = changeLog.initialize().catch((error) => {
+  console.error('Error initializing change log:', error);
+});
+
+// Collections report changes only once the change log knows the last cursor
+const collectionsReady = changeLogReady.then(async () => {
+  const records = await collectionRegistry.load();
+  for (const record of records) {
+    await openCollection(record);
+  }
+});
+
+// Resolve the collection a /markdown* request operates on from the "collection" query or
+// body parameter (a name like "Haptic" or a path like "/Haptic"), defaulting to ROOT_NAME
+const resolveCollection = async (req, res, next) => {
+  await collectionsReady;
+
+  const rawName = req.query.collection ?? req.body?.collection;
+  const name = normalizeCollectionName(Array.isArray(rawName) ? rawName[0] : rawName);
+  const collection = collections.get(name || ROOT_NAME);
+
+  if (!collection) {
+    return res.status(404).json({
+      error: 'Collection not found',
+      details: `No collection named "${name}" is registered`
+    });
+  }
+
+  req.collection = collection;
+  next();
+};
+
+// Authenticate requests with a bearer token (API key or session token) and set `req.user`
+// ({ username, method, isAdmin }); null if authentication is disabled
+const requireAuth = async (req, res, next) => {
+  await authReady;
+
+  if (!auth.isEnabled()) {
+    req.user = null;
+    return next();
+  }
+
+  const user = auth.authenticate(getBearerToken(req));
+  if (!user) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+      error: 'Unauthorized',
+      details: 'A valid API key or session token is required'
+    });
+  }
+
+  req.user = user;
+  next();
+};
+
+// Only allow admins (or anyone, if authentication is disabled); use after requireAuth
+const requireAdmin = (req, res, next) => {
+  if (req.user && !req.user.isAdmin) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      details: 'Only administrators are allowed to do this'
+    });
+  }
+  next();
+};
+
+// Check the caller's permission on a path of the request's collection (with `recursive`, also
+// on everything below it). Sends a 403 response and returns false if the permission is missing
+const authorize = (req, res, fsPath, permission, { recursive = false } = {}) => {
+  const { acl } = req.collection;
+  if (
+    recursive
+      ? acl.canRecursive(req.user, fsPath, permission)
+      : acl.can(req.user, fsPath, permission)
+  ) {
+    return true;
+  }
+
+  res.status(403).json({
+    error: 'Forbidden',
+    details: `You don't have ${permission} permission for ${recursive ? 'everything in ' : ''}this path`
+  });
+  return false;
+};
+
+app.use('/markdown', requireAuth, resolveCollection);
+app.use('/collections', requireAuth);
+app.use('/changes', requireAuth, resolveCollection);
+app.use('/backups', requireAuth, requireAdmin);
+app.use('/git', requireAuth, requireAdmin);
+
+// WebSocket connections are authenticated during the upgrade. Browsers can't set headers on
+// WebSocket requests, so the token may also be passed as "?token=" query parameter. As CORS
+// doesn't apply to WebSockets, the origin allow-list is checked here as well.
+const verifyWebSocketClient = async ({ origin, req }, done) => {
+  if (!isOriginAllowed(origin)) {
+    console.log(`Rejected WebSocket connection from origin: ${origin}`);
+    return done(false, 403, 'Forbidden');
+  }
+
+  await authReady;
+  if (!auth.isEnabled()) {
+    req.user = null;
+    return done(true);
+  }
+
+  const queryToken = new URL(req.url, 'http://localhost').searchParams.get('token');
+  const user = auth.authenticate(getBearerToken(req) || queryToken);
+  if (!user) {
+    console.log('Rejected unauthenticated WebSocket connection');
+    return done(false, 401, 'Unauthorized');
+  }
+
+  req.user = user;
+  done(true);
+};
+
+const wss = new WebSocket.Server({ server, verifyClient: verifyWebSocketClient });
 
 // WebSocket connection handling
 const clients = new Set();
 
-wss.on('connection', (ws) => {
-  console.log('New WebSocket client connected');
+wss.on('connection', (ws, req) => {
+  ws.id = crypto.randomUUID();
+  ws.user = req.user;
+  console.log(
+    `New WebSocket client connected${ws.user ? ` (authenticated as ${ws.user.username})` : ''}`
+  );
   clients.add(ws);
 
+  ws.isAlive = true;
+  ws.on('pong', () => {
+    ws.isAlive = true;
+  });
+
   ws.on('message', (message) => {
     try {
       const data = JSON.parse(message);
       if (data.type === 'subscribe' && data.collection) {
-        ws.collection = data.collection;
-        console.log(`Client subscribed to collection: ${data.collection}`);
+        ws.collection = normalizeCollectionName(data.collection);
+        console.log(`Client subscribed to collection: ${ws.collection}`);
+        resumeChanges(ws, data.since);
+        presence.remove(ws);
+        sendPresenceState(ws);
+        // A merge conflict stays visible to clients that connect while it is unresolved
+        if (gitStorage && ws.collection === ROOT_NAME) {
+          sendToClient(ws, {
+            type: 'git_status',
+            collection: ROOT_NAME,
+            ...gitStorage.getStatus()
+          });
+        }
+      } else if (data.type === 'presence_update') {
+        handlePresenceUpdate(ws, data);
+      } else if (typeof data.type === 'string' && data.type.startsWith('collab_')) {
+        handleCollabMessage(ws, data);
       }
     } catch (error) {
       console.error('Error parsing WebSocket message:', error);
@@ -50,61 +521,356 @@ wss.on('connection', (ws) => {
   ws.on('close', () => {
     console.log('WebSocket client disconnected');
     clients.delete(ws);
+    leaveCollabRooms(ws);
+    presence.remove(ws);
   });
 
   ws.on('error', (error) => {
     console.error('WebSocket error:', error);
     clients.delete(ws);
+    leaveCollabRooms(ws);
+    presence.remove(ws);
+  });
+});
+
+// Resume handshake of a client that subscribed to a collection: with the cursor of the last
+// change it saw ("since"), it is sent the changes it missed, or resync_required if they aren't
+// known anymore or are too many. Either way `subscribed` with the current cursor follows
+// before any live change
+const resumeChanges = (client, since) => {
+  const resuming = Number.isInteger(since) && since >= 0;
+  const result = resuming
+    ? changeLog.since(since, { collection: client.collection, limit: CHANGE_REPLAY_LIMIT })
+    : null;
+
+  if (result?.resync || result?.hasMore) {
+    sendToClient(client, {
+      type: 'resync_required',
+      collection: client.collection,
+      changeCursor: changeLog.latest()
+    });
+  } else if (result) {
+    for (const entry of result.changes) {
+      const message = toFileChangeMessage(client.user, entry);
+      if (message) sendToClient(client, { ...message, replayed: true });
+    }
+  }
+
+  sendToClient(client, {
+    type: 'subscribed',
+    collection: client.collection,
+    changeCursor: changeLog.latest()
+  });
+};
+
+// Heartbeat: clients that didn't answer the previous ping are gone without closing their
+// connection (e.g. a laptop that went to sleep) and are terminated, which cleans up after them
+// like a regular close
+setInterval(() => {
+  clients.forEach((client) => {
+    if (!client.isAlive) {
+      console.log('Terminating unresponsive WebSocket client');
+      client.terminate();
+      return;
+    }
+
+    client.isAlive = false;
+    client.ping();
   });
+}, WS_HEARTBEAT_INTERVAL_MS).unref();
+
+// Presence: which notes the clients of a collection have open. Like file changes, clients
+// only learn about the presence on paths they may read
+const presence = createPresence({
+  onChange: (event, entry) => broadcastPresence(event, entry)
+});
+
+setInterval(
+  () => presence.sweep((client) => client.readyState === WebSocket.OPEN),
+  PRESENCE_SWEEP_INTERVAL_MS
+).unref();
+
+const canReadApiPath = (collectionName, user, apiPath) => {
+  const collection = collections.get(collectionName);
+  return (
+    Boolean(collection) && collection.acl.can(user, fsPathFromApiPath(collection, apiPath), 'read')
+  );
+};
+
+const toPresenceMessage = (
+  event,
+  { clientId, username, collection, path, cursor, editing, updatedAt }
+) => ({
+  type: 'presence',
+  event, // 'join', 'update' or 'leave'
+  collection,
+  clientId,
+  username,
+  path,
+  cursor,
+  editing,
+  timestamp: updatedAt
 });
 
-// Function to broadcast file system changes
-const broadcastChange = (collection, changeType, path) => {
-  const message = JSON.stringify({
+const broadcastPresence = (event, entry) => {
+  clients.forEach((client) => {
+    if (client.id === entry.clientId || client.collection !== entry.collection) return;
+    if (!canReadApiPath(entry.collection, client.user, entry.path)) return;
+
+    sendToClient(client, toPresenceMessage(event, entry));
+  });
+};
+
+// Tell a client that subscribed to a collection its own client id and who is where
+const sendPresenceState = (client) => {
+  sendToClient(client, {
+    type: 'presence_state',
+    collection: client.collection,
+    clientId: client.id,
+    entries: presence
+      .list(client.collection)
+      .filter(
+        (entry) =>
+          entry.clientId !== client.id && canReadApiPath(entry.collection, client.user, entry.path)
+      )
+      .map((entry) => toPresenceMessage('join', entry))
+  });
+};
+
+// presence_update { path, cursor?: { anchor, head }, editing? } from a client subscribed to a
+// collection; a missing path means the client closed its note
+const handlePresenceUpdate = (client, { path: apiPath, cursor, editing }) => {
+  const collection = collections.get(client.collection);
+  if (!collection) return;
+
+  if (!apiPath) {
+    presence.remove(client);
+    return;
+  }
+
+  try {
+    const resolved = resolveFsPathFromApiPath(collection, apiPath);
+    if (!resolved || !collection.acl.can(client.user, resolved.fsPath, 'read')) return;
+
+    const validCursor =
+      cursor && Number.isInteger(cursor.anchor) && Number.isInteger(cursor.head)
+        ? { anchor: cursor.anchor, head: cursor.head }
+        : null;
+
+    presence.update(client, {
+      collection: collection.name,
+      path: toApiPath(collection, path.relative(collection.root, resolved.fsPath)),
+      cursor: validCursor,
+      editing
+    });
+  } catch (error) {
+    console.error('Error updating presence:', error);
+  }
+};
+
+const sendToClient = (client, message) => {
+  if (client.readyState === WebSocket.OPEN) client.send(JSON.stringify(message));
+};
+
+const leaveCollabRooms = (client) => {
+  for (const collection of collections.values()) collection.collab.leaveAll(client);
+};
+
+// Collaborative editing messages of a client subscribed to a collection:
+// - collab_join { path, stateVector? }: join the room of a note (read permission)
+// - collab_update { path, update, seed? }: apply a Yjs update to a note (write permission)
+// - collab_leave { path }: leave the room of a note
+// Problems are reported back as collab_error { path, details }
+const handleCollabMessage = async (client, { type, path: apiPath, stateVector, update, seed }) => {
+  const collection = collections.get(client.collection);
+  const sendError = (details) =>
+    sendToClient(client, {
+      type: 'collab_error',
+      collection: client.collection,
+      path: apiPath,
+      details
+    });
+
+  try {
+    const resolved = collection && resolveFsPathFromApiPath(collection, apiPath);
+    if (!resolved) return sendError('Subscribe to a collection and provide a valid note path');
+
+    const { fsPath } = resolved;
+    if (type === 'collab_join') {
+      if (!collection.acl.can(client.user, fsPath, 'read')) {
+        return sendError("You don't have read permission for this path");
+      }
+      await collection.collab.join(client, fsPath, stateVector);
+    } else if (type === 'collab_update') {
+      if (!collection.acl.can(client.user, fsPath, 'write')) {
+        return sendError("You don't have write permission for this path");
+      }
+      if (
+        typeof update !== 'string' ||
+        !collection.collab.applyUpdate(client, fsPath, update, seed)
+      ) {
+        return sendError('Join the note before sending updates');
+      }
+    } else if (type === 'collab_leave') {
+      await collection.collab.leave(client, fsPath);
+    }
+  } catch (error) {
+    console.error('Error handling collaborative editing message:', error);
+    sendError(error.message);
+  }
+};
+
+// Write the document of a collaborative editing room to its note
+const saveCollaborativeEdits = (collection, fsPath, markdown) =>
+  withFileLock(fsPath, async () => {
+    let currentContent;
+    try {
+      currentContent = await fs.readFile(fsPath, 'utf8');
+    } catch (error) {
+      // Don't bring back a note that was deleted in the meantime
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    if (currentContent === markdown) return;
+
+    await collection.history.snapshot(fsPath, currentContent);
+    await fs.writeFile(fsPath, markdown, 'utf8');
+    console.log(`Collaborative edits saved: ${fsPath}`);
+    collection.searchIndex.updateFile(fsPath, markdown);
+    collection.linkIndex.updateFile(fsPath, markdown);
+    collection.watcher.sync(fsPath);
+
+    broadcastChange(
+      collection.name,
+      'updated',
+      toApiPath(collection, path.relative(collection.root, fsPath))
+    );
+  });
+
+// Filesystem path of an API path ("/<collection>/dir/file.md") of a collection
+const fsPathFromApiPath = (collection, apiPath) =>
+  path.join(collection.root, ...apiPath.split('/').slice(2));
+
+// A logged change as a user may see it, or null. Users only learn about paths they may read: a
+// rename between a readable and an unreadable path becomes the creation or deletion of the
+// readable one
+const toVisibleChange = (user, { collection, changeType, path, oldPath }) => {
+  const target = collections.get(collection);
+  const canRead = (apiPath) =>
+    !target || target.acl.can(user, fsPathFromApiPath(target, apiPath), 'read');
+
+  const visible = canRead(path);
+  const oldVisible = Boolean(oldPath) && canRead(oldPath);
+  if (!visible && !oldVisible) return null;
+
+  if (!visible) return { changeType: 'deleted', path: oldPath };
+  if (oldPath && !oldVisible) return { changeType: 'created', path };
+  return { changeType, path, oldPath };
+};
+
+// The file_change message of a logged change for a user, or null if it isn't visible to them
+const toFileChangeMessage = (user, entry) => {
+  const change = toVisibleChange(user, entry);
+  if (!change) return null;
+
+  return {
     type: 'file_change',
+    collection: entry.collection,
+    changeCursor: entry.cursor, // position in the change log (see GET /changes)
+    changeType: change.changeType, // 'created', 'updated', 'deleted', 'renamed'
+    path: change.path,
+    ...(change.oldPath && { oldPath: change.oldPath }), // previous path of 'renamed' changes
+    timestamp: entry.timestamp
+  };
+};
+
+// Function to record file system changes in the change log and broadcast them to the clients
+// subscribed to a collection
+const broadcastChange = (collection, changeType, path, oldPath) => {
+  const entry = changeLog.append({
     collection,
-    changeType, // 'created', 'updated', 'deleted'
+    changeType,
     path,
+    ...(oldPath && { oldPath }),
     timestamp: new Date().toISOString()
   });
 
-  console.log(`Broadcasting message: ${message}`);
+  console.log(`Broadcasting ${changeType} of ${path} to clients of ${collection}`);
 
-  console.log(`Broadcasting to ${clients.size} clients`);
+  // Every change of the default collection ends up in a (batched) git commit
+  if (gitStorage && collection === ROOT_NAME) gitStorage.recordChange(changeType, path);
 
   clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(message);
-      console.log(`Broadcasted change to client: ${message}`);
-    }
+    if (client.readyState !== WebSocket.OPEN || client.collection !== collection) return;
+
+    const message = toFileChangeMessage(client.user, entry);
+    if (message) client.send(JSON.stringify(message));
   });
 };
 
-const toApiPath = (relativePath = '') => {
+const toApiPath = (collection, relativePath = '') => {
   const normalized = relativePath.split(path.sep).filter(Boolean).join('/');
 
-  return normalized ? `/${ROOT_NAME}/${normalized}` : `/${ROOT_NAME}`;
+  return normalized ? `/${collection.name}/${normalized}` : `/${collection.name}`;
+};
+
+// Update the search and link indexes and notify clients about a change detected by a
+// collection watcher
+const handleExternalChange = (
+  collection,
+  { changeType, relativePath, oldRelativePath, isDirectory }
+) => {
+  const { root } = collection;
+  const fsPath = path.join(root, relativePath);
+  console.log(`External change detected (${changeType}): ${fsPath}`);
+
+  // Collaborators continue from the changed file
+  collection.collab.discard(fsPath);
+  if (oldRelativePath) collection.collab.discard(path.join(root, oldRelativePath));
+
+  if (changeType === 'renamed') {
+    collection.searchIndex.movePath(path.join(root, oldRelativePath), fsPath);
+    collection.linkIndex.movePath(path.join(root, oldRelativePath), fsPath);
+    collection.history.movePath(path.join(root, oldRelativePath), fsPath);
+    collection.acl.movePath(path.join(root, oldRelativePath), fsPath);
+  } else if (changeType === 'deleted') {
+    collection.searchIndex.removePath(fsPath);
+    collection.linkIndex.removePath(fsPath);
+  } else if (isDirectory) {
+    collection.searchIndex.updateDirectory(fsPath);
+    collection.linkIndex.updateDirectory(fsPath);
+  } else {
+    collection.searchIndex.updateFile(fsPath);
+    collection.linkIndex.updateFile(fsPath);
+  }
+
+  broadcastChange(
+    collection.name,
+    changeType,
+    toApiPath(collection, relativePath),
+    oldRelativePath && toApiPath(collection, oldRelativePath)
+  );
 };
 
-const resolveFsPathFromApiPath = (rawPath) => {
+const resolveFsPathFromApiPath = (collection, rawPath) => {
   const prepared = prepareOperationPath(rawPath);
   if (!prepared) return null;
 
   const normalized = prepared.normalizedPath.replace(/\\/g, '/');
 
-  // If the caller uses API-style paths: "/<ROOT_NAME>/sub/dir/file.md"
-  const apiPrefix = `/${ROOT_NAME}`;
+  // If the caller uses API-style paths: "/<collection>/sub/dir/file.md"
+  const apiPrefix = `/${collection.name}`;
   let relativeInsideVolume;
 
   if (normalized === apiPrefix) {
     relativeInsideVolume = ''; // root of the volume
   } else if (normalized.startsWith(`${apiPrefix}/`)) {
-    // strip "/<ROOT_NAME>/" but KEEP all parent dirs after it
+    // strip "/<collection>/" but KEEP all parent dirs after it
     relativeInsideVolume = normalized.slice(apiPrefix.length + 1);
   } else if (path.isAbsolute(normalized)) {
     // Absolute path not using API prefix: try to keep it only if it's already under the volume
     const resolved = path.resolve(normalized);
-    const volResolved = path.resolve(VOLUME_PATH);
+    const volResolved = collection.root;
     if (resolved.startsWith(volResolved + path.sep) || resolved === volResolved) {
       return { prepared, fsPath: resolved };
     }
@@ -115,9 +881,9 @@ const resolveFsPathFromApiPath = (rawPath) => {
     relativeInsideVolume = normalized;
   }
 
-  const fsPath = path.resolve(VOLUME_PATH, relativeInsideVolume);
+  const fsPath = path.resolve(collection.root, relativeInsideVolume);
   // Prevent escaping the volume
-  const volResolved = path.resolve(VOLUME_PATH);
+  const volResolved = collection.root;
   if (!(fsPath.startsWith(volResolved + path.sep) || fsPath === volResolved)) {
     throw new Error('Resolved path escapes the volume');
   }
@@ -181,7 +947,14 @@ const prepareOperationPath = (rawPath = '') => {
   };
 };
 
-const buildFileTree = async (currentDir, relativeDir = '') => {
+// Whether a user may see an entry in listings: readable files, and folders that are readable
+// or contain something readable
+const canSeeEntry = (collection, user) => (fsPath, isDirectory) =>
+  isDirectory ? collection.acl.canTraverse(user, fsPath) : collection.acl.can(user, fsPath, 'read');
+
+const buildFileTree = async (collection, currentDir, relativeDir = '', user = null) => {
+  const canSee = canSeeEntry(collection, user);
+
   try {
     const dirEntries = await fs.readdir(currentDir, { withFileTypes: true });
     const sortedEntries = dirEntries.sort((a, b) =>
@@ -196,20 +969,36 @@ const buildFileTree = async (currentDir, relativeDir = '') => {
       }
 
       const absolutePath = path.join(currentDir, entry.name);
+      if (!canSee(absolutePath, entry.isDirectory())) {
+        continue;
+      }
+
       const relativePath = relativeDir ? path.join(relativeDir, entry.name) : entry.name;
-      const apiPath = toApiPath(relativePath);
+      const apiPath = toApiPath(collection, relativePath);
 
       if (entry.isDirectory()) {
-        const children = await buildFileTree(absolutePath, relativePath);
+        const children = await buildFileTree(collection, absolutePath, relativePath, user);
         items.push({
           path: apiPath,
           name: entry.name,
           children
         });
+      } else if (isAttachment(entry.name)) {
+        items.push({
+          path: apiPath,
+          name: entry.name,
+          attachment: true,
+          contentType: contentTypeOf(entry.name)
+        });
       } else {
+        // relativePath is relative to the listed folder, the index needs it relative to the root
+        const properties = await collection.properties.propertiesOf(
+          path.relative(collection.root, absolutePath)
+        );
         items.push({
           path: apiPath,
-          name: entry.name
+          name: entry.name,
+          ...(Object.keys(properties).length > 0 && { properties })
         });
       }
     }
@@ -221,9 +1010,30 @@ const buildFileTree = async (currentDir, relativeDir = '') => {
   }
 };
 
+// Compare an If-Match header with the current content of a file (null if it doesn't exist).
+// Returns the current state ({ content, etag }) on a mismatch, otherwise null.
+const checkWriteConflict = (ifMatch, content) => {
+  const etag = content === null ? null : computeEtag(content);
+
+  return ifMatchSatisfied(ifMatch, etag) ? null : { content, etag };
+};
+
+const sendWriteConflict = (res, apiPath, { content, etag }) => {
+  if (etag) res.set('ETag', etag);
+  return res.status(409).json({
+    error: 'Conflict',
+    details: 'The file was changed since it was last read. Resolve the conflict and retry',
+    path: apiPath,
+    content,
+    etag
+  });
+};
+
 // POST route to handle markdown content
 app.post('/markdown', async (req, res) => {
   try {
+    const { collection } = req;
+
     if (!req.is('application/json')) {
       return res.status(400).json({ error: 'Invalid content type. Expected application/json' });
     }
@@ -235,7 +1045,7 @@ app.post('/markdown', async (req, res) => {
     }
 
     // ✅ use filePath (not the Node "path" module)
-    const resolved = resolveFsPathFromApiPath(filePath);
+    const resolved = resolveFsPathFromApiPath(collection, filePath);
     if (!resolved) {
       return res
         .status(400)
@@ -243,33 +1053,59 @@ app.post('/markdown', async (req, res) => {
     }
 
     const { prepared, fsPath } = resolved;
-
-    // Check if file already exists to determine if this is create or update
-    let isUpdate = false;
-    try {
-      await fs.stat(fsPath);
-      isUpdate = true;
-    } catch (error) {
-      if (error.code !== 'ENOENT') {
-        throw error;
+    if (!authorize(req, res, fsPath, 'write')) return;
+    const ifMatch = req.get('If-Match');
+
+    await withFileLock(fsPath, async () => {
+      // Check if file already exists to determine if this is create or update
+      let isUpdate = false;
+      try {
+        await fs.stat(fsPath);
+        isUpdate = true;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+        // File doesn't exist, this is a create operation
       }
-      // File doesn't exist, this is a create operation
-    }
 
-    // Ensure the directory exists before writing the file
-    await fs.mkdir(path.dirname(fsPath), { recursive: true });
+      const currentContent = isUpdate ? await fs.readFile(fsPath, 'utf8') : null;
 
-    // Write markdown content to file
-    await fs.writeFile(fsPath, markdown, 'utf8');
-    console.log(`Markdown file ${isUpdate ? 'updated' : 'created'}: ${fsPath}`);
+      // Reject the write if the note changed since the client read it
+      if (ifMatch) {
+        const conflict = checkWriteConflict(ifMatch, currentContent);
+        if (conflict) {
+          return sendWriteConflict(res, prepared.normalizedPath, conflict);
+        }
+      }
 
-    // Broadcast the file change to WebSocket clients
-    broadcastChange(ROOT_NAME, isUpdate ? 'updated' : 'created', prepared.normalizedPath);
+      // Keep the previous content in the version history
+      if (currentContent !== null && currentContent !== markdown) {
+        await collection.history.snapshot(fsPath, currentContent);
+      }
 
-    res.status(isUpdate ? 200 : 201).json({
-      message: `Markdown file ${isUpdate ? 'updated' : 'created'} successfully`,
-      filename: prepared.normalizedPath, // echo back the normalized API path
-      fullPath: fsPath
+      // Ensure the directory exists before writing the file
+      await fs.mkdir(path.dirname(fsPath), { recursive: true });
+
+      // Write markdown content to file
+      await fs.writeFile(fsPath, markdown, 'utf8');
+      console.log(`Markdown file ${isUpdate ? 'updated' : 'created'}: ${fsPath}`);
+      collection.collab.discard(fsPath);
+      collection.searchIndex.updateFile(fsPath, markdown);
+      collection.linkIndex.updateFile(fsPath, markdown);
+      collection.watcher.sync(fsPath);
+
+      // Broadcast the file change to WebSocket clients
+      broadcastChange(collection.name, isUpdate ? 'updated' : 'created', prepared.normalizedPath);
+
+      const etag = computeEtag(markdown);
+      res.set('ETag', etag);
+      res.status(isUpdate ? 200 : 201).json({
+        message: `Markdown file ${isUpdate ? 'updated' : 'created'} successfully`,
+        filename: prepared.normalizedPath, // echo back the normalized API path
+        fullPath: fsPath,
+        etag
+      });
     });
   } catch (error) {
     console.error('Error saving markdown file:', error);
@@ -283,6 +1119,8 @@ app.post('/markdown', async (req, res) => {
 // PUT route to handle markdown content updates
 app.put('/markdown', async (req, res) => {
   try {
+    const { collection } = req;
+
     if (!req.is('application/json')) {
       return res.status(400).json({ error: 'Invalid content type. Expected application/json' });
     }
@@ -293,7 +1131,7 @@ app.put('/markdown', async (req, res) => {
       return res.status(400).json({ error: 'path is required. Include "path" field in JSON body' });
     }
 
-    const resolved = resolveFsPathFromApiPath(filePath);
+    const resolved = resolveFsPathFromApiPath(collection, filePath);
     if (!resolved) {
       return res
         .status(400)
@@ -301,28 +1139,54 @@ app.put('/markdown', async (req, res) => {
     }
 
     const { prepared, fsPath } = resolved;
+    if (!authorize(req, res, fsPath, 'write')) return;
+    const ifMatch = req.get('If-Match');
+
+    await withFileLock(fsPath, async () => {
+      // Check if file exists
+      try {
+        await fs.stat(fsPath);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return res.status(404).json({ error: 'File not found' });
+        }
+        throw error;
+      }
 
-    // Check if file exists
-    try {
-      await fs.stat(fsPath);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        return res.status(404).json({ error: 'File not found' });
+      const currentContent = await fs.readFile(fsPath, 'utf8');
+
+      // Reject the write if the note changed since the client read it
+      if (ifMatch) {
+        const conflict = checkWriteConflict(ifMatch, currentContent);
+        if (conflict) {
+          return sendWriteConflict(res, prepared.normalizedPath, conflict);
+        }
       }
-      throw error;
-    }
 
-    // Write updated markdown content to file
-    await fs.writeFile(fsPath, markdown, 'utf8');
-    console.log(`Markdown file updated: ${fsPath}`);
+      // Keep the previous content in the version history
+      if (currentContent !== markdown) {
+        await collection.history.snapshot(fsPath, currentContent);
+      }
 
-    // Broadcast the file update to WebSocket clients
-    broadcastChange(ROOT_NAME, 'updated', prepared.normalizedPath);
+      // Write updated markdown content to file
+      await fs.writeFile(fsPath, markdown, 'utf8');
+      console.log(`Markdown file updated: ${fsPath}`);
+      collection.collab.discard(fsPath);
+      collection.searchIndex.updateFile(fsPath, markdown);
+      collection.linkIndex.updateFile(fsPath, markdown);
+      collection.watcher.sync(fsPath);
 
-    res.status(200).json({
-      message: 'Markdown file updated successfully',
-      filename: prepared.normalizedPath,
-      fullPath: fsPath
+      // Broadcast the file update to WebSocket clients
+      broadcastChange(collection.name, 'updated', prepared.normalizedPath);
+
+      const etag = computeEtag(markdown);
+      res.set('ETag', etag);
+      res.status(200).json({
+        message: 'Markdown file updated successfully',
+        filename: prepared.normalizedPath,
+        fullPath: fsPath,
+        etag
+      });
     });
   } catch (error) {
     console.error('Error updating markdown file:', error);
@@ -335,18 +1199,20 @@ app.put('/markdown', async (req, res) => {
 
 app.get('/markdown', async (req, res) => {
   try {
+    const { collection } = req;
+
     const rawPath = Array.isArray(req.query.path) ? req.query.path[0] : req.query.path;
 
     // Default to volume root if no path specified
     let targetPath, preparedPath;
     if (rawPath) {
-      const resolved = resolveFsPathFromApiPath(rawPath);
+      const resolved = resolveFsPathFromApiPath(collection, rawPath);
       if (!resolved) {
         return res.status(400).json({ error: 'Invalid path' });
       }
       ({ prepared: preparedPath, fsPath: targetPath } = resolved);
     } else {
-      targetPath = path.resolve(VOLUME_PATH);
+      targetPath = collection.root;
     }
 
     let stats;
@@ -363,14 +1229,25 @@ app.get('/markdown', async (req, res) => {
     }
 
     if (stats.isDirectory()) {
-      const tree = await buildFileTree(targetPath, '');
+      if (!canSeeEntry(collection, req.user)(targetPath, true)) {
+        return authorize(req, res, targetPath, 'read');
+      }
+      const tree = await buildFileTree(collection, targetPath, '', req.user);
       return res.json(tree);
     }
 
+    if (!authorize(req, res, targetPath, 'read')) return;
+
     const markdown = await fs.readFile(targetPath, 'utf8');
     const apiPath = preparedPath
-      ? toApiPath(preparedPath.normalizedPath.replace(new RegExp(`^/${ROOT_NAME}/?`), ''))
-      : toApiPath('');
+      ? toApiPath(
+          collection,
+          preparedPath.normalizedPath.replace(
+            new RegExp(`^/${escapeRegExp(collection.name)}/?`),
+            ''
+          )
+        )
+      : toApiPath(collection, '');
     return res.json({
       path: apiPath,
       name: path.basename(targetPath),
@@ -385,18 +1262,21 @@ app.get('/markdown', async (req, res) => {
 // GET route to fetch markdown file content specifically
 app.get('/markdown/content', async (req, res) => {
   try {
+    const { collection } = req;
+
     const rawPath = Array.isArray(req.query.path) ? req.query.path[0] : req.query.path;
 
     if (!rawPath) {
       return res.status(400).json({ error: 'Path parameter is required' });
     }
 
-    const resolved = resolveFsPathFromApiPath(rawPath);
+    const resolved = resolveFsPathFromApiPath(collection, rawPath);
     if (!resolved) {
       return res.status(400).json({ error: 'Invalid path' });
     }
 
     const { prepared: preparedPath, fsPath: targetPath } = resolved;
+    if (!authorize(req, res, targetPath, 'read')) return;
 
     let stats;
     try {
@@ -416,13 +1296,25 @@ app.get('/markdown/content', async (req, res) => {
 
     const content = await fs.readFile(targetPath, 'utf8');
     const apiPath = preparedPath
-      ? toApiPath(preparedPath.normalizedPath.replace(new RegExp(`^/${ROOT_NAME}/?`), ''))
-      : toApiPath('');
+      ? toApiPath(
+          collection,
+          preparedPath.normalizedPath.replace(
+            new RegExp(`^/${escapeRegExp(collection.name)}/?`),
+            ''
+          )
+        )
+      : toApiPath(collection, '');
+
+    const etag = computeEtag(content);
+    res.set('ETag', etag);
 
     return res.json({
       path: apiPath,
       name: path.basename(targetPath),
       content,
+      properties: parseFrontmatter(content).properties,
+      etag,
+      permission: collection.acl.permissionFor(req.user, targetPath),
       size: stats.size,
       modifiedAt: stats.mtime.toISOString(),
       createdAt: stats.ctime.toISOString()
@@ -433,53 +1325,30 @@ app.get('/markdown/content', async (req, res) => {
   }
 });
 
-// Helper function to recursively collect all item names
-const collectNamesRecursively = async (dirPath, basePath = '') => {
-  const names = [];
-
+// GET route to search the content of all notes in the volume (or below "path"), ranked by relevance
+app.get('/markdown/search', async (req, res) => {
   try {
-    const dirEntries = await fs.readdir(dirPath, { withFileTypes: true });
-    const sortedEntries = dirEntries
-      .filter((entry) => !entry.name.startsWith('.')) // Skip hidden files/folders
-      .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+    const { collection } = req;
 
-    for (const entry of sortedEntries) {
-      const relativePath = basePath ? path.join(basePath, entry.name) : entry.name;
-      const fullPath = path.join(dirPath, entry.name);
+    const query = Array.isArray(req.query.query) ? req.query.query[0] : req.query.query;
+    const rawPath = Array.isArray(req.query.path) ? req.query.path[0] : req.query.path;
+    const caseSensitive = req.query.caseSensitive === 'true';
+    const wholeWord = req.query.wholeWord === 'true';
 
-      if (entry.isDirectory()) {
-        // Add directory name
-        names.push({ name: entry.name, path: relativePath, type: 'directory' });
-        // Recursively collect names from subdirectories
-        const subNames = await collectNamesRecursively(fullPath, relativePath);
-        names.push(...subNames);
-      } else {
-        // Add file name
-        names.push({ name: entry.name, path: relativePath, type: 'file' });
-      }
+    if (!query || typeof query !== 'string') {
+      return res.status(400).json({ error: 'Query parameter is required' });
     }
-  } catch (error) {
-    console.error(`Error reading directory ${dirPath}:`, error);
-    // Continue with other directories instead of failing completely
-  }
-
-  return names;
-};
-
-app.get('/markdown/notes/names', async (req, res) => {
-  try {
-    const rawPath = Array.isArray(req.query.path) ? req.query.path[0] : req.query.path;
 
     // Default to volume root if no path specified
     let targetPath;
     if (rawPath) {
-      const resolved = resolveFsPathFromApiPath(rawPath);
+      const resolved = resolveFsPathFromApiPath(collection, rawPath);
       if (!resolved) {
         return res.status(400).json({ error: 'Invalid path' });
       }
       targetPath = resolved.fsPath;
     } else {
-      targetPath = path.resolve(VOLUME_PATH);
+      targetPath = collection.root;
     }
 
     let stats;
@@ -499,29 +1368,139 @@ app.get('/markdown/notes/names', async (req, res) => {
       return res.status(400).json({ error: 'Path must point to a directory' });
     }
 
-    const names = await collectNamesRecursively(targetPath);
+    const volResolved = collection.root;
 
-    return res.json(names);
+    const canRead = (relativePath) =>
+      collection.acl.can(req.user, path.join(volResolved, relativePath), 'read');
+
+    // Ranked lookup in the index (best notes only); queries without any word characters
+    // (e.g. "- [ ]") cannot use it and fall back to scanning the files
+    let matches = await collection.searchIndex.search(query, {
+      caseSensitive,
+      wholeWord,
+      scope: targetPath,
+      include: canRead
+    });
+    if (!matches) {
+      matches = (await searchDirectory(targetPath, query, { caseSensitive, wholeWord })).map(
+        (match) => ({
+          ...match,
+          relativePath: path.relative(volResolved, path.join(targetPath, match.relativePath))
+        })
+      );
+    }
+
+    // Flatten to one entry per matching line, the shape the search results UI renders
+    const readable = matches.filter(({ relativePath }) => canRead(relativePath));
+    const results = readable.flatMap(({ relativePath, contexts, score }) => {
+      const apiPath = toApiPath(collection, relativePath);
+      return contexts.map((context) => ({ path: apiPath, context_preview: context, score }));
+    });
+
+    return res.json(results);
   } catch (error) {
-    console.error('Error fetching file/folder names:', error);
-    res.status(500).json({ error: 'Failed to fetch names', details: error.message });
+    console.error('Error searching markdown files:', error);
+    res.status(500).json({ error: 'Failed to search markdown files', details: error.message });
   }
 });
 
-app.get('/markdown/folders/names', async (req, res) => {
-  try {
-    const rawPath = Array.isArray(req.query.path) ? req.query.path[0] : req.query.path;
+// Helper function to recursively collect all item names (that pass `canSee(fsPath, isDirectory)`)
+const collectNamesRecursively = async (dirPath, basePath = '', canSee = () => true) => {
+  const names = [];
+
+  try {
+    const dirEntries = await fs.readdir(dirPath, { withFileTypes: true });
+    const sortedEntries = dirEntries
+      .filter((entry) => !entry.name.startsWith('.')) // Skip hidden files/folders
+      .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+
+    for (const entry of sortedEntries) {
+      const relativePath = basePath ? path.join(basePath, entry.name) : entry.name;
+      const fullPath = path.join(dirPath, entry.name);
+
+      if (!canSee(fullPath, entry.isDirectory())) {
+        continue;
+      }
+
+      if (entry.isDirectory()) {
+        // Add directory name
+        names.push({ name: entry.name, path: relativePath, type: 'directory' });
+        // Recursively collect names from subdirectories
+        const subNames = await collectNamesRecursively(fullPath, relativePath, canSee);
+        names.push(...subNames);
+      } else {
+        // Add file name
+        names.push({ name: entry.name, path: relativePath, type: 'file' });
+      }
+    }
+  } catch (error) {
+    console.error(`Error reading directory ${dirPath}:`, error);
+    // Continue with other directories instead of failing completely
+  }
+
+  return names;
+};
+
+app.get('/markdown/notes/names', async (req, res) => {
+  try {
+    const { collection } = req;
+
+    const rawPath = Array.isArray(req.query.path) ? req.query.path[0] : req.query.path;
+
+    // Default to volume root if no path specified
+    let targetPath;
+    if (rawPath) {
+      const resolved = resolveFsPathFromApiPath(collection, rawPath);
+      if (!resolved) {
+        return res.status(400).json({ error: 'Invalid path' });
+      }
+      targetPath = resolved.fsPath;
+    } else {
+      targetPath = collection.root;
+    }
+
+    let stats;
+    try {
+      stats = await fs.stat(targetPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return res.status(404).json({
+          error: 'Path not found',
+          details: 'The requested directory does not exist'
+        });
+      }
+      throw error;
+    }
+
+    if (!stats.isDirectory()) {
+      return res.status(400).json({ error: 'Path must point to a directory' });
+    }
+
+    const names = await collectNamesRecursively(targetPath, '', canSeeEntry(collection, req.user));
+
+    return res.json(names);
+  } catch (error) {
+    console.error('Error fetching file/folder names:', error);
+    res.status(500).json({ error: 'Failed to fetch names', details: error.message });
+  }
+});
+
+app.get('/markdown/folders/names', async (req, res) => {
+  try {
+    const { collection } = req;
+
+    const rawPath = Array.isArray(req.query.path) ? req.query.path[0] : req.query.path;
 
     // Default to volume root if no path specified
     let targetPath;
     if (rawPath) {
-      const resolved = resolveFsPathFromApiPath(rawPath);
+      const resolved = resolveFsPathFromApiPath(collection, rawPath);
       if (!resolved) {
         return res.status(400).json({ error: 'Invalid path' });
       }
       targetPath = resolved.fsPath;
     } else {
-      targetPath = path.resolve(VOLUME_PATH);
+      targetPath = collection.root;
     }
 
     let stats;
@@ -541,7 +1520,11 @@ app.get('/markdown/folders/names', async (req, res) => {
       return res.status(400).json({ error: 'Path must point to a directory' });
     }
 
-    const allNames = await collectNamesRecursively(targetPath);
+    const allNames = await collectNamesRecursively(
+      targetPath,
+      '',
+      canSeeEntry(collection, req.user)
+    );
     // Filter to only include directories
     const folderNames = allNames.filter((item) => item.type === 'directory');
 
@@ -554,6 +1537,8 @@ app.get('/markdown/folders/names', async (req, res) => {
 
 app.post('/markdown/folder', async (req, res) => {
   try {
+    const { collection } = req;
+
     if (!req.is('application/json')) {
       return res.status(400).json({ error: 'Invalid content type. Expected application/json' });
     }
@@ -564,7 +1549,7 @@ app.post('/markdown/folder', async (req, res) => {
       return res.status(400).json({ error: 'path is required. Include "path" field in JSON body' });
     }
 
-    const resolved = resolveFsPathFromApiPath(folderPath);
+    const resolved = resolveFsPathFromApiPath(collection, folderPath);
     if (!resolved) {
       return res.status(400).json({
         error: 'Invalid path provided. Ensure the "path" field contains a valid value'
@@ -572,6 +1557,7 @@ app.post('/markdown/folder', async (req, res) => {
     }
 
     const { prepared, fsPath } = resolved;
+    if (!authorize(req, res, fsPath, 'write')) return;
 
     // Check if the directory already exists
     try {
@@ -597,9 +1583,10 @@ app.post('/markdown/folder', async (req, res) => {
     // Create the directory (and any parent directories if needed)
     await fs.mkdir(fsPath, { recursive: true });
     console.log(`Directory created: ${fsPath}`);
+    collection.watcher.sync(fsPath);
 
     // Broadcast the folder creation to WebSocket clients
-    broadcastChange(ROOT_NAME, 'created', prepared.normalizedPath);
+    broadcastChange(collection.name, 'created', prepared.normalizedPath);
 
     res.status(201).json({
       message: 'Directory created successfully',
@@ -615,14 +1602,101 @@ app.post('/markdown/folder', async (req, res) => {
   }
 });
 
-// POST route to rename files or directories
+// Plan the rewrite of the links that break when a note or folder moves from `oldPath` to
+// `newPath` (see linkIndex.planMove). Only notes the user may write are rewritten
+const planLinkRewrites = async (req, oldPath, newPath) => {
+  const { collection } = req;
+  const plan = await collection.linkIndex.planMove(oldPath, newPath);
+  return plan.filter(({ sourcePath }) =>
+    collection.acl.can(req.user, path.join(collection.root, sourcePath), 'write')
+  );
+};
+
+const toLinkRewriteResponse = (collection, { sourcePath, newSourcePath, links }) => ({
+  path: toApiPath(collection, sourcePath),
+  newPath: toApiPath(collection, newSourcePath),
+  links: links.length
+});
+
+// Rewrite notes ([{ fsPath, rewrite(content) }]). Either every note is rewritten or, if one
+// can't be, the notes rewritten so far are restored and the error is rethrown. Resolves to
+// [{ fsPath, content }] with the new content of each note that changed
+const rewriteNotes = async (collection, rewrites) => {
+  const written = [];
+  try {
+    for (const { fsPath, rewrite } of rewrites) {
+      // Include pending collaborative edits
+      await collection.collab.flush(fsPath, 'changed');
+
+      await withFileLock(fsPath, async () => {
+        const content = await fs.readFile(fsPath, 'utf8');
+        const rewritten = rewrite(content);
+        if (rewritten === content) return;
+
+        await collection.history.snapshot(fsPath, content);
+        await fs.writeFile(fsPath, rewritten, 'utf8');
+        written.push({ fsPath, content, rewritten });
+      });
+    }
+  } catch (error) {
+    await Promise.all(
+      written.map(({ fsPath, content }) =>
+        withFileLock(fsPath, () => fs.writeFile(fsPath, content, 'utf8'))
+      )
+    );
+    throw error;
+  }
+
+  return written.map(({ fsPath, rewritten }) => ({ fsPath, content: rewritten }));
+};
+
+// Rewrite the links of a plan once the move is done (see rewriteNotes)
+const rewriteLinks = (collection, plan) =>
+  rewriteNotes(
+    collection,
+    plan.map(({ newSourcePath, rewrite }) => ({
+      fsPath: path.join(collection.root, newSourcePath),
+      rewrite
+    }))
+  );
+
+// Update the indexes and notify clients about rewritten notes
+const announceRewrittenNotes = (collection, rewritten, reason) => {
+  for (const { fsPath, content } of rewritten) {
+    console.log(`${reason}: ${fsPath}`);
+    // Collaborators continue from the rewritten note
+    collection.collab.discard(fsPath);
+    collection.searchIndex.updateFile(fsPath, content);
+    collection.linkIndex.updateFile(fsPath, content);
+    collection.watcher.sync(fsPath);
+    broadcastChange(
+      collection.name,
+      'updated',
+      toApiPath(collection, path.relative(collection.root, fsPath))
+    );
+  }
+};
+
+// Notes of a plan that were rewritten, in the shape of the rename and move responses
+const toRewrittenLinksResponse = (collection, plan, rewritten) =>
+  plan
+    .filter(({ newSourcePath }) =>
+      rewritten.some(({ fsPath }) => fsPath === path.join(collection.root, newSourcePath))
+    )
+    .map((rewrite) => toLinkRewriteResponse(collection, rewrite));
+
+// POST route to rename files or directories. Links to them are rewritten to the new name;
+// with "dryRun": true, nothing is renamed and the notes whose links would change are listed
 app.post('/markdown/rename', async (req, res) => {
   try {
+    const { collection } = req;
+
     if (!req.is('application/json')) {
       return res.status(400).json({ error: 'Invalid content type. Expected application/json' });
     }
 
     const { path: filePath, name } = req.body;
+    const dryRun = req.body.dryRun === true;
 
     if (!filePath) {
       return res.status(400).json({ error: 'path is required. Include "path" field in JSON body' });
@@ -636,7 +1710,7 @@ app.post('/markdown/rename', async (req, res) => {
       return res.status(400).json({ error: 'name must be a non-empty string' });
     }
 
-    const resolved = resolveFsPathFromApiPath(filePath);
+    const resolved = resolveFsPathFromApiPath(collection, filePath);
     if (!resolved) {
       return res.status(400).json({
         error: 'Invalid path provided. Ensure the "path" field contains a valid value'
@@ -644,6 +1718,7 @@ app.post('/markdown/rename', async (req, res) => {
     }
 
     const { prepared, fsPath: oldPath } = resolved;
+    if (!authorize(req, res, oldPath, 'write', { recursive: true })) return;
 
     // Check if the source file/directory exists
     let stats;
@@ -660,7 +1735,7 @@ app.post('/markdown/rename', async (req, res) => {
     }
 
     // Prevent renaming the root volume directory
-    const volResolved = path.resolve(VOLUME_PATH);
+    const volResolved = collection.root;
     if (oldPath === volResolved) {
       return res.status(403).json({
         error: 'Cannot rename root directory',
@@ -680,6 +1755,7 @@ app.post('/markdown/rename', async (req, res) => {
     // Construct new path
     const parentDir = path.dirname(oldPath);
     const newPath = path.join(parentDir, sanitizedName);
+    if (!authorize(req, res, newPath, 'write', { recursive: true })) return;
 
     // Check if the new path already exists
     try {
@@ -695,26 +1771,56 @@ app.post('/markdown/rename', async (req, res) => {
       // New path doesn't exist, which is what we want
     }
 
-    // Perform the rename operation
+    // Links to the item, and relative links of the notes it contains, that the rename breaks
+    const linkRewrites = await planLinkRewrites(req, oldPath, newPath);
+    if (dryRun) {
+      return res.status(200).json({
+        dryRun: true,
+        oldPath: prepared.normalizedPath,
+        newPath: toApiPath(collection, path.relative(collection.root, newPath)),
+        linkRewrites: linkRewrites.map((rewrite) => toLinkRewriteResponse(collection, rewrite))
+      });
+    }
+
+    // Perform the rename operation, after writing pending collaborative edits, and rewrite the
+    // links. The rename is undone if the links can't be rewritten
+    await collection.collab.flush(oldPath, 'renamed');
     await fs.rename(oldPath, newPath);
+    // The history follows first, so the versions saved before rewriting links are kept with it
+    await collection.history.movePath(oldPath, newPath);
+    let rewrittenLinks;
+    try {
+      rewrittenLinks = await rewriteLinks(collection, linkRewrites);
+    } catch (error) {
+      await fs.rename(newPath, oldPath);
+      await collection.history.movePath(newPath, oldPath);
+      throw error;
+    }
     console.log(
       `${stats.isDirectory() ? 'Directory' : 'File'} renamed from ${oldPath} to ${newPath}`
     );
+    collection.searchIndex.movePath(oldPath, newPath);
+    collection.linkIndex.movePath(oldPath, newPath);
+    collection.acl.movePath(oldPath, newPath);
+    collection.watcher.sync(oldPath);
+    collection.watcher.sync(newPath);
 
     // Calculate old and new API paths for broadcasting
     const oldApiPath = prepared.normalizedPath;
-    const newApiPath = toApiPath(path.relative(VOLUME_PATH, newPath));
+    const newApiPath = toApiPath(collection, path.relative(collection.root, newPath));
 
     // Broadcast the rename as a delete of old path and create of new path
-    broadcastChange(ROOT_NAME, 'deleted', oldApiPath);
-    broadcastChange(ROOT_NAME, 'created', newApiPath);
+    broadcastChange(collection.name, 'deleted', oldApiPath);
+    broadcastChange(collection.name, 'created', newApiPath);
+    announceRewrittenNotes(collection, rewrittenLinks, 'Links rewritten');
 
     res.status(200).json({
       message: `${stats.isDirectory() ? 'Directory' : 'File'} renamed successfully`,
       oldPath: oldApiPath,
       newPath: newApiPath,
       name: sanitizedName,
-      type: stats.isDirectory() ? 'directory' : 'file'
+      type: stats.isDirectory() ? 'directory' : 'file',
+      linkRewrites: toRewrittenLinksResponse(collection, linkRewrites, rewrittenLinks)
     });
   } catch (error) {
     console.error('Error renaming item:', error);
@@ -728,19 +1834,27 @@ app.post('/markdown/rename', async (req, res) => {
 // DELETE route to delete files or directories
 app.delete('/markdown', async (req, res) => {
   try {
+    const { collection } = req;
+
     const rawPath = Array.isArray(req.query.path) ? req.query.path[0] : req.query.path;
     const recursive = req.query.recursive === 'true';
+    // The trash_dir collection setting. The server has no access to the system trash of the
+    // client, so 'system' is handled like 'haptic'
+    const trashMode =
+      (Array.isArray(req.query.trash) ? req.query.trash[0] : req.query.trash) || TRASH_MODE;
+    const permanent = trashMode === 'delete';
 
     if (!rawPath) {
       return res.status(400).json({ error: 'Path parameter is required' });
     }
 
-    const resolved = resolveFsPathFromApiPath(rawPath);
+    const resolved = resolveFsPathFromApiPath(collection, rawPath);
     if (!resolved) {
       return res.status(400).json({ error: 'Invalid path' });
     }
 
     const { prepared: preparedPath, fsPath: targetPath } = resolved;
+    if (!authorize(req, res, targetPath, 'write', { recursive: true })) return;
 
     // Check if the path exists
     let stats;
@@ -757,7 +1871,7 @@ app.delete('/markdown', async (req, res) => {
     }
 
     // Prevent deletion of the root volume directory
-    const volResolved = path.resolve(VOLUME_PATH);
+    const volResolved = collection.root;
     if (targetPath === volResolved) {
       return res.status(403).json({
         error: 'Cannot delete root directory',
@@ -781,32 +1895,53 @@ app.delete('/markdown', async (req, res) => {
         }
       }
 
-      // Delete directory (recursive if specified)
-      await fs.rmdir(targetPath, { recursive });
-      console.log(`Directory deleted: ${targetPath}`);
+      // Move the directory to the trash or delete it (recursive if specified), with pending
+      // collaborative edits of its notes
+      await collection.collab.flush(targetPath, 'deleted');
+      const trashItem = permanent ? null : await collection.trash.moveToTrash(targetPath);
+      if (permanent) {
+        await fs.rmdir(targetPath, { recursive });
+        await collection.history.removePath(targetPath);
+        await collection.acl.removePath(targetPath);
+      }
+      console.log(`Directory ${permanent ? 'deleted' : 'moved to trash'}: ${targetPath}`);
+      collection.searchIndex.removePath(targetPath);
+      collection.linkIndex.removePath(targetPath);
+      collection.watcher.sync(targetPath);
 
       // Broadcast the directory deletion to WebSocket clients
-      broadcastChange(ROOT_NAME, 'deleted', preparedPath.normalizedPath);
+      broadcastChange(collection.name, 'deleted', preparedPath.normalizedPath);
 
       res.status(200).json({
-        message: 'Directory deleted successfully',
+        message: `Directory ${permanent ? 'deleted' : 'moved to trash'} successfully`,
         path: preparedPath.normalizedPath,
         type: 'directory',
-        recursive
+        recursive,
+        trashId: trashItem?.id ?? null
       });
     } else {
-      // Delete file
-      await fs.unlink(targetPath);
-      console.log(`File deleted: ${targetPath}`);
+      // Move the file to the trash or delete it, with pending collaborative edits
+      await collection.collab.flush(targetPath, 'deleted');
+      const trashItem = permanent ? null : await collection.trash.moveToTrash(targetPath);
+      if (permanent) {
+        await fs.unlink(targetPath);
+        await collection.history.removePath(targetPath);
+        await collection.acl.removePath(targetPath);
+      }
+      console.log(`File ${permanent ? 'deleted' : 'moved to trash'}: ${targetPath}`);
+      collection.searchIndex.removePath(targetPath);
+      collection.linkIndex.removePath(targetPath);
+      collection.watcher.sync(targetPath);
 
       // Broadcast the file deletion to WebSocket clients
-      broadcastChange(ROOT_NAME, 'deleted', preparedPath.normalizedPath);
+      broadcastChange(collection.name, 'deleted', preparedPath.normalizedPath);
 
       res.status(200).json({
-        message: 'File deleted successfully',
+        message: `File ${permanent ? 'deleted' : 'moved to trash'} successfully`,
         path: preparedPath.normalizedPath,
         name: path.basename(targetPath),
-        type: 'file'
+        type: 'file',
+        trashId: trashItem?.id ?? null
       });
     }
   } catch (error) {
@@ -818,14 +1953,18 @@ app.delete('/markdown', async (req, res) => {
   }
 });
 
-// POST route to move files or directories
+// POST route to move files or directories. Links to them are rewritten to the new location;
+// with "dryRun": true, nothing is moved and the notes whose links would change are listed
 app.post('/markdown/move', async (req, res) => {
   try {
+    const { collection } = req;
+
     if (!req.is('application/json')) {
       return res.status(400).json({ error: 'Invalid content type. Expected application/json' });
     }
 
     const { sourcePath, targetPath } = req.body;
+    const dryRun = req.body.dryRun === true;
 
     if (!sourcePath) {
       return res
@@ -840,7 +1979,7 @@ app.post('/markdown/move', async (req, res) => {
     }
 
     // Resolve source path
-    const sourceResolved = resolveFsPathFromApiPath(sourcePath);
+    const sourceResolved = resolveFsPathFromApiPath(collection, sourcePath);
     if (!sourceResolved) {
       return res.status(400).json({
         error: 'Invalid source path provided. Ensure the "sourcePath" field contains a valid value'
@@ -848,7 +1987,7 @@ app.post('/markdown/move', async (req, res) => {
     }
 
     // Resolve target directory path
-    const targetResolved = resolveFsPathFromApiPath(targetPath);
+    const targetResolved = resolveFsPathFromApiPath(collection, targetPath);
     if (!targetResolved) {
       return res.status(400).json({
         error: 'Invalid target path provided. Ensure the "targetPath" field contains a valid value'
@@ -857,6 +1996,7 @@ app.post('/markdown/move', async (req, res) => {
 
     const { prepared: sourcePrepared, fsPath: sourceFsPath } = sourceResolved;
     const { prepared: targetPrepared, fsPath: targetFsPath } = targetResolved;
+    if (!authorize(req, res, sourceFsPath, 'write', { recursive: true })) return;
 
     // Check if source exists
     let sourceStats;
@@ -895,6 +2035,7 @@ app.post('/markdown/move', async (req, res) => {
     // Get the name of the file/directory being moved
     const itemName = path.basename(sourceFsPath);
     const newPath = path.join(targetFsPath, itemName);
+    if (!authorize(req, res, newPath, 'write', { recursive: true })) return;
 
     // Check if destination already exists (name conflict)
     try {
@@ -910,26 +2051,56 @@ app.post('/markdown/move', async (req, res) => {
       // Destination doesn't exist, which is what we want
     }
 
-    // Perform the move operation
+    // Links to the item, and relative links of the notes it contains, that the move breaks
+    const linkRewrites = await planLinkRewrites(req, sourceFsPath, newPath);
+    if (dryRun) {
+      return res.status(200).json({
+        dryRun: true,
+        oldPath: sourcePrepared.normalizedPath,
+        newPath: toApiPath(collection, path.relative(collection.root, newPath)),
+        linkRewrites: linkRewrites.map((rewrite) => toLinkRewriteResponse(collection, rewrite))
+      });
+    }
+
+    // Perform the move operation, after writing pending collaborative edits, and rewrite the
+    // links. The move is undone if the links can't be rewritten
+    await collection.collab.flush(sourceFsPath, 'moved');
     await fs.rename(sourceFsPath, newPath);
+    // The history follows first, so the versions saved before rewriting links are kept with it
+    await collection.history.movePath(sourceFsPath, newPath);
+    let rewrittenLinks;
+    try {
+      rewrittenLinks = await rewriteLinks(collection, linkRewrites);
+    } catch (error) {
+      await fs.rename(newPath, sourceFsPath);
+      await collection.history.movePath(newPath, sourceFsPath);
+      throw error;
+    }
     console.log(
       `${sourceStats.isDirectory() ? 'Directory' : 'File'} moved from ${sourceFsPath} to ${newPath}`
     );
+    collection.searchIndex.movePath(sourceFsPath, newPath);
+    collection.linkIndex.movePath(sourceFsPath, newPath);
+    collection.acl.movePath(sourceFsPath, newPath);
+    collection.watcher.sync(sourceFsPath);
+    collection.watcher.sync(newPath);
 
     // Calculate old and new API paths for broadcasting
     const oldApiPath = sourcePrepared.normalizedPath;
-    const newApiPath = toApiPath(path.relative(VOLUME_PATH, newPath));
+    const newApiPath = toApiPath(collection, path.relative(collection.root, newPath));
 
     // Broadcast the move as a delete of old path and create of new path
-    broadcastChange(ROOT_NAME, 'deleted', oldApiPath);
-    broadcastChange(ROOT_NAME, 'created', newApiPath);
+    broadcastChange(collection.name, 'deleted', oldApiPath);
+    broadcastChange(collection.name, 'created', newApiPath);
+    announceRewrittenNotes(collection, rewrittenLinks, 'Links rewritten');
 
     res.status(200).json({
       message: `${sourceStats.isDirectory() ? 'Directory' : 'File'} moved successfully`,
       oldPath: oldApiPath,
       newPath: newApiPath,
       name: itemName,
-      type: sourceStats.isDirectory() ? 'directory' : 'file'
+      type: sourceStats.isDirectory() ? 'directory' : 'file',
+      linkRewrites: toRewrittenLinksResponse(collection, linkRewrites, rewrittenLinks)
     });
   } catch (error) {
     console.error('Error moving item:', error);
@@ -940,14 +2111,2075 @@ app.post('/markdown/move', async (req, res) => {
   }
 });
 
-// Health check route
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+// POST route to upload attachments (multipart/form-data, any number of files) for the note
+// or folder in the "path" query parameter. Files are stored in the attachments folder next to
+// the note, or inside of the folder, under a free name
+app.post('/markdown/attachments', async (req, res) => {
+  try {
+    const { collection } = req;
+
+    if (!req.is('multipart/form-data')) {
+      return res.status(400).json({ error: 'Invalid content type. Expected multipart/form-data' });
+    }
+
+    const rawPath = Array.isArray(req.query.path) ? req.query.path[0] : req.query.path;
+    if (!rawPath) {
+      return res.status(400).json({ error: 'Path parameter is required' });
+    }
+
+    const resolved = resolveFsPathFromApiPath(collection, rawPath);
+    if (!resolved) {
+      return res.status(400).json({ error: 'Invalid path' });
+    }
+
+    // A note (existing or not) or a folder
+    const { fsPath } = resolved;
+    let isFolder = false;
+    try {
+      isFolder = (await fs.stat(fsPath)).isDirectory();
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    const noteDir = isFolder ? fsPath : path.dirname(fsPath);
+    const attachmentsDir = path.join(noteDir, ATTACHMENTS_DIR);
+    if (!authorize(req, res, attachmentsDir, 'write')) return;
+
+    let saved;
+    try {
+      saved = await receiveAttachments(req, attachmentsDir, {
+        maxBytes: ATTACHMENT_MAX_MB * 1024 * 1024
+      });
+    } catch (error) {
+      if (error.code === 'ETOOLARGE') {
+        return res.status(413).json({
+          error: 'Attachment too large',
+          details: `Attachments can be at most ${ATTACHMENT_MAX_MB} MB`
+        });
+      }
+      if (error.code === 'EINVAL') {
+        return res.status(400).json({ error: 'Invalid upload', details: error.message });
+      }
+      throw error;
+    }
+
+    const attachments = saved.map(({ fsPath: attachmentPath, name, size, contentType }) => {
+      console.log(`Attachment uploaded: ${attachmentPath}`);
+      collection.watcher.sync(attachmentPath);
+
+      const apiPath = toApiPath(collection, path.relative(collection.root, attachmentPath));
+      broadcastChange(collection.name, 'created', apiPath);
+
+      const link = toRelativeLink(noteDir, attachmentPath);
+      return {
+        path: apiPath,
+        name,
+        size,
+        contentType,
+        link, // relative to the folder of the note
+        markdown: `${isImage(attachmentPath) ? '!' : ''}[${name}](${link})`
+      };
+    });
+
+    res.status(201).json({
+      message: 'Attachments uploaded successfully',
+      attachments
+    });
+  } catch (error) {
+    console.error('Error uploading attachments:', error);
+    res.status(500).json({
+      error: 'Failed to upload attachments',
+      details: error.message
+    });
+  }
 });
 
-// Start server
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`WebSocket server running on ws://localhost:${PORT}`);
-  console.log(`Data directory: ${VOLUME_PATH}`);
+// GET route to stream an attachment with its content type. Supports Range requests (e.g. for
+// seeking in audio and video) and conditional requests
+app.get('/markdown/attachments', async (req, res) => {
+  try {
+    const { collection } = req;
+
+    const rawPath = Array.isArray(req.query.path) ? req.query.path[0] : req.query.path;
+    if (!rawPath) {
+      return res.status(400).json({ error: 'Path parameter is required' });
+    }
+
+    const resolved = resolveFsPathFromApiPath(collection, rawPath);
+    if (!resolved) {
+      return res.status(400).json({ error: 'Invalid path' });
+    }
+
+    const { fsPath } = resolved;
+    if (!authorize(req, res, fsPath, 'read')) return;
+
+    let stats;
+    try {
+      stats = await fs.stat(fsPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    if (!stats || !stats.isFile()) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    res.sendFile(
+      fsPath,
+      {
+        headers: {
+          'Content-Type': contentTypeOf(fsPath),
+          // Attachments are user content: don't let browsers run scripts from it (e.g. SVGs)
+          'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; sandbox",
+          'X-Content-Type-Options': 'nosniff'
+        }
+      },
+      (error) => {
+        if (!error || res.headersSent) return;
+        console.error('Error streaming attachment:', error);
+        res.status(error.status || 500).json({
+          error: 'Failed to read attachment',
+          details: error.message
+        });
+      }
+    );
+  } catch (error) {
+    console.error('Error reading attachment:', error);
+    res.status(500).json({
+      error: 'Failed to read attachment',
+      details: error.message
+    });
+  }
+});
+
+// The items of buildFileTree with paths relative to the exported folder (API path `apiPath`)
+const toExportTree = (items, apiPath) =>
+  items.map((item) => ({
+    ...item,
+    path: item.path.slice(apiPath.length + 1),
+    ...(item.children && { children: toExportTree(item.children, apiPath) })
+  }));
+
+// GET route to download a folder (default: the whole collection) as a ZIP archive of its notes
+// and attachments ("format=zip"), or rendered as a static HTML site ("format=html")
+app.get('/markdown/export', async (req, res) => {
+  try {
+    const { collection } = req;
+
+    const rawPath = Array.isArray(req.query.path) ? req.query.path[0] : req.query.path;
+    const format =
+      (Array.isArray(req.query.format) ? req.query.format[0] : req.query.format) || 'zip';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: 'Invalid export format', formats: EXPORT_FORMATS });
+    }
+
+    const resolved = rawPath
+      ? resolveFsPathFromApiPath(collection, rawPath)
+      : { fsPath: collection.root };
+    if (!resolved) {
+      return res.status(400).json({ error: 'Invalid path' });
+    }
+    const { fsPath } = resolved;
+
+    let stats;
+    try {
+      stats = await fs.stat(fsPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    if (!stats) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+    if (!stats.isDirectory()) {
+      return res.status(400).json({ error: 'Only folders can be exported' });
+    }
+    if (!canSeeEntry(collection, req.user)(fsPath, true)) {
+      return authorize(req, res, fsPath, 'read');
+    }
+
+    const relativePath = path.relative(collection.root, fsPath);
+    const apiPath = toApiPath(collection, relativePath);
+    const tree = toExportTree(
+      await buildFileTree(collection, fsPath, relativePath, req.user),
+      apiPath
+    );
+
+    const title = relativePath ? path.basename(fsPath) : collection.name;
+    const fail = (error) => {
+      console.error('Error exporting folder:', error);
+      res.destroy(error);
+    };
+    const zip =
+      format === 'html'
+        ? createSite(fsPath, tree, {
+            title,
+            outgoing: async (notePath) =>
+              (await collection.linkIndex.outgoing(notePath))?.map((link) => ({
+                ...link,
+                resolvedPath: link.resolvedPath && path.join(collection.root, link.resolvedPath)
+              }))
+          })
+        : createArchive(fsPath, tree);
+    zip.on('error', fail);
+
+    const fileName = `${title}${format === 'html' ? ' (site)' : ''}.zip`;
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${fileName.replace(/[^\x20-\x7e]|"/g, '_')}"; filename*=UTF-8''${encodeURIComponent(fileName)}`
+    });
+    zip.outputStream.pipe(res);
+  } catch (error) {
+    console.error('Error exporting folder:', error);
+    res.status(500).json({ error: 'Failed to export folder', details: error.message });
+  }
+});
+
+// POST route to import a ZIP archive (uploaded as multipart/form-data) into a folder (default:
+// the collection). Obsidian vaults and Notion markdown exports are recognized: names are made
+// valid, Notion's page ids are removed and links are fixed up. Files that already exist are
+// skipped, or imported under a numbered name with "conflict=rename"
+app.post('/markdown/import', async (req, res) => {
+  const { collection } = req;
+  let uploaded = [];
+
+  try {
+    if (!req.is('multipart/form-data')) {
+      return res.status(400).json({ error: 'Invalid content type. Expected multipart/form-data' });
+    }
+
+    const rawPath = Array.isArray(req.query.path) ? req.query.path[0] : req.query.path;
+    const conflict =
+      (Array.isArray(req.query.conflict) ? req.query.conflict[0] : req.query.conflict) || 'skip';
+    if (!['skip', 'rename'].includes(conflict)) {
+      return res.status(400).json({
+        error: 'Invalid conflict handling',
+        details: 'Use "skip" or "rename"'
+      });
+    }
+
+    const resolved = rawPath
+      ? resolveFsPathFromApiPath(collection, rawPath)
+      : { fsPath: collection.root };
+    if (!resolved) {
+      return res.status(400).json({ error: 'Invalid path' });
+    }
+    const targetDir = resolved.fsPath;
+    try {
+      if (!(await fs.stat(targetDir)).isDirectory()) {
+        return res.status(400).json({ error: 'Target is not a folder' });
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      // Created by the import
+    }
+    if (!authorize(req, res, targetDir, 'write')) return;
+
+    try {
+      uploaded = await receiveAttachments(req, path.join(collection.root, '.haptic', 'imports'), {
+        maxBytes: IMPORT_MAX_MB * 1024 * 1024,
+        maxFiles: 1
+      });
+    } catch (error) {
+      if (error.code === 'ETOOLARGE') {
+        return res.status(413).json({
+          error: 'Archive too large',
+          details: `Archives can be at most ${IMPORT_MAX_MB} MB`
+        });
+      }
+      if (error.code === 'EINVAL') {
+        return res.status(400).json({ error: 'Invalid upload', details: error.message });
+      }
+      throw error;
+    }
+
+    let result;
+    try {
+      result = await importArchive(uploaded[0].fsPath, targetDir, {
+        onConflict: conflict,
+        canWrite: (fsPath) => collection.acl.can(req.user, fsPath, 'write'),
+        maxFileBytes: ATTACHMENT_MAX_MB * 1024 * 1024
+      });
+    } catch (error) {
+      if (error.code === 'EINVAL') {
+        return res.status(400).json({ error: 'Invalid ZIP archive', details: error.message });
+      }
+      throw error;
+    }
+
+    const toImportedPath = (fsPath) =>
+      toApiPath(collection, path.relative(collection.root, fsPath));
+
+    for (const { fsPath } of result.imported) {
+      collection.searchIndex.updateFile(fsPath);
+      collection.linkIndex.updateFile(fsPath);
+      collection.watcher.sync(fsPath);
+    }
+    for (const fsPath of [...result.directories, ...result.imported.map((file) => file.fsPath)]) {
+      broadcastChange(collection.name, 'created', toImportedPath(fsPath));
+    }
+
+    console.log(`Imported ${result.imported.length} files into ${targetDir} (${result.source})`);
+    res.status(201).json({
+      path: toImportedPath(targetDir),
+      source: result.source,
+      imported: result.imported.map(({ from, fsPath }) => ({ from, path: toImportedPath(fsPath) })),
+      conflicts: result.conflicts.map(({ from, fsPath, renamed }) => ({
+        from,
+        path: toImportedPath(fsPath),
+        renamed: renamed && toImportedPath(renamed)
+      })),
+      skipped: result.skipped
+    });
+  } catch (error) {
+    console.error('Error importing archive:', error);
+    res.status(500).json({ error: 'Failed to import archive', details: error.message });
+  } finally {
+    await Promise.all(uploaded.map(({ fsPath }) => fs.rm(fsPath, { force: true })));
+  }
+});
+
+const toTrashItemResponse = (
+  collection,
+  { id, name, originalPath, type, deletedAt, expiresAt }
+) => ({
+  id,
+  name,
+  path: toApiPath(collection, originalPath),
+  type,
+  deletedAt,
+  expiresAt
+});
+
+// GET route to list the items in the trash of a collection, most recently deleted first
+app.get('/markdown/trash', async (req, res) => {
+  try {
+    const { collection } = req;
+
+    const items = (await collection.trash.list()).filter((item) =>
+      collection.acl.can(req.user, path.join(collection.root, item.originalPath), 'read')
+    );
+
+    res.json(items.map((item) => toTrashItemResponse(collection, item)));
+  } catch (error) {
+    console.error('Error listing trash:', error);
+    res.status(500).json({ error: 'Failed to list trash', details: error.message });
+  }
+});
+
+// POST route to restore an item from the trash. If its original path is taken by now, the
+// item is restored under a numbered name ("<name> (1).md")
+app.post('/markdown/trash/:id/restore', async (req, res) => {
+  try {
+    const { collection } = req;
+
+    const trashed = await collection.trash.get(req.params.id);
+    if (!trashed) {
+      return res.status(404).json({
+        error: 'Trash item not found',
+        details: `No item with id "${req.params.id}" in the trash`
+      });
+    }
+    if (!authorize(req, res, path.join(collection.root, trashed.originalPath), 'write')) return;
+
+    const restored = await collection.trash.restore(trashed.id);
+    if (!restored) {
+      return res.status(404).json({
+        error: 'Trash item not found',
+        details: `No item with id "${req.params.id}" in the trash`
+      });
+    }
+
+    const { item, fsPath } = restored;
+    console.log(`Restored ${item.type} from trash: ${fsPath}`);
+    const originalFsPath = path.join(collection.root, item.originalPath);
+    if (fsPath !== originalFsPath) {
+      // Restored under a numbered name: the history and access rules go with it
+      await collection.history.movePath(originalFsPath, fsPath);
+      await collection.acl.movePath(originalFsPath, fsPath);
+    }
+    if (item.type === 'directory') {
+      collection.searchIndex.updateDirectory(fsPath);
+      collection.linkIndex.updateDirectory(fsPath);
+    } else {
+      collection.searchIndex.updateFile(fsPath);
+      collection.linkIndex.updateFile(fsPath);
+    }
+    collection.watcher.sync(fsPath);
+
+    const apiPath = toApiPath(collection, path.relative(collection.root, fsPath));
+    broadcastChange(collection.name, 'created', apiPath);
+
+    res.status(200).json({
+      message: `${item.type === 'directory' ? 'Directory' : 'File'} restored successfully`,
+      path: apiPath,
+      originalPath: toApiPath(collection, item.originalPath),
+      renamed: path.relative(collection.root, fsPath) !== item.originalPath,
+      type: item.type
+    });
+  } catch (error) {
+    console.error('Error restoring trash item:', error);
+    res.status(500).json({ error: 'Failed to restore trash item', details: error.message });
+  }
+});
+
+// DELETE route to permanently delete an item from the trash
+app.delete('/markdown/trash/:id', async (req, res) => {
+  try {
+    const { collection } = req;
+
+    const trashed = await collection.trash.get(req.params.id);
+    if (trashed) {
+      if (!authorize(req, res, path.join(collection.root, trashed.originalPath), 'write')) return;
+    }
+
+    const purged = trashed && (await collection.trash.purge(trashed.id));
+    if (!purged) {
+      return res.status(404).json({
+        error: 'Trash item not found',
+        details: `No item with id "${req.params.id}" in the trash`
+      });
+    }
+    await forgetPurgedItems(collection, [purged]);
+    console.log(`Purged ${purged.type} from trash: ${purged.originalPath}`);
+
+    res.status(200).json({
+      message: 'Trash item deleted permanently',
+      item: toTrashItemResponse(collection, purged)
+    });
+  } catch (error) {
+    console.error('Error purging trash item:', error);
+    res.status(500).json({ error: 'Failed to purge trash item', details: error.message });
+  }
+});
+
+// DELETE route to empty the trash
+app.delete('/markdown/trash', async (req, res) => {
+  try {
+    const { collection } = req;
+    if (!authorize(req, res, collection.root, 'admin')) return;
+
+    const purged = await collection.trash.empty();
+    await forgetPurgedItems(collection, purged);
+    console.log(`Emptied trash of ${collection.name} (${purged.length} item(s))`);
+
+    res.status(200).json({ message: 'Trash emptied successfully', purged: purged.length });
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    res.status(500).json({ error: 'Failed to empty trash', details: error.message });
+  }
+});
+
+// Resolve the note (or folder) a request refers to; sends an error response and
+// returns null if the path is missing or invalid or the caller lacks the permission
+const resolveAuthorizedPath = (req, res, rawPath, permission) => {
+  if (!rawPath) {
+    res.status(400).json({ error: 'Path parameter is required' });
+    return null;
+  }
+
+  const resolved = resolveFsPathFromApiPath(req.collection, rawPath);
+  if (!resolved) {
+    res.status(400).json({ error: 'Invalid path' });
+    return null;
+  }
+
+  return authorize(req, res, resolved.fsPath, permission) ? resolved : null;
+};
+
+// GET route to list the versions of a note, newest first
+app.get('/markdown/versions', async (req, res) => {
+  try {
+    const { collection } = req;
+
+    const rawPath = Array.isArray(req.query.path) ? req.query.path[0] : req.query.path;
+    const resolved = resolveAuthorizedPath(req, res, rawPath, 'read');
+    if (!resolved) return;
+
+    const versions = await collection.history.list(resolved.fsPath);
+
+    res.json({ path: resolved.prepared.normalizedPath, versions });
+  } catch (error) {
+    console.error('Error listing note versions:', error);
+    res.status(500).json({ error: 'Failed to list note versions', details: error.message });
+  }
+});
+
+// GET route to diff two versions of a note; "to" defaults to the current content ("current")
+app.get('/markdown/versions/diff', async (req, res) => {
+  try {
+    const { collection } = req;
+
+    const rawPath = Array.isArray(req.query.path) ? req.query.path[0] : req.query.path;
+    const from = Array.isArray(req.query.from) ? req.query.from[0] : req.query.from;
+    const to = (Array.isArray(req.query.to) ? req.query.to[0] : req.query.to) || 'current';
+
+    const resolved = resolveAuthorizedPath(req, res, rawPath, 'read');
+    if (!resolved) return;
+
+    if (!from) {
+      return res.status(400).json({ error: 'from parameter is required' });
+    }
+
+    const readContent = async (versionId) => {
+      if (versionId === 'current') {
+        try {
+          return await fs.readFile(resolved.fsPath, 'utf8');
+        } catch (error) {
+          if (error.code === 'ENOENT') return null;
+          throw error;
+        }
+      }
+
+      const version = await collection.history.read(resolved.fsPath, versionId);
+      return version ? version.content : null;
+    };
+
+    const [fromContent, toContent] = await Promise.all([readContent(from), readContent(to)]);
+    if (fromContent === null || toContent === null) {
+      return res.status(404).json({
+        error: 'Version not found',
+        details: `Version "${fromContent === null ? from : to}" does not exist for this note`
+      });
+    }
+
+    res.json({
+      path: resolved.prepared.normalizedPath,
+      from,
+      to,
+      ...diffLines(fromContent, toContent)
+    });
+  } catch (error) {
+    console.error('Error diffing note versions:', error);
+    res.status(500).json({ error: 'Failed to diff note versions', details: error.message });
+  }
+});
+
+// GET route to fetch a version of a note including its content
+app.get('/markdown/versions/:versionId', async (req, res) => {
+  try {
+    const { collection } = req;
+
+    const rawPath = Array.isArray(req.query.path) ? req.query.path[0] : req.query.path;
+    const resolved = resolveAuthorizedPath(req, res, rawPath, 'read');
+    if (!resolved) return;
+
+    const version = await collection.history.read(resolved.fsPath, req.params.versionId);
+    if (!version) {
+      return res.status(404).json({
+        error: 'Version not found',
+        details: `Version "${req.params.versionId}" does not exist for this note`
+      });
+    }
+
+    res.json({ path: resolved.prepared.normalizedPath, ...version });
+  } catch (error) {
+    console.error('Error fetching note version:', error);
+    res.status(500).json({ error: 'Failed to fetch note version', details: error.message });
+  }
+});
+
+// POST route to restore a version of a note. The content it replaces becomes a new version,
+// so a restore can be undone like any other change
+app.post('/markdown/versions/:versionId/restore', async (req, res) => {
+  try {
+    const { collection } = req;
+
+    const resolved = resolveAuthorizedPath(req, res, req.body?.path, 'write');
+    if (!resolved) return;
+
+    const { prepared, fsPath } = resolved;
+
+    await withFileLock(fsPath, async () => {
+      const version = await collection.history.read(fsPath, req.params.versionId);
+      if (!version) {
+        return res.status(404).json({
+          error: 'Version not found',
+          details: `Version "${req.params.versionId}" does not exist for this note`
+        });
+      }
+
+      let currentContent = null;
+      try {
+        currentContent = await fs.readFile(fsPath, 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        // The note was deleted; restoring recreates it
+      }
+
+      if (currentContent !== null && currentContent !== version.content) {
+        await collection.history.snapshot(fsPath, currentContent);
+      }
+
+      await fs.mkdir(path.dirname(fsPath), { recursive: true });
+      await fs.writeFile(fsPath, version.content, 'utf8');
+      console.log(`Markdown file restored to version ${version.id}: ${fsPath}`);
+      collection.collab.discard(fsPath);
+      collection.searchIndex.updateFile(fsPath, version.content);
+      collection.linkIndex.updateFile(fsPath, version.content);
+      collection.watcher.sync(fsPath);
+
+      broadcastChange(
+        collection.name,
+        currentContent === null ? 'created' : 'updated',
+        prepared.normalizedPath
+      );
+
+      const etag = computeEtag(version.content);
+      res.set('ETag', etag);
+      res.status(200).json({
+        message: 'Markdown file restored successfully',
+        path: prepared.normalizedPath,
+        versionId: version.id,
+        content: version.content,
+        etag
+      });
+    });
+  } catch (error) {
+    console.error('Error restoring note version:', error);
+    res.status(500).json({ error: 'Failed to restore note version', details: error.message });
+  }
+});
+
+const toLinkResponse = ({ type, target, anchor, text, embed, line, context }) => ({
+  type, // 'wiki' or 'markdown'
+  target, // note name or path as written in the note
+  anchor,
+  text,
+  embed,
+  line,
+  context
+});
+
+// GET route to list the links of a note to other notes. "path" is the API path of the note
+// a link resolves to, or null for links to notes that don't exist
+app.get('/markdown/links', async (req, res) => {
+  try {
+    const { collection } = req;
+
+    const rawPath = Array.isArray(req.query.path) ? req.query.path[0] : req.query.path;
+    const resolved = resolveAuthorizedPath(req, res, rawPath, 'read');
+    if (!resolved) return;
+
+    const links = await collection.linkIndex.outgoing(resolved.fsPath);
+    if (!links) {
+      return res.status(404).json({
+        error: 'Note not found',
+        details: 'The requested note does not exist'
+      });
+    }
+
+    res.json({
+      path: resolved.prepared.normalizedPath,
+      links: links
+        // Don't reveal notes the user may not read
+        .filter(
+          ({ resolvedPath }) =>
+            !resolvedPath ||
+            collection.acl.can(req.user, path.join(collection.root, resolvedPath), 'read')
+        )
+        .map((link) => ({
+          ...toLinkResponse(link),
+          path: link.resolvedPath ? toApiPath(collection, link.resolvedPath) : null
+        }))
+    });
+  } catch (error) {
+    console.error('Error fetching note links:', error);
+    res.status(500).json({ error: 'Failed to fetch note links', details: error.message });
+  }
+});
+
+// GET route to list the notes linking to a note, with the lines containing the links
+app.get('/markdown/backlinks', async (req, res) => {
+  try {
+    const { collection } = req;
+
+    const rawPath = Array.isArray(req.query.path) ? req.query.path[0] : req.query.path;
+    const resolved = resolveAuthorizedPath(req, res, rawPath, 'read');
+    if (!resolved) return;
+
+    const backlinks = await collection.linkIndex.backlinks(resolved.fsPath);
+
+    res.json({
+      path: resolved.prepared.normalizedPath,
+      backlinks: backlinks
+        .filter(({ sourcePath }) =>
+          collection.acl.can(req.user, path.join(collection.root, sourcePath), 'read')
+        )
+        .map(({ sourcePath, links }) => ({
+          path: toApiPath(collection, sourcePath),
+          name: path.basename(sourcePath),
+          links: links.map((link) => toLinkResponse(link))
+        }))
+    });
+  } catch (error) {
+    console.error('Error fetching backlinks:', error);
+    res.status(500).json({ error: 'Failed to fetch backlinks', details: error.message });
+  }
+});
+
+// GET route to list the links to notes that don't exist, of a note or of all notes below a
+// folder (the whole volume if no path is specified)
+app.get('/markdown/links/unresolved', async (req, res) => {
+  try {
+    const { collection } = req;
+
+    const rawPath = Array.isArray(req.query.path) ? req.query.path[0] : req.query.path;
+    let targetPath = collection.root;
+    if (rawPath) {
+      const resolved = resolveAuthorizedPath(req, res, rawPath, 'read');
+      if (!resolved) return;
+      targetPath = resolved.fsPath;
+    }
+
+    const links = await collection.linkIndex.unresolved(targetPath);
+
+    res.json({
+      path: toApiPath(collection, path.relative(collection.root, targetPath)),
+      links: links
+        .filter(({ sourcePath }) =>
+          collection.acl.can(req.user, path.join(collection.root, sourcePath), 'read')
+        )
+        .map((link) => ({
+          source: toApiPath(collection, link.sourcePath),
+          ...toLinkResponse(link)
+        }))
+    });
+  } catch (error) {
+    console.error('Error fetching unresolved links:', error);
+    res.status(500).json({ error: 'Failed to fetch unresolved links', details: error.message });
+  }
+});
+
+const toDailyNoteResponse = (collection, { fsPath, date, words, modifiedAt }) => ({
+  path: toApiPath(collection, path.relative(collection.root, fsPath)),
+  name: path.basename(fsPath),
+  date,
+  ...(words !== undefined && { words }),
+  ...(modifiedAt && { modifiedAt: modifiedAt.toISOString() })
+});
+
+// GET route to list the daily notes, newest first, optionally from "from" to "to" (YYYY-MM-DD,
+// inclusive)
+app.get('/markdown/daily', async (req, res) => {
+  try {
+    const { collection } = req;
+
+    const from = Array.isArray(req.query.from) ? req.query.from[0] : req.query.from;
+    const to = Array.isArray(req.query.to) ? req.query.to[0] : req.query.to;
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+      return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+    }
+
+    const notes = await collection.daily.list({ from, to });
+    res.json(
+      notes
+        .filter(({ fsPath }) => collection.acl.can(req.user, fsPath, 'read'))
+        .map((note) => toDailyNoteResponse(collection, note))
+    );
+  } catch (error) {
+    console.error('Error listing daily notes:', error);
+    res.status(500).json({ error: 'Failed to list daily notes', details: error.message });
+  }
+});
+
+// POST route to get the daily note of "date" (default: today), which is created from the
+// daily note template if it doesn't exist yet (201)
+app.post('/markdown/daily', async (req, res) => {
+  try {
+    const { collection } = req;
+
+    const date = req.body?.date ?? today();
+    if (!isValidDate(date)) {
+      return res.status(400).json({ error: 'date must be a date (YYYY-MM-DD)' });
+    }
+
+    const fsPath = collection.daily.pathFor(date);
+    const exists = await fs
+      .stat(fsPath)
+      .then(() => true)
+      .catch(() => false);
+    if (!authorize(req, res, fsPath, exists ? 'read' : 'write')) return;
+
+    const { content, created } = await collection.daily.getOrCreate(date);
+    const apiPath = toApiPath(collection, path.relative(collection.root, fsPath));
+    if (created) {
+      console.log(`Daily note created: ${fsPath}`);
+      collection.searchIndex.updateFile(fsPath, content);
+      collection.linkIndex.updateFile(fsPath, content);
+      collection.watcher.sync(fsPath);
+      broadcastChange(collection.name, 'created', apiPath);
+    }
+
+    const etag = computeEtag(content);
+    res.set('ETag', etag);
+    res.status(created ? 201 : 200).json({
+      path: apiPath,
+      name: path.basename(fsPath),
+      date,
+      content,
+      etag,
+      created
+    });
+  } catch (error) {
+    console.error('Error opening daily note:', error);
+    res.status(500).json({ error: 'Failed to open daily note', details: error.message });
+  }
+});
+
+// GET route to find the daily notes before and after "date" (YYYY-MM-DD), for navigating
+// between them
+app.get('/markdown/daily/adjacent', async (req, res) => {
+  try {
+    const { collection } = req;
+
+    const date = Array.isArray(req.query.date) ? req.query.date[0] : req.query.date;
+    if (!isValidDate(date)) {
+      return res.status(400).json({ error: 'date must be a date (YYYY-MM-DD)' });
+    }
+
+    const { previous, next } = await collection.daily.adjacent(date, (fsPath) =>
+      collection.acl.can(req.user, fsPath, 'read')
+    );
+    res.json({
+      date,
+      previous: previous && toDailyNoteResponse(collection, previous),
+      next: next && toDailyNoteResponse(collection, next)
+    });
+  } catch (error) {
+    console.error('Error finding adjacent daily notes:', error);
+    res.status(500).json({ error: 'Failed to find adjacent daily notes', details: error.message });
+  }
+});
+
+// GET route to list the note templates with the names of their custom variables, which
+// clients should ask for when creating a note from the template
+app.get('/markdown/templates', async (req, res) => {
+  try {
+    const { collection } = req;
+
+    const templates = await collection.templates.list();
+    res.json(
+      templates
+        .filter(({ fsPath }) => collection.acl.can(req.user, fsPath, 'read'))
+        .map(({ name, fsPath, variables }) => ({
+          name,
+          path: toApiPath(collection, path.relative(collection.root, fsPath)),
+          variables
+        }))
+    );
+  } catch (error) {
+    console.error('Error listing templates:', error);
+    res.status(500).json({ error: 'Failed to list templates', details: error.message });
+  }
+});
+
+// POST route to create the note at "path" from the template named "template", filling in its
+// placeholders ({{title}}, {{date}}, {{time}}, {{date:FORMAT}} and the custom "variables")
+app.post('/markdown/from-template', async (req, res) => {
+  try {
+    const { collection } = req;
+
+    const { path: filePath, template: templateName, variables = {} } = req.body || {};
+    if (!filePath || typeof templateName !== 'string' || !templateName) {
+      return res.status(400).json({ error: 'path and template are required' });
+    }
+    if (
+      !variables ||
+      typeof variables !== 'object' ||
+      Array.isArray(variables) ||
+      Object.values(variables).some((value) => typeof value !== 'string')
+    ) {
+      return res.status(400).json({ error: 'variables must map names to strings' });
+    }
+
+    const resolved = resolveFsPathFromApiPath(collection, filePath);
+    if (!resolved) {
+      return res
+        .status(400)
+        .json({ error: 'Invalid path provided. Ensure the "path" field contains a valid value' });
+    }
+
+    const { prepared, fsPath } = resolved;
+    if (!authorize(req, res, fsPath, 'write')) return;
+
+    const template = await collection.templates.read(templateName);
+    if (!template || !collection.acl.can(req.user, template.fsPath, 'read')) {
+      return res.status(404).json({ error: 'Template not found', template: templateName });
+    }
+
+    const content = renderTemplate(template.content, {
+      title: path.basename(fsPath, path.extname(fsPath)),
+      variables
+    });
+
+    await withFileLock(fsPath, async () => {
+      await fs.mkdir(path.dirname(fsPath), { recursive: true });
+      try {
+        await fs.writeFile(fsPath, content, { encoding: 'utf8', flag: 'wx' });
+      } catch (error) {
+        if (error.code === 'EEXIST') {
+          return res
+            .status(409)
+            .json({ error: 'Note already exists', path: prepared.normalizedPath });
+        }
+        throw error;
+      }
+
+      console.log(`Markdown file created from template "${template.name}": ${fsPath}`);
+      collection.searchIndex.updateFile(fsPath, content);
+      collection.linkIndex.updateFile(fsPath, content);
+      collection.watcher.sync(fsPath);
+      broadcastChange(collection.name, 'created', prepared.normalizedPath);
+
+      const etag = computeEtag(content);
+      res.set('ETag', etag);
+      res.status(201).json({
+        path: prepared.normalizedPath,
+        template: template.name,
+        content,
+        etag
+      });
+    });
+  } catch (error) {
+    console.error('Error creating note from template:', error);
+    res.status(500).json({ error: 'Failed to create note from template', details: error.message });
+  }
+});
+
+// GET route to list the tasks ("- [ ]" and "- [x]" items) of all notes in the volume (or below
+// "path"). Filters: "status" (open, done or all), "tag", and a due date range ("dueFrom" and
+// "dueTo", YYYY-MM-DD, inclusive)
+app.get('/markdown/tasks', async (req, res) => {
+  try {
+    const { collection } = req;
+
+    const query = (name) => (Array.isArray(req.query[name]) ? req.query[name][0] : req.query[name]);
+    const rawPath = query('path');
+    const status = query('status') || 'all';
+    const tag = query('tag')?.replace(/^#/, '').toLowerCase();
+    const dueFrom = query('dueFrom');
+    const dueTo = query('dueTo');
+
+    if (!['open', 'done', 'all'].includes(status)) {
+      return res.status(400).json({ error: 'status must be "open", "done" or "all"' });
+    }
+    if ((dueFrom && !isValidDate(dueFrom)) || (dueTo && !isValidDate(dueTo))) {
+      return res.status(400).json({ error: 'dueFrom and dueTo must be dates (YYYY-MM-DD)' });
+    }
+
+    let targetPath = collection.root;
+    if (rawPath) {
+      const resolved = resolveAuthorizedPath(req, res, rawPath, 'read');
+      if (!resolved) return;
+      targetPath = resolved.fsPath;
+    }
+
+    const tasks = (await collection.tasks.list(targetPath)).filter(
+      (task) =>
+        (status === 'all' || task.done === (status === 'done')) &&
+        // Nested tags ("#work/meetings") count as their parent tags too
+        (!tag || task.tags.some((taskTag) => taskTag === tag || taskTag.startsWith(`${tag}/`))) &&
+        (!dueFrom || (task.due && task.due >= dueFrom)) &&
+        (!dueTo || (task.due && task.due <= dueTo)) &&
+        collection.acl.can(req.user, path.join(collection.root, task.relativePath), 'read')
+    );
+
+    res.json(
+      tasks.map(({ relativePath, line, text, done, due, priority, tags }) => ({
+        path: toApiPath(collection, relativePath),
+        line,
+        text,
+        done,
+        due,
+        priority,
+        tags
+      }))
+    );
+  } catch (error) {
+    console.error('Error listing tasks:', error);
+    res.status(500).json({ error: 'Failed to list tasks', details: error.message });
+  }
+});
+
+// PATCH route to tick off or reopen a task. Body: { path, line, done?, text? }. Without "done",
+// the task is toggled. If "text" is given, the task on that line must still have that text, so
+// a task that moved in the meantime isn't changed by mistake
+app.patch('/markdown/tasks', async (req, res) => {
+  try {
+    const { collection } = req;
+
+    if (!req.is('application/json')) {
+      return res.status(400).json({ error: 'Invalid content type. Expected application/json' });
+    }
+
+    const { path: notePath, line, done, text } = req.body;
+    if (!Number.isInteger(line) || line < 1) {
+      return res.status(400).json({ error: 'line must be a positive integer' });
+    }
+    if (done !== undefined && typeof done !== 'boolean') {
+      return res.status(400).json({ error: 'done must be a boolean' });
+    }
+
+    const resolved = resolveAuthorizedPath(req, res, notePath, 'write');
+    if (!resolved) return;
+    const { prepared, fsPath } = resolved;
+
+    // Include pending collaborative edits
+    await collection.collab.flush(fsPath, 'changed');
+
+    await withFileLock(fsPath, async () => {
+      let content;
+      try {
+        content = await fs.readFile(fsPath, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return res.status(404).json({
+            error: 'Note not found',
+            details: 'The requested note does not exist'
+          });
+        }
+        throw error;
+      }
+
+      const task = parseTasks(content).find((candidate) => candidate.line === line);
+      const updated = task && setTaskDone(content, line, done ?? !task.done, text);
+      if (!updated) {
+        return res.status(409).json({
+          error: 'Task not found',
+          details: `Line ${line} of the note is not ${text === undefined ? 'a task' : 'this task'}`
+        });
+      }
+
+      if (updated !== content) {
+        await collection.history.snapshot(fsPath, content);
+        await fs.writeFile(fsPath, updated, 'utf8');
+        console.log(
+          `Task on line ${line} ${(done ?? !task.done) ? 'done' : 'reopened'}: ${fsPath}`
+        );
+        collection.collab.discard(fsPath);
+        collection.searchIndex.updateFile(fsPath, updated);
+        collection.linkIndex.updateFile(fsPath, updated);
+        collection.watcher.sync(fsPath);
+        broadcastChange(collection.name, 'updated', prepared.normalizedPath);
+      }
+
+      const etag = computeEtag(updated);
+      res.set('ETag', etag);
+      res.status(200).json({
+        path: prepared.normalizedPath,
+        line,
+        text: task.text,
+        done: done ?? !task.done,
+        etag
+      });
+    });
+  } catch (error) {
+    console.error('Error updating task:', error);
+    res.status(500).json({ error: 'Failed to update task', details: error.message });
+  }
+});
+
+// GET route to list the frontmatter properties of all notes in the volume (or below "path")
+// that match every "where" filter: "key=value", "key!=value", "key>value" (also >=, < and
+// <=), "key" (the property is set) or "!key" (it isn't)
+app.get('/markdown/properties', async (req, res) => {
+  try {
+    const { collection } = req;
+
+    const rawPath = Array.isArray(req.query.path) ? req.query.path[0] : req.query.path;
+    const expressions = [req.query.where ?? []].flat();
+    const filters = expressions.map(parsePropertyFilter);
+    const invalid = expressions.filter((expression, index) => !filters[index]);
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Invalid property filter', filters: invalid });
+    }
+
+    let targetPath = collection.root;
+    if (rawPath) {
+      const resolved = resolveAuthorizedPath(req, res, rawPath, 'read');
+      if (!resolved) return;
+      targetPath = resolved.fsPath;
+    }
+
+    const notes = (await collection.properties.list(targetPath)).filter(
+      ({ relativePath, properties }) =>
+        filters.every((filter) => matchesPropertyFilter(properties, filter)) &&
+        collection.acl.can(req.user, path.join(collection.root, relativePath), 'read')
+    );
+
+    res.json(
+      notes.map(({ relativePath, properties }) => ({
+        path: toApiPath(collection, relativePath),
+        name: path.basename(relativePath),
+        properties
+      }))
+    );
+  } catch (error) {
+    console.error('Error querying properties:', error);
+    res.status(500).json({ error: 'Failed to query properties', details: error.message });
+  }
+});
+
+// PATCH route to set a frontmatter property of a note without changing its body. Body:
+// { path, key, value }; without "value", the property is removed
+app.patch('/markdown/properties', async (req, res) => {
+  try {
+    const { collection } = req;
+
+    if (!req.is('application/json')) {
+      return res.status(400).json({ error: 'Invalid content type. Expected application/json' });
+    }
+
+    const { path: notePath, key, value } = req.body;
+    if (typeof key !== 'string' || !key.trim()) {
+      return res.status(400).json({ error: 'key is required' });
+    }
+
+    const resolved = resolveAuthorizedPath(req, res, notePath, 'write');
+    if (!resolved) return;
+    const { prepared, fsPath } = resolved;
+    const ifMatch = req.get('If-Match');
+
+    // Include pending collaborative edits
+    await collection.collab.flush(fsPath, 'changed');
+
+    await withFileLock(fsPath, async () => {
+      let content;
+      try {
+        content = await fs.readFile(fsPath, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return res.status(404).json({
+            error: 'Note not found',
+            details: 'The requested note does not exist'
+          });
+        }
+        throw error;
+      }
+
+      // Reject the change if the note changed since the client read it
+      if (ifMatch) {
+        const conflict = checkWriteConflict(ifMatch, content);
+        if (conflict) {
+          return sendWriteConflict(res, prepared.normalizedPath, conflict);
+        }
+      }
+
+      const updated = setProperty(content, key.trim(), value);
+      if (updated === null) {
+        return res.status(422).json({
+          error: 'Invalid frontmatter',
+          details: parseFrontmatter(content).error || 'The frontmatter is not valid YAML'
+        });
+      }
+
+      if (updated !== content) {
+        await collection.history.snapshot(fsPath, content);
+        await fs.writeFile(fsPath, updated, 'utf8');
+        console.log(
+          `Property "${key.trim()}" ${value === undefined ? 'removed' : 'set'}: ${fsPath}`
+        );
+        collection.collab.discard(fsPath);
+        collection.searchIndex.updateFile(fsPath, updated);
+        collection.linkIndex.updateFile(fsPath, updated);
+        collection.watcher.sync(fsPath);
+        broadcastChange(collection.name, 'updated', prepared.normalizedPath);
+      }
+
+      const etag = computeEtag(updated);
+      res.set('ETag', etag);
+      res.status(200).json({
+        path: prepared.normalizedPath,
+        properties: parseFrontmatter(updated).properties,
+        etag
+      });
+    });
+  } catch (error) {
+    console.error('Error updating property:', error);
+    res.status(500).json({ error: 'Failed to update property', details: error.message });
+  }
+});
+
+// The notes with tags that the user may read, below "path" (default: the collection root).
+// Resolves to [{ relativePath, tags }], or null if the path was rejected
+const listReadableTags = async (req, res, rawPath) => {
+  const { collection } = req;
+
+  let targetPath = collection.root;
+  if (rawPath) {
+    const resolved = resolveAuthorizedPath(req, res, rawPath, 'read');
+    if (!resolved) return null;
+    targetPath = resolved.fsPath;
+  }
+
+  return (await collection.tags.list(targetPath)).filter(({ relativePath }) =>
+    collection.acl.can(req.user, path.join(collection.root, relativePath), 'read')
+  );
+};
+
+// GET route to list the tags (from the text and the "tags" frontmatter property) of all notes
+// in the volume (or below "path") with the number of notes that have them. Nested tags
+// ("#project/haptic") count as their parent tags too
+app.get('/markdown/tags', async (req, res) => {
+  try {
+    const rawPath = Array.isArray(req.query.path) ? req.query.path[0] : req.query.path;
+    const notes = await listReadableTags(req, res, rawPath);
+    if (!notes) return;
+
+    const counts = new Map();
+    for (const { tags } of notes) {
+      // Every note counts once per tag, however many of its nested tags it has
+      const noteTags = new Set(
+        tags.flatMap((tag) =>
+          tag.split('/').map((part, index, parts) => parts.slice(0, index + 1).join('/'))
+        )
+      );
+      for (const tag of noteTags) counts.set(tag, (counts.get(tag) || 0) + 1);
+    }
+
+    res.json(
+      [...counts.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([tag, count]) => ({ tag, count }))
+    );
+  } catch (error) {
+    console.error('Error listing tags:', error);
+    res.status(500).json({ error: 'Failed to list tags', details: error.message });
+  }
+});
+
+// GET route to list the notes with "tag" or a tag nested below it, in the volume (or below
+// "path")
+app.get('/markdown/tags/notes', async (req, res) => {
+  try {
+    const { collection } = req;
+
+    const rawTag = Array.isArray(req.query.tag) ? req.query.tag[0] : req.query.tag;
+    const tag = rawTag && normalizeTag(rawTag);
+    if (!isValidTag(tag)) {
+      return res.status(400).json({ error: 'tag must be a tag like "project/haptic"' });
+    }
+
+    const rawPath = Array.isArray(req.query.path) ? req.query.path[0] : req.query.path;
+    const notes = await listReadableTags(req, res, rawPath);
+    if (!notes) return;
+
+    res.json(
+      notes
+        .filter(({ tags }) => tags.some((noteTag) => isTagWithin(noteTag, tag)))
+        .map(({ relativePath, tags }) => ({
+          path: toApiPath(collection, relativePath),
+          name: path.basename(relativePath),
+          tags
+        }))
+    );
+  } catch (error) {
+    console.error('Error listing tagged notes:', error);
+    res.status(500).json({ error: 'Failed to list tagged notes', details: error.message });
+  }
+});
+
+// POST route to rename the tag "from" (and the tags nested below it) to "to" in every note,
+// in the text and in the frontmatter. Renaming to an existing tag merges them. Notes the user
+// may read but not change are skipped; with "dryRun": true, nothing is changed and the notes
+// that would be are listed
+app.post('/markdown/tags/rename', async (req, res) => {
+  try {
+    const { collection } = req;
+
+    if (!req.is('application/json')) {
+      return res.status(400).json({ error: 'Invalid content type. Expected application/json' });
+    }
+
+    const from = typeof req.body.from === 'string' ? normalizeTag(req.body.from) : null;
+    const to = typeof req.body.to === 'string' ? normalizeTag(req.body.to) : null;
+    const dryRun = req.body.dryRun === true;
+    if (!isValidTag(from) || !isValidTag(to)) {
+      return res.status(400).json({ error: 'from and to must be tags like "project/haptic"' });
+    }
+    if (from === to) {
+      return res.status(400).json({ error: 'from and to must be different tags' });
+    }
+
+    const notes = await collection.tags.list();
+    const merged = notes.some(({ tags }) => tags.some((tag) => isTagWithin(tag, to)));
+    const tagged = notes.filter(({ tags }) => tags.some((tag) => isTagWithin(tag, from)));
+    const fsPathOf = ({ relativePath }) => path.join(collection.root, relativePath);
+    const writable = tagged.filter((note) => collection.acl.can(req.user, fsPathOf(note), 'write'));
+    const skipped = tagged
+      .filter((note) => !writable.includes(note))
+      .filter((note) => collection.acl.can(req.user, fsPathOf(note), 'read'))
+      .map(({ relativePath }) => toApiPath(collection, relativePath));
+
+    if (dryRun) {
+      return res.json({
+        dryRun: true,
+        from,
+        to,
+        merged,
+        notes: writable.map(({ relativePath }) => toApiPath(collection, relativePath)),
+        skipped
+      });
+    }
+
+    const rewritten = await rewriteNotes(
+      collection,
+      writable.map((note) => ({
+        fsPath: fsPathOf(note),
+        rewrite: (content) => renameTag(content, from, to)
+      }))
+    );
+    announceRewrittenNotes(collection, rewritten, `Tag "${from}" renamed to "${to}"`);
+
+    res.json({
+      from,
+      to,
+      merged,
+      notes: rewritten.map(({ fsPath }) =>
+        toApiPath(collection, path.relative(collection.root, fsPath))
+      ),
+      skipped
+    });
+  } catch (error) {
+    console.error('Error renaming tag:', error);
+    res.status(500).json({ error: 'Failed to rename tag', details: error.message });
+  }
+});
+
+const toAclRuleResponse = (collection, rule) => ({
+  path: toApiPath(collection, rule.path),
+  user: rule.user,
+  permission: rule.permission
+});
+
+// Resolve the path of an access control request ("path" defaults to the collection root)
+const resolveAclPath = (req, res, rawPath) => {
+  if (!rawPath) return req.collection.root;
+
+  const resolved = resolveFsPathFromApiPath(req.collection, rawPath);
+  if (!resolved) {
+    res.status(400).json({ error: 'Invalid path' });
+    return null;
+  }
+  return resolved.fsPath;
+};
+
+// GET route to fetch the caller's effective permission on a path
+app.get('/markdown/acl/permission', async (req, res) => {
+  try {
+    const { collection } = req;
+
+    const rawPath = Array.isArray(req.query.path) ? req.query.path[0] : req.query.path;
+    const fsPath = resolveAclPath(req, res, rawPath);
+    if (!fsPath) return;
+
+    res.json({
+      path: toApiPath(collection, path.relative(collection.root, fsPath)),
+      permission: collection.acl.permissionFor(req.user, fsPath)
+    });
+  } catch (error) {
+    console.error('Error fetching permission:', error);
+    res.status(500).json({ error: 'Failed to fetch permission', details: error.message });
+  }
+});
+
+// GET route to list the access control rules on a path and below it (requires admin)
+app.get('/markdown/acl', async (req, res) => {
+  try {
+    const { collection } = req;
+
+    const rawPath = Array.isArray(req.query.path) ? req.query.path[0] : req.query.path;
+    const fsPath = resolveAclPath(req, res, rawPath);
+    if (!fsPath || !authorize(req, res, fsPath, 'admin')) return;
+
+    res.json({
+      path: toApiPath(collection, path.relative(collection.root, fsPath)),
+      rules: collection.acl.listRules(fsPath).map((rule) => toAclRuleResponse(collection, rule))
+    });
+  } catch (error) {
+    console.error('Error listing access rules:', error);
+    res.status(500).json({ error: 'Failed to list access rules', details: error.message });
+  }
+});
+
+// PUT route to grant a user (or everyone, "*") a permission on a path (requires admin)
+app.put('/markdown/acl', async (req, res) => {
+  try {
+    const { collection } = req;
+
+    const { path: rawPath, user, permission } = req.body || {};
+
+    if (!user || typeof user !== 'string') {
+      return res.status(400).json({ error: 'user is required. Use "*" for everyone' });
+    }
+
+    if (!isValidPermission(permission)) {
+      return res.status(400).json({
+        error: 'Invalid permission',
+        details: 'permission must be one of: none, read, write, admin'
+      });
+    }
+
+    const fsPath = resolveAclPath(req, res, rawPath);
+    if (!fsPath || !authorize(req, res, fsPath, 'admin')) return;
+
+    const rule = await collection.acl.setRule(fsPath, user, permission);
+    console.log(
+      `Access rule set: ${user === EVERYONE ? 'everyone' : user} has ${permission} on ${fsPath}`
+    );
+
+    res.status(200).json({
+      message: 'Access rule saved successfully',
+      rule: toAclRuleResponse(collection, rule)
+    });
+  } catch (error) {
+    console.error('Error saving access rule:', error);
+    res.status(500).json({ error: 'Failed to save access rule', details: error.message });
+  }
+});
+
+// DELETE route to remove the rule of a user on a path, so it inherits again (requires admin)
+app.delete('/markdown/acl', async (req, res) => {
+  try {
+    const { collection } = req;
+
+    const rawPath = Array.isArray(req.query.path) ? req.query.path[0] : req.query.path;
+    const user = Array.isArray(req.query.user) ? req.query.user[0] : req.query.user;
+
+    if (!user) {
+      return res.status(400).json({ error: 'user parameter is required' });
+    }
+
+    const fsPath = resolveAclPath(req, res, rawPath);
+    if (!fsPath || !authorize(req, res, fsPath, 'admin')) return;
+
+    await collection.acl.setRule(fsPath, user, null);
+    console.log(`Access rule removed: ${user} on ${fsPath}`);
+
+    res.status(200).json({ message: 'Access rule removed successfully' });
+  } catch (error) {
+    console.error('Error removing access rule:', error);
+    res.status(500).json({ error: 'Failed to remove access rule', details: error.message });
+  }
+});
+
+// POST route to log in with a username and password; returns a bearer session token
+app.post('/auth/login', async (req, res) => {
+  try {
+    // Accounts created through the API are loaded at startup
+    await authReady;
+    const { username, password } = req.body || {};
+
+    if (!username || !password) {
+      return res.status(400).json({ error: 'username and password are required' });
+    }
+
+    const session = auth.login(username, password);
+    if (!session) {
+      console.log(`Failed login attempt for user: ${username}`);
+      return res.status(401).json({
+        error: 'Invalid credentials',
+        details: 'The username or password is incorrect'
+      });
+    }
+
+    console.log(`User logged in: ${session.username}`);
+    res.status(200).json({
+      token: session.token,
+      tokenType: 'Bearer',
+      expiresAt: session.expiresAt,
+      username: session.username
+    });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Failed to log in', details: error.message });
+  }
+});
+
+// POST route to revoke the session token the request is authenticated with
+app.post('/auth/logout', requireAuth, (req, res) => {
+  const token = getBearerToken(req);
+  if (token) auth.logout(token);
+
+  res.status(200).json({ message: 'Logged out successfully' });
+});
+
+// GET route to check whether authentication is enabled and who the caller is
+app.get('/auth/me', requireAuth, (req, res) => {
+  res.json({
+    authEnabled: auth.isEnabled(),
+    username: req.user?.username ?? null,
+    method: req.user?.method ?? null,
+    isAdmin: req.user ? req.user.isAdmin : true
+  });
+});
+
+// GET route to list the user accounts (requires admin)
+app.get('/auth/users', requireAuth, requireAdmin, async (req, res) => {
+  res.json(auth.listUsers());
+});
+
+// POST route to create a user account (requires admin). While authentication is disabled
+// anyone may create the first account, which is always an admin and enables authentication
+app.post('/auth/users', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { username, password, isAdmin } = req.body || {};
+    const user = await auth.createUser(username, password, !req.user || isAdmin === true);
+    console.log(`User created: ${user.username}${user.isAdmin ? ' (admin)' : ''}`);
+
+    res.status(201).json({ message: 'User created successfully', ...user });
+  } catch (error) {
+    if (error.code === 'EINVAL' || error.code === 'EEXIST') {
+      return res
+        .status(error.code === 'EEXIST' ? 409 : 400)
+        .json({ error: 'Invalid user', details: error.message });
+    }
+    console.error('Error creating user:', error);
+    res.status(500).json({ error: 'Failed to create user', details: error.message });
+  }
+});
+
+// PUT route to change the password of an account (requires admin, or the user themselves)
+app.put('/auth/users/:username/password', requireAuth, async (req, res) => {
+  try {
+    const { username } = req.params;
+    if (req.user && !req.user.isAdmin && req.user.username !== username) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        details: 'You can only change your own password'
+      });
+    }
+
+    const changed = await auth.setPassword(username, req.body?.password);
+    if (!changed) {
+      return res.status(404).json({
+        error: 'User not found',
+        details: 'Only accounts created through the API can be changed'
+      });
+    }
+    console.log(`Password changed for user: ${username}`);
+
+    res.status(200).json({ message: 'Password changed successfully' });
+  } catch (error) {
+    if (error.code === 'EINVAL') {
+      return res.status(400).json({ error: 'Invalid password', details: error.message });
+    }
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: 'Failed to change password', details: error.message });
+  }
+});
+
+// DELETE route to delete a user account (requires admin)
+app.delete('/auth/users/:username', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const deleted = await auth.deleteUser(req.params.username);
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'User not found',
+        details: 'Only accounts created through the API can be deleted'
+      });
+    }
+    console.log(`User deleted: ${req.params.username}`);
+
+    res.status(200).json({ message: 'User deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({ error: 'Failed to delete user', details: error.message });
+  }
+});
+
+const toCollectionResponse = ({ name, isDefault, createdAt, lastOpened }) => ({
+  name,
+  path: `/${name}`,
+  isDefault,
+  createdAt,
+  lastOpened
+});
+
+// GET route to list all collections
+app.get('/collections', async (req, res) => {
+  try {
+    await collectionsReady;
+
+    // Only list collections the caller can see anything of
+    const visible = collectionRegistry.list().filter((record) => {
+      const collection = collections.get(record.name);
+      return !collection || collection.acl.canTraverse(req.user, collection.root);
+    });
+
+    res.json(visible.map(toCollectionResponse));
+  } catch (error) {
+    console.error('Error listing collections:', error);
+    res.status(500).json({ error: 'Failed to list collections', details: error.message });
+  }
+});
+
+// POST route to create a collection, stored in its own directory below COLLECTIONS_PATH
+app.post('/collections', requireAdmin, async (req, res) => {
+  try {
+    if (!req.is('application/json')) {
+      return res.status(400).json({ error: 'Invalid content type. Expected application/json' });
+    }
+
+    await collectionsReady;
+
+    const name = normalizeCollectionName(req.body.name);
+
+    if (!name) {
+      return res.status(400).json({ error: 'name is required. Include "name" field in JSON body' });
+    }
+
+    if (!isValidCollectionName(name)) {
+      return res.status(400).json({
+        error: 'Invalid name',
+        details: 'Name must not start with "." or contain any of: / \\ : * ? " < > |'
+      });
+    }
+
+    if (collectionRegistry.get(name)) {
+      return res.status(409).json({
+        error: 'Collection already exists',
+        details: `A collection named "${name}" is already registered`
+      });
+    }
+
+    const directory = path.join(path.resolve(COLLECTIONS_PATH), name);
+    const overlapping = collectionRegistry.findOverlapping(directory);
+    if (overlapping) {
+      return res.status(409).json({
+        error: 'Directory already in use',
+        details: `The directory of "${name}" overlaps with collection "${overlapping.name}"`
+      });
+    }
+
+    // Never adopt an existing directory: removing the collection may delete it
+    try {
+      if ((await fs.readdir(directory)).length > 0) {
+        return res.status(409).json({
+          error: 'Directory already exists',
+          details: `The directory of "${name}" already exists and is not empty`
+        });
+      }
+    } catch (error) {
+      if (error.code === 'ENOTDIR') {
+        return res.status(409).json({ error: 'A file with the same name already exists' });
+      }
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const record = await collectionRegistry.add({ name, directory, managed: true });
+    await openCollection(record);
+    console.log(`Collection created: ${name} (${directory})`);
+
+    res.status(201).json({
+      message: 'Collection created successfully',
+      ...toCollectionResponse(record)
+    });
+  } catch (error) {
+    console.error('Error creating collection:', error);
+    res.status(500).json({ error: 'Failed to create collection', details: error.message });
+  }
+});
+
+// POST route to mark a collection as opened (used to sort recent collections)
+app.post('/collections/:name/open', async (req, res) => {
+  try {
+    await collectionsReady;
+
+    const record = await collectionRegistry.touch(req.params.name);
+    if (!record) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    res.json(toCollectionResponse(record));
+  } catch (error) {
+    console.error('Error opening collection:', error);
+    res.status(500).json({ error: 'Failed to open collection', details: error.message });
+  }
+});
+
+// DELETE route to remove a collection (its files are kept unless deleteFiles=true, which is
+// only allowed for collections created through the API)
+app.delete('/collections/:name', requireAdmin, async (req, res) => {
+  try {
+    await collectionsReady;
+
+    const deleteFiles = req.query.deleteFiles === 'true';
+    const record = collectionRegistry.get(req.params.name);
+
+    if (!record) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    if (record.isDefault) {
+      return res.status(403).json({
+        error: 'Cannot remove default collection',
+        details: 'The collection configured through ROOT_NAME / VOLUME_PATH cannot be removed'
+      });
+    }
+
+    if (deleteFiles && !record.managed) {
+      return res.status(403).json({
+        error: 'Cannot delete files',
+        details: 'Only the files of collections created through the API can be deleted'
+      });
+    }
+
+    closeCollection(record.name);
+    await collectionRegistry.remove(record.name);
+
+    if (deleteFiles) {
+      await fs.rm(record.directory, { recursive: true, force: true });
+    }
+    console.log(`Collection removed: ${record.name}${deleteFiles ? ' (files deleted)' : ''}`);
+
+    res.status(200).json({
+      message: 'Collection removed successfully',
+      name: record.name,
+      deleteFiles
+    });
+  } catch (error) {
+    console.error('Error removing collection:', error);
+    res.status(500).json({ error: 'Failed to remove collection', details: error.message });
+  }
+});
+
+// GET route to catch up with the changes of a collection after a cursor (the "cursor" of the
+// last file_change message or response seen). Without "since" only the current cursor is
+// returned, to start from. With "resync": true the changes since the cursor aren't known
+// anymore and the client has to reload everything; "hasMore" means there are more changes
+// after the returned cursor
+app.get('/changes', async (req, res) => {
+  try {
+    const { collection } = req;
+    const rawSince = Array.isArray(req.query.since) ? req.query.since[0] : req.query.since;
+    const rawLimit = Array.isArray(req.query.limit) ? req.query.limit[0] : req.query.limit;
+
+    const since = rawSince === undefined ? null : Number(rawSince);
+    if (since !== null && !(Number.isInteger(since) && since >= 0)) {
+      return res.status(400).json({ error: 'since must be a cursor (a non-negative integer)' });
+    }
+    const limit = rawLimit === undefined ? 500 : Number(rawLimit);
+    if (!(Number.isInteger(limit) && limit >= 1 && limit <= 1000)) {
+      return res.status(400).json({ error: 'limit must be an integer between 1 and 1000' });
+    }
+
+    if (since === null) {
+      return res.json({ cursor: changeLog.latest(), changes: [], hasMore: false, resync: false });
+    }
+
+    const result = changeLog.since(since, { collection: collection.name, limit });
+    res.json({
+      ...result,
+      changes: result.changes
+        .map((entry) => toFileChangeMessage(req.user, entry))
+        .filter(Boolean)
+        .map(({ type, changeCursor, ...change }) => ({ cursor: changeCursor, ...change }))
+    });
+  } catch (error) {
+    console.error('Error listing changes:', error);
+    res.status(500).json({ error: 'Failed to list changes', details: error.message });
+  }
+});
+
+// GET route to list the backups of the volume (newest first) and the backup schedule
+app.get('/backups', async (req, res) => {
+  try {
+    await backupsReady;
+
+    res.json({ schedule: await backups.getSchedule(), backups: await backups.list() });
+  } catch (error) {
+    console.error('Error listing backups:', error);
+    res.status(500).json({ error: 'Failed to list backups', details: error.message });
+  }
+});
+
+// PUT route to change the backup schedule: { enabled, interval } (both optional)
+app.put('/backups/schedule', async (req, res) => {
+  try {
+    if (!req.is('application/json')) {
+      return res.status(400).json({ error: 'Invalid content type. Expected application/json' });
+    }
+
+    const { enabled, interval } = req.body;
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be a boolean' });
+    }
+    if (interval !== undefined && !parseInterval(interval)) {
+      return res.status(400).json({
+        error: 'Invalid interval',
+        details: 'Use a number of hours, days, weeks or months, e.g. "12h", "1d", "1w" or "1m"'
+      });
+    }
+
+    await backupsReady;
+    const schedule = await backups.setSchedule({ enabled, interval });
+    console.log(
+      `Backup schedule changed: ${schedule.enabled ? `every ${schedule.interval}` : 'disabled'}`
+    );
+
+    res.json(schedule);
+  } catch (error) {
+    console.error('Error changing backup schedule:', error);
+    res.status(500).json({ error: 'Failed to change backup schedule', details: error.message });
+  }
+});
+
+// POST route to back up the volume now
+app.post('/backups', async (req, res) => {
+  try {
+    await backupsReady;
+
+    const backup = await backups.create('manual');
+    console.log(`Backup created: ${backup.fileName}`);
+
+    res.status(201).json(backup);
+  } catch (error) {
+    console.error('Error creating backup:', error);
+    res.status(500).json({ error: 'Failed to create backup', details: error.message });
+  }
+});
+
+// GET route to download a backup (a ZIP archive of the volume)
+app.get('/backups/:id/download', async (req, res) => {
+  try {
+    await backupsReady;
+
+    const backup = await backups.get(req.params.id);
+    if (!backup) {
+      return res.status(404).json({ error: 'Backup not found' });
+    }
+
+    // The backups are in the hidden .haptic folder by default
+    res.download(backup.fsPath, backup.fileName, { dotfiles: 'allow' }, (error) => {
+      if (!error || res.headersSent) return;
+      console.error('Error downloading backup:', error);
+      res.status(500).json({ error: 'Failed to download backup', details: error.message });
+    });
+  } catch (error) {
+    console.error('Error downloading backup:', error);
+    res.status(500).json({ error: 'Failed to download backup', details: error.message });
+  }
+});
+
+// POST route to restore the notes and attachments of a backup. Without "path" they replace
+// the contents of the volume (which is backed up first); with "path" (a folder of the
+// default collection that doesn't exist yet or is empty) they are restored into that folder
+app.post('/backups/:id/restore', async (req, res) => {
+  try {
+    await backupsReady;
+    await collectionsReady;
+
+    const collection = collections.get(ROOT_NAME);
+    const rawPath = req.body?.path;
+
+    let targetDir = null;
+    if (rawPath !== undefined) {
+      const resolved = resolveFsPathFromApiPath(collection, rawPath);
+      if (!resolved || resolved.fsPath === collection.root) {
+        return res.status(400).json({ error: 'Invalid path' });
+      }
+      targetDir = resolved.fsPath;
+
+      try {
+        if ((await fs.readdir(targetDir)).length > 0) {
+          return res.status(409).json({
+            error: 'Folder is not empty',
+            details: 'Backups can only be restored into a new or empty folder'
+          });
+        }
+      } catch (error) {
+        if (error.code === 'ENOTDIR') {
+          return res.status(409).json({ error: 'A file with the same name already exists' });
+        }
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    if (!(await backups.get(req.params.id))) {
+      return res.status(404).json({ error: 'Backup not found' });
+    }
+
+    // Write pending edits before the notes are backed up and replaced
+    if (!targetDir) await collection.collab.flush(collection.root, 'restored');
+
+    const result = await backups.restore(req.params.id, { replace: !targetDir, targetDir });
+    if (!result) {
+      return res.status(404).json({ error: 'Backup not found' });
+    }
+
+    const restoredDir = targetDir || collection.root;
+    for (const name of result.removed) {
+      collection.searchIndex.removePath(path.join(collection.root, name));
+      collection.linkIndex.removePath(path.join(collection.root, name));
+    }
+    collection.searchIndex.updateDirectory(restoredDir);
+    collection.linkIndex.updateDirectory(restoredDir);
+
+    if (targetDir) {
+      collection.watcher.sync(targetDir);
+      broadcastChange(
+        collection.name,
+        'created',
+        toApiPath(collection, path.relative(collection.root, targetDir))
+      );
+    } else {
+      // Collaborators continue from the restored notes
+      collection.collab.discard(collection.root);
+
+      for (const name of new Set([...result.removed, ...result.restored])) {
+        collection.watcher.sync(path.join(collection.root, name));
+        const changeType = !result.restored.includes(name)
+          ? 'deleted'
+          : result.removed.includes(name)
+            ? 'updated'
+            : 'created';
+        broadcastChange(collection.name, changeType, toApiPath(collection, name));
+      }
+    }
+    console.log(`Backup ${result.backup.id} restored into ${restoredDir}`);
+
+    res.json({
+      message: 'Backup restored successfully',
+      backup: result.backup,
+      path: toApiPath(collection, path.relative(collection.root, restoredDir)),
+      safetyBackup: result.safetyBackup,
+      restored: result.restored.length
+    });
+  } catch (error) {
+    console.error('Error restoring backup:', error);
+    res.status(500).json({ error: 'Failed to restore backup', details: error.message });
+  }
+});
+
+// Reject requests to the git routes while git storage is disabled; true if rejected
+const rejectWithoutGitStorage = (res) => {
+  if (gitStorage) return false;
+  res.status(400).json({
+    error: 'Git storage is disabled',
+    details: 'Set GIT_STORAGE=true to manage the volume as a git repository'
+  });
+  return true;
+};
+
+// GET route to get the state of the git storage: settings, last commit and sync, and the
+// files of an unresolved merge conflict
+app.get('/git', async (req, res) => {
+  try {
+    if (!gitStorage) return res.json({ enabled: false });
+
+    await gitStorageReady;
+    res.json(gitStorage.getStatus());
+  } catch (error) {
+    console.error('Error getting git status:', error);
+    res.status(500).json({ error: 'Failed to get git status', details: error.message });
+  }
+});
+
+// PUT route to change the auto sync settings: { autoSync, syncInterval } (both optional)
+app.put('/git/settings', async (req, res) => {
+  try {
+    if (rejectWithoutGitStorage(res)) return;
+    if (!req.is('application/json')) {
+      return res.status(400).json({ error: 'Invalid content type. Expected application/json' });
+    }
+
+    const { autoSync, syncInterval } = req.body;
+    if (autoSync !== undefined && typeof autoSync !== 'boolean') {
+      return res.status(400).json({ error: 'autoSync must be a boolean' });
+    }
+    if (syncInterval !== undefined && !parseSyncInterval(syncInterval)) {
+      return res.status(400).json({
+        error: 'Invalid sync interval',
+        details: 'Use a number of minutes or hours, e.g. "5m" or "1h"'
+      });
+    }
+
+    await gitStorageReady;
+    const status = await gitStorage.configure({ autoSync, syncInterval });
+    console.log(
+      `Git auto sync changed: ${status.autoSync ? `every ${status.syncInterval}` : 'disabled'}`
+    );
+
+    res.json(status);
+  } catch (error) {
+    console.error('Error changing git settings:', error);
+    res.status(500).json({ error: 'Failed to change git settings', details: error.message });
+  }
+});
+
+// POST route to commit pending changes, pull from and push to the remote now. A merge
+// conflict is reported with 409 and has to be resolved through POST /git/resolve
+app.post('/git/sync', async (req, res) => {
+  try {
+    if (rejectWithoutGitStorage(res)) return;
+    if (!GIT_REMOTE) {
+      return res.status(400).json({ error: 'No git remote is configured' });
+    }
+
+    await gitStorageReady;
+    const status = await gitStorage.sync();
+    if (status.status === 'conflict') {
+      return res.status(409).json({ ...status, error: 'Merge conflict' });
+    }
+    if (status.status === 'error') {
+      return res.status(500).json({ error: 'Failed to sync', details: status.error });
+    }
+
+    res.json(status);
+  } catch (error) {
+    console.error('Error syncing git repository:', error);
+    res.status(500).json({ error: 'Failed to sync', details: error.message });
+  }
+});
+
+// POST route to resolve a merge conflict: { strategy } 'local' keeps the local version of
+// conflicting changes, 'remote' takes the version of the remote
+app.post('/git/resolve', async (req, res) => {
+  try {
+    if (rejectWithoutGitStorage(res)) return;
+    if (!req.is('application/json')) {
+      return res.status(400).json({ error: 'Invalid content type. Expected application/json' });
+    }
+
+    const { strategy } = req.body;
+    if (!['local', 'remote'].includes(strategy)) {
+      return res.status(400).json({ error: 'strategy must be "local" or "remote"' });
+    }
+
+    await gitStorageReady;
+    if (gitStorage.getStatus().status !== 'conflict') {
+      return res.status(409).json({ error: 'There is no merge conflict to resolve' });
+    }
+
+    const status = await gitStorage.resolve(strategy);
+    if (status.status !== 'idle') {
+      return res.status(500).json({
+        error: 'Failed to resolve merge conflict',
+        details: status.error || 'The merge still conflicts'
+      });
+    }
+    console.log(`Git merge conflict resolved keeping the ${strategy} version`);
+
+    res.json(status);
+  } catch (error) {
+    console.error('Error resolving merge conflict:', error);
+    res.status(500).json({ error: 'Failed to resolve merge conflict', details: error.message });
+  }
+});
+
+// Health check route
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+});
+
+// Start server
+server.listen(PORT, () => {
+  console.log(`Server running on port ${PORT}`);
+  console.log(`WebSocket server running on ws://localhost:${PORT}`);
+  console.log(`Data directory: ${VOLUME_PATH}`);
+  console.log(`Collections directory: ${path.resolve(COLLECTIONS_PATH)}`);
+  if (!auth.isEnabled()) {
+    console.warn('Authentication is disabled: set API_KEYS or AUTH_USERS to require it');
+  } else if (!AUTH_SECRET && AUTH_USERS.length > 0) {
+    console.warn('AUTH_SECRET is not set: session tokens will be invalid after a restart');
+  }
 });
@@ -0,0 +1,175 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Permissions in ascending order; each one includes the ones before it
+const PERMISSIONS = ['none', 'read', 'write', 'admin'];
+const EVERYONE = '*';
+
+const rank = (permission) => PERMISSIONS.indexOf(permission);
+
+const isValidPermission = (permission) => PERMISSIONS.includes(permission);
+
+const isSameOrInside = (relativePath, parentPath) =>
+  parentPath === '' ||
+  relativePath === parentPath ||
+  relativePath.startsWith(`${parentPath}${path.sep}`);
+
+/**
+ * Per-folder access control for the notes of a directory.
+ *
+ * Rules grant a user (or everyone, "*") a permission on a path relative to `rootDir` and
+ * are inherited down the tree: the permission on a path comes from the rule on the
+ * closest ancestor (or the path itself), where a rule for the user wins over a rule for
+ * everyone on the same path. Paths without any rule get `defaultPermission`.
+ *
+ * Users are `{ username, isAdmin }` as set by the authentication middleware. Admin users
+ * have every permission everywhere, and a null user (authentication disabled) as well.
+ * Rules are persisted in `<rootDir>/.haptic/acl.json`.
+ */
+const createAccessControl = (rootDir, { defaultPermission = 'write' } = {}) => {
+  const resolvedRoot = path.resolve(rootDir);
+  const aclFile = path.join(resolvedRoot, '.haptic', 'acl.json');
+
+  // [{ path, user, permission }]
+  let rules = [];
+  let queue = Promise.resolve();
+
+  // Serialize all changes to the rules; results and failures are passed on to the caller
+  const enqueue = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const toRelative = (fsPath) => path.relative(resolvedRoot, path.resolve(fsPath));
+
+  const save = async () => {
+    await fs.mkdir(path.dirname(aclFile), { recursive: true });
+    const tempFile = `${aclFile}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify({ rules }, null, 2), 'utf8');
+    await fs.rename(tempFile, aclFile);
+  };
+
+  const initialize = () =>
+    enqueue(async () => {
+      try {
+        const raw = JSON.parse(await fs.readFile(aclFile, 'utf8'));
+        rules = (Array.isArray(raw.rules) ? raw.rules : []).filter(
+          (rule) => typeof rule.path === 'string' && rule.user && isValidPermission(rule.permission)
+        );
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error('Error reading access control rules:', error.message);
+        }
+        rules = [];
+      }
+    });
+
+  const findRule = (relativePath, username) =>
+    rules.find((rule) => rule.path === relativePath && rule.user === username);
+
+  // Effective permission of a user on a path
+  const permissionFor = (user, fsPath) => {
+    if (!user || user.isAdmin) return 'admin';
+
+    let current = toRelative(fsPath);
+    if (current === '.') current = '';
+    // The state directory (which holds these rules) is off-limits for everyone else
+    if (current.split(path.sep)[0] === '.haptic') return 'none';
+
+    for (;;) {
+      const rule = findRule(current, user.username) || findRule(current, EVERYONE);
+      if (rule) return rule.permission;
+      if (current === '') return defaultPermission;
+
+      const parent = path.dirname(current);
+      current = parent === '.' ? '' : parent;
+    }
+  };
+
+  const can = (user, fsPath, permission) => rank(permissionFor(user, fsPath)) >= rank(permission);
+
+  // Whether a user has a permission on a path and everything below it, including subfolders
+  // that rules restrict (e.g. before deleting or moving a folder)
+  const canRecursive = (user, fsPath, permission) =>
+    can(user, fsPath, permission) &&
+    listRules(fsPath).every((rule) => can(user, path.join(resolvedRoot, rule.path), permission));
+
+  // Whether a folder has to be listed for a user: it is readable itself, or a rule grants
+  // read access to something inside of it
+  const canTraverse = (user, fsPath) => {
+    if (can(user, fsPath, 'read')) return true;
+
+    const relativePath = toRelative(fsPath);
+    return rules.some(
+      (rule) =>
+        (rule.user === user.username || rule.user === EVERYONE) &&
+        rule.path !== relativePath &&
+        isSameOrInside(rule.path, relativePath) &&
+        can(user, path.join(resolvedRoot, rule.path), 'read')
+    );
+  };
+
+  // Rules on a path and below it
+  const listRules = (fsPath) => {
+    const relativePath = toRelative(fsPath);
+    return rules.filter((rule) => isSameOrInside(rule.path, relativePath));
+  };
+
+  // Set (or with permission null, remove) the rule of a user on a path
+  const setRule = (fsPath, username, permission) =>
+    enqueue(async () => {
+      const relativePath = toRelative(fsPath);
+      rules = rules.filter((rule) => !(rule.path === relativePath && rule.user === username));
+      if (permission) rules.push({ path: relativePath, user: username, permission });
+
+      await save();
+      return permission ? { path: relativePath, user: username, permission } : null;
+    });
+
+  // Let the rules on a path (and below it) follow a rename or move
+  const movePath = (oldFsPath, newFsPath) =>
+    enqueue(async () => {
+      const oldRelative = toRelative(oldFsPath);
+      const newRelative = toRelative(newFsPath);
+
+      const moved = rules.filter((rule) => isSameOrInside(rule.path, oldRelative));
+      if (moved.length === 0) return;
+
+      for (const rule of moved) {
+        rule.path = newRelative + rule.path.slice(oldRelative.length);
+      }
+      await save();
+    }).catch((error) => console.error('Access control update failed:', error));
+
+  // Drop the rules on a path (and below it) that is deleted for good
+  const removePath = (fsPath) =>
+    enqueue(async () => {
+      const relativePath = toRelative(fsPath);
+
+      const remaining = rules.filter((rule) => !isSameOrInside(rule.path, relativePath));
+      if (remaining.length === rules.length) return;
+
+      rules = remaining;
+      await save();
+    }).catch((error) => console.error('Access control update failed:', error));
+
+  return {
+    initialize,
+    permissionFor,
+    can,
+    canRecursive,
+    canTraverse,
+    listRules,
+    setRule,
+    movePath,
+    removePath
+  };
+};
+
+module.exports = {
+  EVERYONE,
+  PERMISSIONS,
+  createAccessControl,
+  isValidPermission
+};
@@ -0,0 +1,143 @@
+const Busboy = require('busboy');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { withFileLock } = require('./concurrency');
+const { findFreePath } = require('./files');
+
+const CONTENT_TYPES = {
+  '.apng': 'image/apng',
+  '.avif': 'image/avif',
+  '.bmp': 'image/bmp',
+  '.gif': 'image/gif',
+  '.ico': 'image/x-icon',
+  '.jpeg': 'image/jpeg',
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+  '.m4a': 'audio/mp4',
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg',
+  '.wav': 'audio/wav',
+  '.mov': 'video/quicktime',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.zip': 'application/zip'
+};
+
+const contentTypeOf = (fsPath) =>
+  CONTENT_TYPES[path.extname(fsPath).toLowerCase()] || 'application/octet-stream';
+
+// Everything that isn't a note is an attachment
+const isAttachment = (fsPath) => path.extname(fsPath).toLowerCase() !== '.md';
+
+const isImage = (fsPath) => contentTypeOf(fsPath).startsWith('image/');
+
+// File name of an upload without directories, reserved characters or a leading dot
+const sanitizeFileName = (fileName) =>
+  path
+    .basename(String(fileName || '').replace(/\\/g, '/'))
+    .replace(/[/\\:*?"<>|\u0000-\u001f]/g, '')
+    .replace(/^\.+/, '')
+    .trim();
+
+// Link to an attachment relative to the folder of the note that embeds it
+const toRelativeLink = (noteDir, fsPath) =>
+  path
+    .relative(noteDir, fsPath)
+    .split(path.sep)
+    // Parentheses would end the link target in markdown
+    .map((segment) => encodeURIComponent(segment).replace(/\(/g, '%28').replace(/\)/g, '%29'))
+    .join('/');
+
+// Store one uploaded file under a free name in `directory`. Files are written to a hidden
+// temporary file first, so a partial upload never shows up as attachment
+const saveUpload = async (stream, directory, fileName) => {
+  await fs.promises.mkdir(directory, { recursive: true });
+  const tempPath = path.join(directory, `.upload-${crypto.randomBytes(6).toString('hex')}`);
+
+  try {
+    await pipeline(stream, fs.createWriteStream(tempPath));
+    if (stream.truncated) {
+      throw Object.assign(new Error(`"${fileName}" exceeds the maximum attachment size`), {
+        code: 'ETOOLARGE'
+      });
+    }
+
+    // Pick the name and claim it in one step, so parallel uploads of files with the same
+    // name don't overwrite each other
+    return await withFileLock(directory, async () => {
+      const fsPath = await findFreePath(path.join(directory, fileName));
+      await fs.promises.rename(tempPath, fsPath);
+      const { size } = await fs.promises.stat(fsPath);
+      return { fsPath, name: path.basename(fsPath), size, contentType: contentTypeOf(fsPath) };
+    });
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  }
+};
+
+/**
+ * Receive the files of a multipart/form-data request and store them in `directory`.
+ * Resolves with [{ fsPath, name, size, contentType }]; files over `maxBytes` and requests
+ * without files are rejected with an error with `code` 'ETOOLARGE' or 'EINVAL'.
+ */
+const receiveAttachments = (req, directory, { maxBytes, maxFiles = 20 }) =>
+  new Promise((resolve, reject) => {
+    let busboy;
+    try {
+      busboy = Busboy({ headers: req.headers, limits: { fileSize: maxBytes, files: maxFiles } });
+    } catch (error) {
+      return reject(Object.assign(error, { code: 'EINVAL' }));
+    }
+
+    const uploads = [];
+    busboy.on('file', (field, stream, { filename }) => {
+      const fileName = sanitizeFileName(filename);
+      if (!fileName) {
+        stream.resume();
+        return;
+      }
+      uploads.push(saveUpload(stream, directory, fileName));
+    });
+
+    busboy.on('close', async () => {
+      const results = await Promise.allSettled(uploads);
+      const failure = results.find((result) => result.status === 'rejected');
+      const saved = results
+        .filter((result) => result.status === 'fulfilled')
+        .map((result) => result.value);
+
+      if (failure) {
+        // Don't keep some files of a failed upload
+        await Promise.all(saved.map(({ fsPath }) => fs.promises.rm(fsPath, { force: true })));
+        return reject(failure.reason);
+      }
+      if (saved.length === 0) {
+        return reject(
+          Object.assign(new Error('No files were uploaded'), {
+            code: 'EINVAL'
+          })
+        );
+      }
+      resolve(saved);
+    });
+
+    busboy.on('error', (error) => reject(Object.assign(error, { code: 'EINVAL' })));
+    req.pipe(busboy);
+  });
+
+module.exports = {
+  contentTypeOf,
+  isAttachment,
+  isImage,
+  receiveAttachments,
+  toRelativeLink
+};
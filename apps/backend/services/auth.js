@@ -0,0 +1,315 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const SCRYPT_KEY_LENGTH = 64;
+
+const toBase64Url = (value) => Buffer.from(value).toString('base64url');
+
+// Constant-time comparison of two strings of possibly different lengths
+const safeEqual = (a, b) => {
+  const hashA = crypto.createHash('sha256').update(a).digest();
+  const hashB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+};
+
+const hashPassword = (password, salt = crypto.randomBytes(16)) => ({
+  salt,
+  hash: crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH)
+});
+
+// Session tokens name the session version of their account; a new one revokes all older tokens
+const newSessionVersion = () => crypto.randomBytes(8).toString('hex');
+
+// Usernames end up in ACL rules and logs: no separators, wildcards or surrounding spaces
+const isValidUsername = (username) =>
+  typeof username === 'string' &&
+  /^[\p{L}\p{N}._@-]{1,64}$/u.test(username) &&
+  !username.startsWith('.');
+
+// Parse comma-separated "name:secret" pairs as used by the API_KEYS and AUTH_USERS variables
+const parseCredentialList = (value) =>
+  (value || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(':');
+      return separator === -1
+        ? { name: null, secret: entry }
+        : { name: entry.slice(0, separator), secret: entry.slice(separator + 1) };
+    })
+    .filter(({ secret }) => Boolean(secret));
+
+/**
+ * Token based authentication and user accounts.
+ *
+ * Callers authenticate with `Authorization: Bearer <token>` where the token is either a
+ * configured API key or a session token issued by `login` for a username and password.
+ * Session tokens are signed with `secret` (HMAC-SHA256) and expire after `tokenTtlMs`;
+ * `logout` revokes a session token until it would have expired anyway. Changing the password
+ * of an account or deleting it revokes all of its session tokens.
+ *
+ * `apiKeys` and `users` are lists of `{ name, secret }` from the environment. API keys
+ * without a name authenticate as "api-key". Accounts created through `createUser` are
+ * persisted in `usersFile` (passwords only as scrypt hashes). Users listed in `adminUsers`
+ * and accounts created as admin may manage accounts and have every permission.
+ *
+ * Authentication is enabled as soon as any credentials exist, and stays enabled for the
+ * lifetime of the process even if all accounts are deleted again.
+ */
+const createAuth = ({
+  apiKeys = [],
+  users = [],
+  usersFile,
+  adminUsers = [],
+  secret,
+  tokenTtlMs
+}) => {
+  const signingSecret = secret || crypto.randomBytes(32).toString('hex');
+
+  // username -> { salt, hash, isAdmin, source: 'env' | 'file', createdAt, sessionVersion }
+  const accounts = new Map(
+    users.map(({ name, secret: password }) => [
+      name,
+      {
+        ...hashPassword(password),
+        isAdmin: false,
+        source: 'env',
+        createdAt: null,
+        sessionVersion: 'env'
+      }
+    ])
+  );
+  // token id -> expiry (ms) of revoked session tokens
+  const revoked = new Map();
+  let enabledLatch = false;
+  let queue = Promise.resolve();
+
+  // Serialize changes to the accounts file; results and failures are passed on to the caller
+  const enqueue = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const isEnabled = () => {
+    enabledLatch = enabledLatch || apiKeys.length > 0 || accounts.size > 0;
+    return enabledLatch;
+  };
+
+  const isAdminUser = (username) =>
+    adminUsers.includes(username) || Boolean(accounts.get(username)?.isAdmin);
+
+  const save = async () => {
+    const stored = [...accounts.entries()]
+      .filter(([, account]) => account.source === 'file')
+      .map(([username, { salt, hash, isAdmin, createdAt, sessionVersion }]) => ({
+        username,
+        salt: salt.toString('hex'),
+        hash: hash.toString('hex'),
+        isAdmin,
+        createdAt,
+        sessionVersion
+      }));
+
+    await fs.mkdir(path.dirname(usersFile), { recursive: true });
+    const tempFile = `${usersFile}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify({ users: stored }, null, 2), {
+      encoding: 'utf8',
+      mode: 0o600
+    });
+    await fs.rename(tempFile, usersFile);
+  };
+
+  const initialize = () =>
+    enqueue(async () => {
+      let stored = [];
+      try {
+        const raw = JSON.parse(await fs.readFile(usersFile, 'utf8'));
+        stored = Array.isArray(raw.users) ? raw.users : [];
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error('Error reading user accounts:', error.message);
+        }
+      }
+
+      for (const user of stored) {
+        // Accounts from the environment take precedence
+        if (!isValidUsername(user.username) || accounts.has(user.username)) continue;
+        accounts.set(user.username, {
+          salt: Buffer.from(user.salt, 'hex'),
+          hash: Buffer.from(user.hash, 'hex'),
+          isAdmin: Boolean(user.isAdmin),
+          source: 'file',
+          createdAt: user.createdAt || null,
+          sessionVersion: typeof user.sessionVersion === 'string' ? user.sessionVersion : ''
+        });
+      }
+      isEnabled();
+    });
+
+  const toUserResponse = (username, { isAdmin, source, createdAt }) => ({
+    username,
+    isAdmin: isAdmin || adminUsers.includes(username),
+    source,
+    createdAt
+  });
+
+  const listUsers = () =>
+    [...accounts.entries()].map(([username, account]) => toUserResponse(username, account));
+
+  // Create an account; throws with `code` 'EINVAL' or 'EEXIST' for invalid input
+  const createUser = (username, password, isAdmin = false) =>
+    enqueue(async () => {
+      if (!isValidUsername(username) || typeof password !== 'string' || !password) {
+        throw Object.assign(new Error('A valid username and a password are required'), {
+          code: 'EINVAL'
+        });
+      }
+      if (accounts.has(username)) {
+        throw Object.assign(new Error(`User "${username}" already exists`), { code: 'EEXIST' });
+      }
+
+      const account = {
+        ...hashPassword(password),
+        isAdmin: Boolean(isAdmin),
+        source: 'file',
+        createdAt: new Date().toISOString(),
+        // Tokens of a deleted account with the same name stay invalid
+        sessionVersion: newSessionVersion()
+      };
+      accounts.set(username, account);
+      isEnabled();
+      await save();
+
+      return toUserResponse(username, account);
+    });
+
+  // Delete an account created through the API; returns false if there is none
+  const deleteUser = (username) =>
+    enqueue(async () => {
+      if (accounts.get(username)?.source !== 'file') return false;
+
+      accounts.delete(username);
+      await save();
+      return true;
+    });
+
+  // Change the password of an account created through the API; returns false if there is none
+  const setPassword = (username, password) =>
+    enqueue(async () => {
+      const account = accounts.get(username);
+      if (account?.source !== 'file') return false;
+      if (typeof password !== 'string' || !password) {
+        throw Object.assign(new Error('A password is required'), { code: 'EINVAL' });
+      }
+
+      Object.assign(account, hashPassword(password), { sessionVersion: newSessionVersion() });
+      await save();
+      return true;
+    });
+
+  const sign = (payload) =>
+    crypto.createHmac('sha256', signingSecret).update(payload).digest('base64url');
+
+  const issueToken = (username) => {
+    const expiresAt = Date.now() + tokenTtlMs;
+    const payload = toBase64Url(
+      JSON.stringify({
+        sub: username,
+        jti: crypto.randomBytes(12).toString('hex'),
+        ver: accounts.get(username).sessionVersion,
+        exp: expiresAt
+      })
+    );
+
+    return { token: `${payload}.${sign(payload)}`, expiresAt: new Date(expiresAt).toISOString() };
+  };
+
+  // Decode a session token; null if it is malformed, forged, expired or revoked, or its account
+  // has been deleted or got a new password since
+  const readSessionToken = (token) => {
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature || !safeEqual(signature, sign(payload))) return null;
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch {
+      return null;
+    }
+
+    if (typeof claims.exp !== 'number' || claims.exp <= Date.now()) return null;
+    if (revoked.has(claims.jti)) return null;
+    if (accounts.get(claims.sub)?.sessionVersion !== claims.ver) return null;
+    return claims;
+  };
+
+  // Returns { token, expiresAt, username } or null if the credentials are wrong
+  const login = (username, password) => {
+    const account = typeof username === 'string' && accounts.get(username);
+    if (!account || typeof password !== 'string') return null;
+
+    const { hash } = hashPassword(password, account.salt);
+    if (!crypto.timingSafeEqual(hash, account.hash)) return null;
+
+    return { ...issueToken(username), username };
+  };
+
+  const logout = (token) => {
+    const claims = readSessionToken(token);
+    if (!claims) return false;
+
+    revoked.set(claims.jti, claims.exp);
+    for (const [jti, exp] of revoked) {
+      if (exp <= Date.now()) revoked.delete(jti);
+    }
+    return true;
+  };
+
+  // Identity ({ username, method, isAdmin }) of a bearer token, or null if it is not valid
+  const authenticate = (token) => {
+    if (!token) return null;
+
+    const apiKey = apiKeys.find((key) => safeEqual(key.secret, token));
+    if (apiKey) {
+      const username = apiKey.name || 'api-key';
+      return { username, method: 'api-key', isAdmin: isAdminUser(username) };
+    }
+
+    const claims = readSessionToken(token);
+    if (claims) {
+      return { username: claims.sub, method: 'session', isAdmin: isAdminUser(claims.sub) };
+    }
+
+    return null;
+  };
+
+  return {
+    isEnabled,
+    initialize,
+    listUsers,
+    createUser,
+    deleteUser,
+    setPassword,
+    login,
+    logout,
+    authenticate
+  };
+};
+
+// Bearer token of a request ("Authorization: Bearer <token>")
+const getBearerToken = (req) => {
+  const header = req.headers.authorization;
+  if (!header) return null;
+
+  const [scheme, token] = header.split(' ');
+  return scheme && scheme.toLowerCase() === 'bearer' && token ? token.trim() : null;
+};
+
+module.exports = {
+  createAuth,
+  getBearerToken,
+  parseCredentialList
+};
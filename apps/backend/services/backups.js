@@ -0,0 +1,304 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const yauzl = require('yauzl');
+const yazl = require('yazl');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const INTERVAL_UNITS_MS = { h: HOUR_MS, d: DAY_MS, w: 7 * DAY_MS, m: 30 * DAY_MS };
+const INTERVAL_PATTERN = /^([1-9]\d*)([hdwm])$/;
+
+// Backup interval like the settings offer them ("1w", "2w", "1m"; also hours and days) in
+// milliseconds, or null if it is invalid
+const parseInterval = (interval) => {
+  const match = typeof interval === 'string' && interval.match(INTERVAL_PATTERN);
+  return match ? Number(match[1]) * INTERVAL_UNITS_MS[match[2]] : null;
+};
+
+// Hidden files and folders (like ".haptic") hold the server's data, not notes
+const isVisiblePath = (relativePath) =>
+  relativePath.split('/').every((segment) => !segment.startsWith('.'));
+
+/**
+ * Scheduled, compressed snapshots of a directory (the volume).
+ *
+ * Every backup is a ZIP archive of the whole directory, including the server's data in
+ * ".haptic" (version history, trash, access rules) but not ".git", stored in `backupDir` and
+ * recorded in `<backupDir>/index.json` together with the schedule. While the schedule is
+ * enabled, `runIfDue` creates a backup once `interval` has passed since the newest one. Only
+ * the newest `keepCount` backups are kept (0: all), and backups older than `maxAgeDays` are
+ * deleted (0: none), except for the newest one.
+ */
+const createBackups = (
+  rootDir,
+  { backupDir, enabled = false, interval = '1w', keepCount = 10, maxAgeDays = 0 }
+) => {
+  const resolvedRoot = path.resolve(rootDir);
+  const resolvedBackupDir = path.resolve(backupDir);
+  const indexFile = path.join(resolvedBackupDir, 'index.json');
+
+  // [{ id, fileName, reason, createdAt, size, files }] (oldest first)
+  let backups = [];
+  let schedule = { enabled, interval: parseInterval(interval) ? interval : '1w' };
+  let queue = Promise.resolve();
+
+  // Serialize all access to the backups; results and failures are passed on to the caller
+  const enqueue = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const backupPath = (backup) => path.join(resolvedBackupDir, backup.fileName);
+
+  const save = async () => {
+    await fs.promises.mkdir(resolvedBackupDir, { recursive: true });
+    const tempFile = `${indexFile}.tmp`;
+    await fs.promises.writeFile(tempFile, JSON.stringify({ schedule, backups }, null, 2), 'utf8');
+    await fs.promises.rename(tempFile, indexFile);
+  };
+
+  const initialize = () =>
+    enqueue(async () => {
+      try {
+        const raw = JSON.parse(await fs.promises.readFile(indexFile, 'utf8'));
+        backups = Array.isArray(raw.backups) ? raw.backups : [];
+        if (raw.schedule && parseInterval(raw.schedule.interval)) {
+          schedule = { enabled: raw.schedule.enabled === true, interval: raw.schedule.interval };
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error('Error reading backup index:', error.message);
+        }
+        backups = [];
+      }
+
+      // Forget backups whose archives were deleted by hand
+      const existing = [];
+      for (const backup of backups) {
+        try {
+          await fs.promises.access(backupPath(backup));
+          existing.push(backup);
+        } catch {
+          // Gone
+        }
+      }
+      backups = existing;
+    });
+
+  // Paths of the files to back up (posix, relative to the root), without the backups and Git
+  // repositories (see git-storage), which have their own remote
+  const collectFiles = async (relativeDir = '') => {
+    const dirPath = path.join(resolvedRoot, relativeDir);
+    if (dirPath === resolvedBackupDir) return [];
+
+    const files = [];
+    const entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
+    for (const entry of entries) {
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      if (entry.isDirectory() && entry.name === '.git') continue;
+      if (entry.isDirectory()) {
+        files.push(...(await collectFiles(relativePath)));
+      } else if (entry.isFile()) {
+        files.push(relativePath);
+      }
+    }
+    return files;
+  };
+
+  // Delete the backups past the retention limits, except for `kept`
+  const applyRetention = async (kept) => {
+    const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * DAY_MS : null;
+    const expired = backups.filter(
+      (backup, index) =>
+        index < backups.length - 1 &&
+        backup !== kept &&
+        ((keepCount > 0 && index < backups.length - keepCount) ||
+          (cutoff !== null && Date.parse(backup.createdAt) < cutoff))
+    );
+    for (const backup of expired) {
+      await fs.promises.rm(backupPath(backup), { force: true });
+    }
+    backups = backups.filter((backup) => !expired.includes(backup));
+    return expired;
+  };
+
+  // Create a backup; must run in the queue. `kept` is a backup that retention must not delete
+  const createBackup = async (reason, kept = null) => {
+    const createdAt = new Date();
+    const id = `haptic-${createdAt.toISOString().replace(/[:.]/g, '-')}`;
+    const fileName = `${id}.zip`;
+    const files = await collectFiles();
+
+    await fs.promises.mkdir(resolvedBackupDir, { recursive: true });
+    const tempFile = path.join(resolvedBackupDir, `.${fileName}.partial`);
+    const zip = new yazl.ZipFile();
+    for (const file of files) zip.addFile(path.join(resolvedRoot, ...file.split('/')), file);
+    zip.end();
+
+    try {
+      await pipeline(zip.outputStream, fs.createWriteStream(tempFile));
+      await fs.promises.rename(tempFile, path.join(resolvedBackupDir, fileName));
+    } catch (error) {
+      await fs.promises.rm(tempFile, { force: true });
+      throw error;
+    }
+
+    const { size } = await fs.promises.stat(path.join(resolvedBackupDir, fileName));
+    const backup = {
+      id,
+      fileName,
+      reason,
+      createdAt: createdAt.toISOString(),
+      size,
+      files: files.length
+    };
+    backups.push(backup);
+    const expired = await applyRetention(kept);
+    await save();
+
+    if (expired.length > 0) console.log(`Deleted ${expired.length} expired backup(s)`);
+    return backup;
+  };
+
+  /**
+   * Back up the directory now. `reason` is 'manual', 'scheduled' or 'restore' (made before a
+   * restore replaced the directory). Resolves with the backup.
+   */
+  const create = (reason = 'manual') => enqueue(() => createBackup(reason));
+
+  // All backups, newest first
+  const list = () => enqueue(async () => [...backups].reverse());
+
+  // A backup with its archive path, or null
+  const get = (id) =>
+    enqueue(async () => {
+      const backup = backups.find((item) => item.id === id);
+      return backup ? { ...backup, fsPath: backupPath(backup) } : null;
+    });
+
+  // When the next scheduled backup is due (ISO string), or null if backups are disabled
+  const nextBackupAt = () => {
+    if (!schedule.enabled) return null;
+    const newest = backups[backups.length - 1];
+    if (!newest) return new Date().toISOString();
+    return new Date(Date.parse(newest.createdAt) + parseInterval(schedule.interval)).toISOString();
+  };
+
+  const getSchedule = () =>
+    enqueue(async () => ({
+      ...schedule,
+      nextBackupAt: nextBackupAt(),
+      keepCount,
+      maxAgeDays
+    }));
+
+  // Change the schedule ({ enabled, interval }, both optional); the interval must be valid
+  const setSchedule = (changes) =>
+    enqueue(async () => {
+      schedule = {
+        enabled: typeof changes.enabled === 'boolean' ? changes.enabled : schedule.enabled,
+        interval: changes.interval ?? schedule.interval
+      };
+      await save();
+      return { ...schedule, nextBackupAt: nextBackupAt(), keepCount, maxAgeDays };
+    });
+
+  // Create a scheduled backup if one is due. Resolves with the backup, or null
+  const runIfDue = () =>
+    enqueue(async () => {
+      const due = nextBackupAt();
+      if (!due || Date.parse(due) > Date.now()) return null;
+      return createBackup('scheduled');
+    });
+
+  // Extract the notes and attachments (no hidden files) of an archive into a directory
+  const extract = (zipPath, targetDir) =>
+    new Promise((resolve, reject) => {
+      yauzl.open(zipPath, { lazyEntries: true }, (error, zipfile) => {
+        if (error) return reject(error);
+
+        const topLevel = new Set();
+        const fail = (failure) => {
+          zipfile.close();
+          reject(failure);
+        };
+
+        zipfile.on('entry', (entry) => {
+          if (entry.fileName.endsWith('/') || !isVisiblePath(entry.fileName)) {
+            zipfile.readEntry();
+            return;
+          }
+
+          const fsPath = path.join(targetDir, ...entry.fileName.split('/'));
+          zipfile.openReadStream(entry, async (streamError, stream) => {
+            if (streamError) return fail(streamError);
+            try {
+              await fs.promises.mkdir(path.dirname(fsPath), { recursive: true });
+              await pipeline(stream, fs.createWriteStream(fsPath, { flags: 'wx' }));
+              topLevel.add(entry.fileName.split('/')[0]);
+              zipfile.readEntry();
+            } catch (writeError) {
+              fail(writeError);
+            }
+          });
+        });
+        zipfile.on('end', () => resolve([...topLevel].sort()));
+        zipfile.on('error', fail);
+        zipfile.readEntry();
+      });
+    });
+
+  /**
+   * Restore the notes and attachments of a backup; the server's data in ".haptic" is kept as
+   * it is. With `replace`, the contents of the backed up directory are replaced, after a backup
+   * of the current state was made; otherwise the backup is restored into `targetDir`, which
+   * must be empty. Resolves with { backup, safetyBackup, removed, restored } (names of the top
+   * level entries that were removed and restored), or null if there is no such backup.
+   */
+  const restore = (id, { replace = false, targetDir } = {}) =>
+    enqueue(async () => {
+      const backup = backups.find((item) => item.id === id);
+      if (!backup) return null;
+
+      let safetyBackup = null;
+      const removed = [];
+      const target = replace ? resolvedRoot : path.resolve(targetDir);
+
+      if (replace) {
+        safetyBackup = await createBackup('restore', backup);
+        for (const entry of await fs.promises.readdir(resolvedRoot)) {
+          const entryPath = path.join(resolvedRoot, entry);
+          // The backups themselves may be kept inside of the directory
+          const holdsBackups =
+            resolvedBackupDir === entryPath ||
+            resolvedBackupDir.startsWith(`${entryPath}${path.sep}`);
+          if (!isVisiblePath(entry) || holdsBackups) continue;
+          await fs.promises.rm(entryPath, { recursive: true, force: true });
+          removed.push(entry);
+        }
+      } else {
+        await fs.promises.mkdir(target, { recursive: true });
+      }
+
+      const restored = await extract(backupPath(backup), target);
+      return { backup, safetyBackup, removed, restored };
+    });
+
+  return {
+    initialize,
+    create,
+    list,
+    get,
+    getSchedule,
+    setSchedule,
+    runIfDue,
+    restore
+  };
+};
+
+module.exports = {
+  createBackups,
+  parseInterval
+};
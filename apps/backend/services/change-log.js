@@ -0,0 +1,121 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Durable, numbered log of the changes broadcast to clients.
+ *
+ * Every change gets the next cursor (1, 2, ...) and is appended to `logFile` as a line of
+ * JSON, so clients can ask for the changes after the last cursor they saw, also across
+ * restarts. Only the newest `maxEntries` changes are kept; the file is compacted once it holds
+ * twice as many. Clients whose cursor is older than the oldest kept change (or newer than the
+ * newest one, e.g. after the log was deleted) have to resync.
+ */
+const createChangeLog = (logFile, { maxEntries = 10000 } = {}) => {
+  // [{ cursor, collection, changeType, path, oldPath?, timestamp }] (oldest first)
+  let entries = [];
+  let lastCursor = 0;
+  let linesInFile = 0;
+  let queue = Promise.resolve();
+
+  // Serialize all writes to the log file; results and failures are passed on to the caller
+  const enqueue = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const compact = async () => {
+    const tempFile = `${logFile}.tmp`;
+    await fs.writeFile(tempFile, entries.map((entry) => `${JSON.stringify(entry)}\n`).join(''));
+    await fs.rename(tempFile, logFile);
+    linesInFile = entries.length;
+  };
+
+  const initialize = () =>
+    enqueue(async () => {
+      let content = '';
+      try {
+        content = await fs.readFile(logFile, 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') console.error('Error reading change log:', error.message);
+      }
+
+      const lines = content.split('\n').filter(Boolean);
+      const loaded = [];
+      for (const line of lines) {
+        try {
+          const entry = JSON.parse(line);
+          if (Number.isInteger(entry.cursor) && entry.cursor > (loaded.at(-1)?.cursor ?? 0)) {
+            loaded.push(entry);
+          }
+        } catch {
+          // A line cut off by a crash
+        }
+      }
+
+      entries = loaded.slice(-maxEntries);
+      lastCursor = entries.at(-1)?.cursor ?? 0;
+      linesInFile = lines.length;
+      await fs.mkdir(path.dirname(logFile), { recursive: true });
+      if (linesInFile > entries.length) await compact();
+    });
+
+  /**
+   * Record a change ({ collection, changeType, path, oldPath?, timestamp }). Returns the entry
+   * with its cursor right away; it is written to the log file in the background.
+   */
+  const append = (change) => {
+    const entry = { cursor: ++lastCursor, ...change };
+    entries.push(entry);
+    if (entries.length > maxEntries) entries = entries.slice(-maxEntries);
+
+    enqueue(async () => {
+      if (linesInFile >= 2 * maxEntries) {
+        await compact();
+      } else {
+        await fs.appendFile(logFile, `${JSON.stringify(entry)}\n`);
+        linesInFile++;
+      }
+    }).catch((error) => console.error('Error writing change log:', error.message));
+
+    return entry;
+  };
+
+  // Cursor of the newest change (0 if there is none)
+  const latest = () => lastCursor;
+
+  /**
+   * The changes of a collection after `cursor`, at most `limit`. Returns
+   * { changes, cursor, hasMore, resync }: `cursor` is where to continue from, and with `resync`
+   * the changes since `cursor` aren't known anymore (no changes are returned then).
+   */
+  const since = (cursor, { collection, limit = Infinity } = {}) => {
+    const oldest = entries[0]?.cursor ?? lastCursor + 1;
+    if (cursor > lastCursor || cursor < oldest - 1) {
+      return { changes: [], cursor: lastCursor, hasMore: false, resync: true };
+    }
+
+    const missed = entries.filter(
+      (entry) => entry.cursor > cursor && (!collection || entry.collection === collection)
+    );
+    const changes = missed.slice(0, limit);
+    const hasMore = missed.length > changes.length;
+    return {
+      changes,
+      cursor: hasMore ? changes.at(-1).cursor : lastCursor,
+      hasMore,
+      resync: false
+    };
+  };
+
+  return {
+    initialize,
+    append,
+    latest,
+    since
+  };
+};
+
+module.exports = {
+  createChangeLog
+};
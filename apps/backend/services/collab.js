@@ -0,0 +1,188 @@
+const path = require('path');
+const Y = require('yjs');
+const { fragmentToMarkdown } = require('./prosemirror-markdown');
+
+// Name of the Y.XmlFragment holding the editor document (the y-prosemirror default)
+const FRAGMENT_NAME = 'prosemirror';
+
+const isSameOrInside = (fsPath, parentPath) =>
+  fsPath === parentPath || fsPath.startsWith(`${parentPath}${path.sep}`);
+
+const toBase64 = (update) => Buffer.from(update).toString('base64');
+const fromBase64 = (value) => new Uint8Array(Buffer.from(value, 'base64'));
+
+/**
+ * Real-time collaborative editing of the notes of a directory.
+ *
+ * Every note that is being edited has a room holding its document as a Yjs CRDT, which
+ * clients join over the WebSocket connection. Clients exchange Yjs updates (base64 encoded)
+ * through the room, so concurrent edits merge instead of overwriting each other, and the
+ * server writes the merged document back to the markdown file through `save(fsPath,
+ * markdown)` at most every `persistDelayMs` and when the last client leaves.
+ *
+ * A new room starts out empty and the first client to join is asked to seed it with the
+ * note as it read it from the file; the seed itself isn't written back. Messages to clients
+ * go through `send(client, type, fsPath, payload)`.
+ */
+const createCollaboration = (rootDir, { persistDelayMs = 1000, save, send }) => {
+  const resolvedRoot = path.resolve(rootDir);
+
+  // fsPath -> { doc, clients, seeder, savedMarkdown, timer, saving, discarded }
+  const rooms = new Map();
+  // fsPath -> promise of a room that is being closed
+  const closing = new Map();
+
+  const fragmentOf = (room) => room.doc.getXmlFragment(FRAGMENT_NAME);
+
+  // Write the document of a room to its file, unless it didn't change since the last write.
+  // Writes of a room are serialized; failures are logged and retried on the next change
+  const persist = (fsPath, room) => {
+    clearTimeout(room.timer);
+    room.timer = null;
+
+    room.saving = room.saving.then(async () => {
+      const markdown = fragmentToMarkdown(fragmentOf(room));
+      if (room.discarded || markdown === room.savedMarkdown) return;
+
+      try {
+        await save(fsPath, markdown);
+        room.savedMarkdown = markdown;
+      } catch (error) {
+        console.error(`Error saving collaborative edits of ${fsPath}:`, error);
+      }
+    });
+    return room.saving;
+  };
+
+  const createRoom = (fsPath) => {
+    const room = {
+      doc: new Y.Doc(),
+      clients: new Set(),
+      seeder: null,
+      savedMarkdown: null,
+      timer: null,
+      saving: Promise.resolve(),
+      discarded: false
+    };
+
+    // Relay updates to the other clients of the room and schedule writing them to the file
+    room.doc.on('update', (update, origin) => {
+      for (const client of room.clients) {
+        if (client !== origin) send(client, 'collab_update', fsPath, { update: toBase64(update) });
+      }
+
+      if (room.savedMarkdown !== null && !room.timer) {
+        room.timer = setTimeout(() => persist(fsPath, room), persistDelayMs);
+      }
+    });
+
+    rooms.set(fsPath, room);
+    return room;
+  };
+
+  // Persist (unless `discard`) and remove a room, telling its clients why
+  const closeRoom = (fsPath, room, reason, discard) => {
+    rooms.delete(fsPath);
+    clearTimeout(room.timer);
+    // Writes that are still waiting must not overwrite the file either
+    room.discarded = discard;
+    const closed = (discard ? room.saving : persist(fsPath, room)).then(() => {
+      room.doc.destroy();
+      closing.delete(fsPath);
+    });
+    closing.set(fsPath, closed);
+
+    for (const client of room.clients) send(client, 'collab_closed', fsPath, { reason });
+    return closed;
+  };
+
+  // Join the room of a note. The client receives the document state it is missing (relative
+  // to the state vector it sent, if any) and the state vector of the room, so it can send
+  // back what the room is missing after a reconnect
+  const join = async (client, fsPath, stateVector) => {
+    const resolvedPath = path.resolve(fsPath);
+    await closing.get(resolvedPath);
+
+    const room = rooms.get(resolvedPath) || createRoom(resolvedPath);
+    room.clients.add(client);
+
+    const isEmpty = fragmentOf(room).length === 0 && room.savedMarkdown === null;
+    const seed = isEmpty && !(room.seeder && room.clients.has(room.seeder));
+    if (seed) room.seeder = client;
+
+    send(client, 'collab_sync', resolvedPath, {
+      update: toBase64(
+        Y.encodeStateAsUpdate(room.doc, stateVector ? fromBase64(stateVector) : undefined)
+      ),
+      stateVector: toBase64(Y.encodeStateVector(room.doc)),
+      seed
+    });
+  };
+
+  // Apply an update from a client of a room; with `seed`, the update is the initial content
+  // of the note from its file (possibly empty). Returns false if the client isn't in the room
+  const applyUpdate = (client, fsPath, update, seed = false) => {
+    const resolvedPath = path.resolve(fsPath);
+    const room = rooms.get(resolvedPath);
+    if (!room || !room.clients.has(client)) return false;
+
+    const isSeed = seed && room.seeder === client && room.savedMarkdown === null;
+    Y.applyUpdate(room.doc, fromBase64(update), client);
+    // The seed is what the file contains already, so there is nothing to write back. Edits
+    // made before it arrived are written along with the next change
+    if (isSeed) room.savedMarkdown = fragmentToMarkdown(fragmentOf(room));
+    return true;
+  };
+
+  const leave = (client, fsPath) => {
+    const resolvedPath = path.resolve(fsPath);
+    const room = rooms.get(resolvedPath);
+    if (!room || !room.clients.delete(client)) return Promise.resolve();
+
+    return room.clients.size === 0
+      ? closeRoom(resolvedPath, room, 'empty', false)
+      : Promise.resolve();
+  };
+
+  // Leave all rooms, e.g. when a client disconnects
+  const leaveAll = (client) =>
+    Promise.all(
+      [...rooms.entries()]
+        .filter(([, room]) => room.clients.has(client))
+        .map(([fsPath]) => leave(client, fsPath))
+    );
+
+  const closeRooms = (fsPath, reason, discard) => {
+    const resolvedPath = path.resolve(fsPath);
+    return Promise.all(
+      [...rooms.entries()]
+        .filter(([roomPath]) => isSameOrInside(roomPath, resolvedPath))
+        .map(([roomPath, room]) => closeRoom(roomPath, room, reason, discard))
+    );
+  };
+
+  // Write pending edits of the notes at or below a path and close their rooms, e.g. before
+  // they are renamed, moved or deleted
+  const flush = (fsPath, reason = 'closed') => closeRooms(fsPath, reason, false);
+
+  // Close the rooms of the notes at or below a path without writing them, e.g. after their
+  // files were changed by other means. Clients rejoin to continue with the new content
+  const discard = (fsPath, reason = 'changed') => closeRooms(fsPath, reason, true);
+
+  // Write pending edits of all notes and close all rooms
+  const close = () => flush(resolvedRoot, 'closed');
+
+  return {
+    join,
+    applyUpdate,
+    leave,
+    leaveAll,
+    flush,
+    discard,
+    close
+  };
+};
+
+module.exports = {
+  createCollaboration
+};
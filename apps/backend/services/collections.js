@@ -0,0 +1,151 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Strip the leading/trailing slashes clients use for collection paths ("/Haptic" -> "Haptic")
+const normalizeCollectionName = (rawName) =>
+  typeof rawName === 'string' ? rawName.trim().replace(/^\/+|\/+$/g, '') : '';
+
+// Collection names become the first segment of API paths and the name of their directory
+const isValidCollectionName = (name) =>
+  Boolean(name) && !name.startsWith('.') && !/[/\\:*?"<>|]/.test(name);
+
+const isSameOrInside = (childPath, parentPath) =>
+  childPath === parentPath || childPath.startsWith(`${parentPath}${path.sep}`);
+
+/**
+ * Registry of the collections served by the backend, persisted as JSON in `registryFile`.
+ *
+ * The default collection comes from the environment (`ROOT_NAME` / `VOLUME_PATH`) and is
+ * always present; its directory is never taken from the registry file. Every other
+ * collection maps to its own directory, which is `managed` if the backend created it (only
+ * then may the backend delete it).
+ */
+const createCollectionRegistry = ({ registryFile, defaultCollection }) => {
+  // name -> { name, directory, isDefault, managed, createdAt, lastOpened }
+  const records = new Map();
+
+  const save = async () => {
+    const serialized = {
+      collections: [...records.values()].map(
+        ({ name, directory, managed, createdAt, lastOpened }) => ({
+          name,
+          directory,
+          managed,
+          createdAt,
+          lastOpened
+        })
+      )
+    };
+
+    await fs.mkdir(path.dirname(registryFile), { recursive: true });
+    const tempFile = `${registryFile}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(serialized, null, 2), 'utf8');
+    await fs.rename(tempFile, registryFile);
+  };
+
+  const load = async () => {
+    let stored = [];
+    try {
+      const raw = JSON.parse(await fs.readFile(registryFile, 'utf8'));
+      stored = Array.isArray(raw.collections) ? raw.collections : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error reading collections registry:', error.message);
+      }
+    }
+
+    records.clear();
+    const now = new Date().toISOString();
+    const storedDefault = stored.find((record) => record.name === defaultCollection.name);
+    records.set(defaultCollection.name, {
+      name: defaultCollection.name,
+      directory: path.resolve(defaultCollection.directory),
+      isDefault: true,
+      managed: false,
+      createdAt: storedDefault?.createdAt || now,
+      lastOpened: storedDefault?.lastOpened || now
+    });
+
+    for (const record of stored) {
+      if (!isValidCollectionName(record.name) || records.has(record.name) || !record.directory) {
+        continue;
+      }
+      records.set(record.name, {
+        name: record.name,
+        directory: path.resolve(record.directory),
+        isDefault: false,
+        managed: record.managed === true,
+        createdAt: record.createdAt || now,
+        lastOpened: record.lastOpened || record.createdAt || now
+      });
+    }
+
+    return [...records.values()];
+  };
+
+  const list = () => [...records.values()];
+
+  const get = (name) => records.get(normalizeCollectionName(name));
+
+  const getDefault = () => records.get(defaultCollection.name);
+
+  // Existing collection whose directory overlaps with the given one, if any
+  const findOverlapping = (directory) => {
+    const resolved = path.resolve(directory);
+    return list().find(
+      (record) =>
+        isSameOrInside(resolved, record.directory) || isSameOrInside(record.directory, resolved)
+    );
+  };
+
+  const add = async ({ name, directory, managed = false }) => {
+    const now = new Date().toISOString();
+    const record = {
+      name,
+      directory: path.resolve(directory),
+      isDefault: false,
+      managed,
+      createdAt: now,
+      lastOpened: now
+    };
+
+    records.set(name, record);
+    await save();
+    return record;
+  };
+
+  const remove = async (name) => {
+    const record = get(name);
+    if (!record || record.isDefault) return null;
+
+    records.delete(record.name);
+    await save();
+    return record;
+  };
+
+  const touch = async (name) => {
+    const record = get(name);
+    if (!record) return null;
+
+    record.lastOpened = new Date().toISOString();
+    await save();
+    return record;
+  };
+
+  return {
+    load,
+    list,
+    get,
+    getDefault,
+    findOverlapping,
+    add,
+    remove,
+    touch
+  };
+};
+
+module.exports = {
+  createCollectionRegistry,
+  isValidCollectionName,
+  normalizeCollectionName
+};
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+// Strong ETag derived from the content of a note
+const computeEtag = (content) =>
+  `"${crypto.createHash('sha1').update(content, 'utf8').digest('hex')}"`;
+
+/**
+ * Check an `If-Match` header against the ETag of the current content (`null` if the file
+ * does not exist). Supports `*` and comma-separated lists; weak validators are compared
+ * by their opaque tag.
+ */
+const ifMatchSatisfied = (ifMatch, currentEtag) => {
+  if (!ifMatch) return true;
+  if (currentEtag === null) return false;
+
+  const candidates = ifMatch.split(',').map((candidate) => candidate.trim());
+  if (candidates.includes('*')) return true;
+
+  return candidates.some((candidate) => candidate.replace(/^W\//, '') === currentEtag);
+};
+
+const fileLocks = new Map();
+
+// Run a task while holding a per-file lock, so read-check-write sequences on the same
+// file can never interleave
+const withFileLock = (fsPath, task) => {
+  const previous = fileLocks.get(fsPath) || Promise.resolve();
+  const run = previous.then(task);
+  const settled = run.catch(() => {});
+
+  fileLocks.set(fsPath, settled);
+  settled.then(() => {
+    if (fileLocks.get(fsPath) === settled) fileLocks.delete(fsPath);
+  });
+
+  return run;
+};
+
+module.exports = {
+  computeEtag,
+  ifMatchSatisfied,
+  withFileLock
+};
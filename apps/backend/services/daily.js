@@ -0,0 +1,188 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { withFileLock } = require('./concurrency');
+const { escapeRegExp } = require('./search');
+const { formatDate, renderTemplate } = require('./templates');
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+
+// Local midnight of a YYYY-MM-DD date
+const toDate = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// A date as YYYY-MM-DD that exists in the calendar
+const isValidDate = (value) => {
+  const match = typeof value === 'string' && value.match(DATE_PATTERN);
+  if (!match) return false;
+
+  const date = toDate(value);
+  return (
+    date.getFullYear() === Number(match[1]) &&
+    date.getMonth() === Number(match[2]) - 1 &&
+    date.getDate() === Number(match[3])
+  );
+};
+
+const today = () => formatDate(new Date(), 'YYYY-MM-DD');
+
+// A file name pattern must contain the year, month and day, so the date of a daily note can
+// be read back from its path. It may contain folders ("YYYY/MM/YYYY-MM-DD")
+const isValidDailyNoteFormat = (format) =>
+  typeof format === 'string' &&
+  ['YYYY', 'MM', 'DD'].every((token) => format.includes(token)) &&
+  !/HH|mm/.test(format) &&
+  !format.startsWith('/') &&
+  format.split('/').every((segment) => segment && segment !== '.' && segment !== '..');
+
+const countWords = (content) => (content.match(WORD_PATTERN) || []).length;
+
+/**
+ * Daily notes of a directory: one note per date in the folder `directory` (relative to
+ * `rootDir`), named after the date in `format` (see isValidDailyNoteFormat) plus ".md".
+ * New daily notes are created from the note at `template` (relative to `rootDir`), if set.
+ * Dates are YYYY-MM-DD strings.
+ */
+const createDailyNotes = (
+  rootDir,
+  { directory = 'Daily', format = 'YYYY-MM-DD', template = null } = {}
+) => {
+  const resolvedRoot = path.resolve(rootDir);
+  const dailyDir = path.resolve(resolvedRoot, directory);
+
+  // The format as a pattern for paths relative to the daily folder, capturing the date parts
+  const order = format.match(/YYYY|MM|DD/g);
+  const datePart = (token) => (token === 'YYYY' ? '(\\d{4})' : '(\\d{2})');
+  const pathPattern = new RegExp(`^${escapeRegExp(format).replace(/YYYY|MM|DD/g, datePart)}\\.md$`);
+
+  const pathFor = (date) =>
+    path.join(dailyDir, ...`${formatDate(toDate(date), format)}.md`.split('/'));
+
+  const dateOf = (relativePath) => {
+    const match = relativePath.split(path.sep).join('/').match(pathPattern);
+    if (!match) return null;
+
+    const parts = {};
+    for (const [index, token] of order.entries()) {
+      // Tokens used more than once must agree ("2026/10/2025-10-19.md" is no daily note)
+      if (parts[token] && parts[token] !== match[index + 1]) return null;
+      parts[token] = match[index + 1];
+    }
+    const date = `${parts.YYYY}-${parts.MM}-${parts.DD}`;
+    return isValidDate(date) ? date : null;
+  };
+
+  // [{ fsPath, date }] of every daily note, newest first
+  const collect = async (dirPath = dailyDir) => {
+    let dirEntries;
+    try {
+      dirEntries = await fs.readdir(dirPath, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const notes = [];
+    for (const entry of dirEntries) {
+      if (entry.name.startsWith('.')) continue;
+
+      const fsPath = path.join(dirPath, entry.name);
+      if (entry.isDirectory()) {
+        notes.push(...(await collect(fsPath)));
+      } else {
+        const date = dateOf(path.relative(dailyDir, fsPath));
+        if (date) notes.push({ fsPath, date });
+      }
+    }
+    return notes.sort((a, b) => b.date.localeCompare(a.date));
+  };
+
+  /**
+   * The daily notes from `from` to `to` (inclusive, both optional), newest first. Resolves to
+   * [{ fsPath, date, words, modifiedAt }].
+   */
+  const list = async ({ from, to } = {}) => {
+    const notes = (await collect()).filter(
+      ({ date }) => (!from || date >= from) && (!to || date <= to)
+    );
+
+    const results = [];
+    for (const { fsPath, date } of notes) {
+      try {
+        const [content, stats] = await Promise.all([fs.readFile(fsPath, 'utf8'), fs.stat(fsPath)]);
+        results.push({ fsPath, date, words: countWords(content), modifiedAt: stats.mtime });
+      } catch (error) {
+        // Deleted while listing
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    return results;
+  };
+
+  // The daily notes closest before and after a date: { previous, next }, each { fsPath, date }
+  // or null. Notes for which `include(fsPath)` returns false are skipped
+  const adjacent = async (date, include = () => true) => {
+    const notes = (await collect()).filter(({ fsPath }) => include(fsPath));
+    return {
+      previous: notes.find((note) => note.date < date) || null,
+      next: notes.filter((note) => note.date > date).pop() || null
+    };
+  };
+
+  const readTemplate = async () => {
+    if (!template) return '';
+    try {
+      return await fs.readFile(path.resolve(resolvedRoot, template), 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      console.error(`Daily note template not found: ${template}`);
+      return '';
+    }
+  };
+
+  /**
+   * Get the daily note of a date, creating it from the template if it doesn't exist yet.
+   * Resolves to { fsPath, content, created }.
+   */
+  const getOrCreate = (date) => {
+    const fsPath = pathFor(date);
+    return withFileLock(fsPath, async () => {
+      try {
+        return { fsPath, content: await fs.readFile(fsPath, 'utf8'), created: false };
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+
+      // The date of the note at the current time, for {{time}}
+      const now = new Date();
+      const noteDate = toDate(date);
+      noteDate.setHours(now.getHours(), now.getMinutes());
+
+      const content = renderTemplate(await readTemplate(), {
+        title: path.basename(fsPath, '.md'),
+        date: noteDate
+      });
+      await fs.mkdir(path.dirname(fsPath), { recursive: true });
+      await fs.writeFile(fsPath, content, { encoding: 'utf8', flag: 'wx' });
+      return { fsPath, content, created: true };
+    });
+  };
+
+  return {
+    directory: dailyDir,
+    pathFor,
+    dateOf,
+    list,
+    adjacent,
+    getOrCreate
+  };
+};
+
+module.exports = {
+  createDailyNotes,
+  isValidDailyNoteFormat,
+  isValidDate,
+  today
+};
@@ -0,0 +1,108 @@
+// Above this many compared line pairs the diff falls back to replacing the differing block
+// as a whole instead of computing a minimal diff
+const MAX_DIFF_CELLS = 4000000;
+
+const splitLines = (text) => (text === '' ? [] : text.split(/\r?\n/));
+
+// Append lines to the last change if it has the same type, otherwise start a new one
+const pushChange = (changes, type, lines) => {
+  if (lines.length === 0) return;
+
+  const last = changes[changes.length - 1];
+  if (last && last.type === type) {
+    last.lines.push(...lines);
+  } else {
+    changes.push({ type, lines: [...lines] });
+  }
+};
+
+// Minimal line diff of the differing middle parts via a longest common subsequence table
+const diffMiddle = (oldLines, newLines, changes) => {
+  const rows = oldLines.length;
+  const cols = newLines.length;
+
+  if (rows === 0 || cols === 0 || rows * cols > MAX_DIFF_CELLS) {
+    pushChange(changes, 'removed', oldLines);
+    pushChange(changes, 'added', newLines);
+    return;
+  }
+
+  // lengths[i * (cols + 1) + j] = LCS length of oldLines[i..] and newLines[j..]
+  const width = cols + 1;
+  const lengths = new Uint32Array((rows + 1) * width);
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lengths[i * width + j] =
+        oldLines[i] === newLines[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (oldLines[i] === newLines[j]) {
+      pushChange(changes, 'equal', [oldLines[i]]);
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      pushChange(changes, 'removed', [oldLines[i]]);
+      i++;
+    } else {
+      pushChange(changes, 'added', [newLines[j]]);
+      j++;
+    }
+  }
+  pushChange(changes, 'removed', oldLines.slice(i));
+  pushChange(changes, 'added', newLines.slice(j));
+};
+
+/**
+ * Line-based diff between two texts.
+ *
+ * Returns `{ changes, added, removed }` where `changes` is a list of
+ * `{ type: 'equal' | 'added' | 'removed', lines }` blocks in document order and
+ * `added` / `removed` count the changed lines.
+ */
+const diffLines = (oldText, newText) => {
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+
+  // Skip the common prefix and suffix before comparing the rest
+  let start = 0;
+  while (
+    start < oldLines.length &&
+    start < newLines.length &&
+    oldLines[start] === newLines[start]
+  ) {
+    start++;
+  }
+
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const changes = [];
+  pushChange(changes, 'equal', oldLines.slice(0, start));
+  diffMiddle(oldLines.slice(start, oldEnd), newLines.slice(start, newEnd), changes);
+  pushChange(changes, 'equal', oldLines.slice(oldEnd));
+
+  const countLines = (type) =>
+    changes
+      .filter((change) => change.type === type)
+      .reduce((total, change) => total + change.lines.length, 0);
+
+  return {
+    changes,
+    added: countLines('added'),
+    removed: countLines('removed')
+  };
+};
+
+module.exports = {
+  diffLines
+};
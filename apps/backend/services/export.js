@@ -0,0 +1,415 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { Readable } = require('stream');
+const MarkdownIt = require('markdown-it');
+const yazl = require('yazl');
+const { isImage } = require('./attachments');
+const { parseFrontmatter, splitFrontmatter } = require('./frontmatter');
+
+const EXPORT_FORMATS = ['zip', 'html'];
+const MAX_SEARCH_TEXT_LENGTH = 10000;
+// Files every site has at its root, next to the generated start page
+const SITE_FILES = ['style.css', 'search.js', 'search-index.js'];
+
+const toPosix = (relativePath) => relativePath.split(path.sep).join('/');
+
+const stripExtension = (fileName) =>
+  fileName.slice(0, fileName.length - path.extname(fileName).length);
+
+// Page of a note in the site: "Projects/Plan.md" -> "Projects/Plan.html"
+const toPagePath = (notePath) => `${stripExtension(notePath)}.html`;
+
+// Link from one file of the export to another (posix paths relative to the export root)
+const relativeHref = (fromPath, toPath) =>
+  (path.posix.relative(path.posix.dirname(fromPath), toPath) || path.posix.basename(toPath))
+    .split('/')
+    .map((segment) => (segment === '..' ? segment : encodeURIComponent(segment)))
+    .join('/');
+
+// Heading anchors: "Next steps!" -> "next-steps"
+const slugify = (text) =>
+  text
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+    .replace(/\s+/g, '-');
+
+/**
+ * The files of an export tree, as produced by buildFileTree with paths relative to the export
+ * root. Returns { notes, attachments, directories } with posix paths.
+ */
+const collectFiles = (tree) => {
+  const files = { notes: [], attachments: [], directories: [] };
+  const walk = (items) => {
+    for (const item of items) {
+      if (item.children) {
+        files.directories.push(item.path);
+        walk(item.children);
+      } else if (item.attachment) {
+        files.attachments.push(item.path);
+      } else {
+        files.notes.push(item.path);
+      }
+    }
+  };
+  walk(tree);
+  return files;
+};
+
+/**
+ * Stream a folder as a ZIP archive, with its notes and attachments as they are on disk.
+ * `tree` is the folder as produced by buildFileTree, with paths relative to `fsPath`, so
+ * only what the caller may see is exported. Returns the yazl ZipFile; pipe its
+ * `outputStream` to the response.
+ */
+const createArchive = (fsPath, tree) => {
+  const zip = new yazl.ZipFile();
+  const { notes, attachments, directories } = collectFiles(tree);
+
+  for (const directory of directories) zip.addEmptyDirectory(directory);
+  for (const file of [...notes, ...attachments].sort()) {
+    zip.addFile(path.join(fsPath, ...file.split('/')), file);
+  }
+  zip.end();
+
+  return zip;
+};
+
+// Wiki links ("[[Plan#Next steps|the plan]]", "![[diagram.png]]") as an inline rule; links
+// in code are left alone by markdown-it
+const wikiLinks = (md, render) => {
+  md.inline.ruler.before('link', 'wiki_link', (state, silent) => {
+    const embed = state.src.charCodeAt(state.pos) === 0x21; /* ! */
+    const start = state.pos + (embed ? 1 : 0);
+    if (!state.src.startsWith('[[', start)) return false;
+
+    const end = state.src.indexOf(']]', start + 2);
+    if (end === -1) return false;
+    const inner = state.src.slice(start + 2, end);
+    if (!inner.trim() || /[[\]\n]/.test(inner)) return false;
+
+    if (!silent) {
+      const [reference, ...label] = inner.split('|');
+      const hashIndex = reference.indexOf('#');
+      const target = (hashIndex === -1 ? reference : reference.slice(0, hashIndex)).trim();
+      const anchor = hashIndex === -1 ? null : reference.slice(hashIndex + 1).trim() || null;
+      const text = label.join('|').trim() || null;
+
+      const token = state.push('html_inline', '', 0);
+      token.content = render({ target, anchor, text, embed }, state.env);
+    }
+
+    state.pos = end + 2;
+    return true;
+  });
+};
+
+const createRenderer = () => {
+  const md = new MarkdownIt({ linkify: true });
+  const { escapeHtml } = md.utils;
+
+  wikiLinks(md, ({ target, anchor, text, embed }, env) => {
+    const label = escapeHtml(text || (anchor && !target ? anchor : target));
+    const attachment = env.resolveAttachment(target);
+    if (attachment) {
+      const href = escapeHtml(relativeHref(env.page, attachment));
+      return embed && isImage(attachment)
+        ? `<img src="${href}" alt="${label}">`
+        : `<a href="${href}">${label}</a>`;
+    }
+
+    const page = target ? env.resolvePage('wiki', target) : env.page;
+    if (!page) return `<span class="unresolved">${label}</span>`;
+    const href = `${relativeHref(env.page, page)}${anchor ? `#${slugify(anchor)}` : ''}`;
+    return `<a href="${escapeHtml(href)}">${label}</a>`;
+  });
+
+  // Markdown links to notes point to their pages
+  const renderLinkOpen =
+    md.renderer.rules.link_open ||
+    ((tokens, idx, options, env, self) => self.renderToken(tokens, idx, options));
+  md.renderer.rules.link_open = (tokens, idx, options, env, self) => {
+    const href = tokens[idx].attrGet('href');
+    if (href && !href.startsWith('#') && !/^[a-z][a-z0-9+.-]*:/i.test(href)) {
+      const [target, anchor] = href.split('#');
+      let decoded = target;
+      try {
+        decoded = decodeURIComponent(target);
+      } catch {
+        // Keep the target as written
+      }
+      const page = env.resolvePage('markdown', decoded);
+      if (page)
+        tokens[idx].attrSet('href', `${relativeHref(env.page, page)}${anchor ? `#${anchor}` : ''}`);
+    }
+    return renderLinkOpen(tokens, idx, options, env, self);
+  };
+
+  // Headings get ids, so links to a heading work
+  md.core.ruler.push('heading_ids', (state) => {
+    state.tokens.forEach((token, index) => {
+      if (token.type === 'heading_open') {
+        token.attrSet('id', slugify(state.tokens[index + 1].content));
+      }
+    });
+  });
+
+  return md;
+};
+
+const STYLE = `* { box-sizing: border-box; }
+body { margin: 0; display: flex; font: 16px/1.6 system-ui, sans-serif; color: #1f2328; }
+nav { position: sticky; top: 0; width: 280px; height: 100vh; overflow: auto; padding: 16px; border-right: 1px solid #d0d7de; font-size: 14px; flex-shrink: 0; }
+nav ul { list-style: none; margin: 0; padding-left: 12px; }
+nav > ul { padding-left: 0; }
+nav a { color: inherit; text-decoration: none; }
+nav a:hover, nav a.current { text-decoration: underline; }
+nav summary { cursor: pointer; }
+.home { display: block; font-weight: 600; margin-bottom: 12px; }
+#search { width: 100%; padding: 4px 8px; margin-bottom: 8px; }
+#search-results { margin-bottom: 12px; padding-left: 0; }
+main { flex: 1; min-width: 0; padding: 32px 48px; }
+article { max-width: 760px; margin: 0 auto; }
+img { max-width: 100%; }
+pre { overflow: auto; padding: 12px; background: #f6f8fa; }
+code { font-size: 0.9em; }
+.unresolved { color: #8c959f; }
+@media (max-width: 720px) { body { display: block; } nav { position: static; width: auto; height: auto; border-right: 0; } }
+`;
+
+// Finds pages by title and text in window.HAPTIC_SEARCH_INDEX
+const SEARCH_SCRIPT = `(function () {
+  var input = document.getElementById('search');
+  var results = document.getElementById('search-results');
+  var root = document.body.getAttribute('data-root');
+  var pages = window.HAPTIC_SEARCH_INDEX || [];
+
+  input.addEventListener('input', function () {
+    var terms = input.value.toLowerCase().split(/\\s+/).filter(Boolean);
+    results.innerHTML = '';
+    if (terms.length === 0) return;
+
+    pages
+      .filter(function (page) {
+        var text = (page.title + ' ' + page.text).toLowerCase();
+        return terms.every(function (term) { return text.indexOf(term) !== -1; });
+      })
+      .slice(0, 20)
+      .forEach(function (page) {
+        var item = document.createElement('li');
+        var link = document.createElement('a');
+        link.href = root + page.path;
+        link.textContent = page.title;
+        item.appendChild(link);
+        results.appendChild(item);
+      });
+  });
+})();
+`;
+
+/**
+ * Render a folder as a static site and stream it as a ZIP archive: every note becomes a
+ * standalone HTML page with its links to other exported notes pointing to their pages, a
+ * navigation built from `tree` (see createArchive) and a search over all pages that works
+ * without a server. Attachments are copied as they are.
+ *
+ * Attachments whose names are taken by a page or a file of the site are exported under a
+ * numbered name ("style (1).css").
+ *
+ * `outgoing(fsPath)` resolves to the links of a note like linkIndex.outgoing, with
+ * `resolvedPath` as file system path (or null). Returns the yazl ZipFile; each page is only
+ * rendered once the archive is streamed up to it, and the ZipFile emits 'error' if a note
+ * can't be rendered.
+ */
+const createSite = (fsPath, tree, { title, outgoing }) => {
+  const zip = new yazl.ZipFile();
+  const md = createRenderer();
+  const { escapeHtml } = md.utils;
+  const { notes, attachments } = collectFiles(tree);
+
+  const exportedNotes = new Set(notes);
+  // "index.md" in the folder is the start page, otherwise one is generated
+  const hasIndexNote = notes.includes('index.md');
+
+  // Paths in the site, lower case for case-insensitive file systems; attachments get free ones
+  const taken = new Set(
+    [...notes.map(toPagePath), 'index.html', ...SITE_FILES].map((file) => file.toLowerCase())
+  );
+  const exportedAs = new Map();
+  for (const attachment of attachments) {
+    let target = attachment;
+    const extension = path.posix.extname(attachment);
+    for (let n = 1; taken.has(target.toLowerCase()); n++) {
+      target = `${attachment.slice(0, attachment.length - extension.length)} (${n})${extension}`;
+    }
+    taken.add(target.toLowerCase());
+    exportedAs.set(attachment, target);
+  }
+
+  const attachmentsByName = new Map();
+  for (const attachment of attachments) {
+    const key = path.posix.basename(attachment).toLowerCase();
+    if (!attachmentsByName.has(key)) attachmentsByName.set(key, []);
+    attachmentsByName.get(key).push(attachment);
+  }
+
+  // Attachments of a wiki link ("[[diagram.png]]"), preferring the folder of the page
+  const resolveAttachment = (page, target) => {
+    const candidates = attachmentsByName.get(path.posix.basename(target).toLowerCase());
+    if (!candidates) return null;
+    const wanted = target.replace(/^\/+/, '').toLowerCase();
+    const matching = candidates.filter(
+      (candidate) =>
+        candidate.toLowerCase() === wanted ||
+        candidate.toLowerCase().endsWith(`/${wanted}`) ||
+        !wanted.includes('/')
+    );
+    const dir = path.posix.dirname(page);
+    const attachment =
+      matching.find((candidate) => path.posix.dirname(candidate) === dir) || matching[0];
+    return attachment ? exportedAs.get(attachment) : null;
+  };
+
+  const renderNav = (items, page) => {
+    const entries = items
+      .map((item) => {
+        if (item.children) {
+          const children = renderNav(item.children, page);
+          if (!children) return '';
+          const open = page.startsWith(`${item.path}/`) ? ' open' : '';
+          return `<li><details${open}><summary>${escapeHtml(item.name)}</summary>${children}</details></li>`;
+        }
+        if (item.attachment) return '';
+
+        const target = toPagePath(item.path);
+        const current = target === page ? ' class="current"' : '';
+        return `<li><a href="${escapeHtml(relativeHref(page, target))}"${current}>${escapeHtml(
+          stripExtension(item.name)
+        )}</a></li>`;
+      })
+      .join('');
+    return entries ? `<ul>${entries}</ul>` : '';
+  };
+
+  const renderPage = (page, pageTitle, body) => {
+    const root = '../'.repeat(page.split('/').length - 1);
+    return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(pageTitle)}</title>
+<link rel="stylesheet" href="${root}style.css">
+</head>
+<body data-root="${root}">
+<nav>
+<a class="home" href="${root}index.html">${escapeHtml(title)}</a>
+<input id="search" type="search" placeholder="Search" aria-label="Search">
+<ul id="search-results"></ul>
+${renderNav(tree, page)}
+</nav>
+<main><article>
+${body}
+</article></main>
+<script src="${root}search-index.js"></script>
+<script src="${root}search.js"></script>
+</body>
+</html>
+`;
+  };
+
+  const renderNote = async (note) => {
+    const notePath = path.join(fsPath, ...note.split('/'));
+    const content = await fs.readFile(notePath, 'utf8');
+    const block = splitFrontmatter(content);
+    const { properties } = parseFrontmatter(content);
+    const page = toPagePath(note);
+
+    // Links resolve like in the editor, but only to notes that are part of the export
+    const resolved = new Map();
+    for (const link of (await outgoing(notePath)) || []) {
+      const target = link.resolvedPath && toPosix(path.relative(fsPath, link.resolvedPath));
+      if (target && exportedNotes.has(target)) {
+        resolved.set(`${link.type}:${link.target}`, toPagePath(target));
+      }
+    }
+
+    const pageTitle =
+      typeof properties.title === 'string'
+        ? properties.title
+        : stripExtension(path.posix.basename(note));
+    const body = md.render(block ? content.slice(block.end) : content, {
+      page,
+      resolvePage: (type, target) => resolved.get(`${type}:${target}`) || null,
+      resolveAttachment: (target) => resolveAttachment(page, target)
+    });
+
+    return { page, pageTitle, body };
+  };
+
+  // Entries are rendered when the archive gets to them, so only one page is held in memory
+  const addLazy = (entryPath, render) =>
+    zip.addReadStreamLazy(entryPath, (callback) => {
+      render().then(
+        (content) => callback(null, Readable.from([Buffer.from(content)])),
+        (error) => callback(error)
+      );
+    });
+
+  const searchIndex = [];
+
+  for (const note of notes) {
+    addLazy(toPagePath(note), async () => {
+      const { page, pageTitle, body } = await renderNote(note);
+      const text = body
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+      searchIndex.push({
+        title: pageTitle,
+        path: page,
+        text: text.slice(0, MAX_SEARCH_TEXT_LENGTH)
+      });
+
+      // Notes that start with a heading have their own title
+      const heading = body.startsWith('<h1') ? '' : `<h1>${escapeHtml(pageTitle)}</h1>\n`;
+      return renderPage(page, pageTitle, `${heading}${body}`);
+    });
+  }
+
+  if (!hasIndexNote) {
+    addLazy('index.html', async () =>
+      renderPage(
+        'index.html',
+        title,
+        `<h1>${escapeHtml(title)}</h1>\n${renderNav(tree, 'index.html')}`
+      )
+    );
+  }
+  for (const attachment of attachments) {
+    zip.addFile(path.join(fsPath, ...attachment.split('/')), exportedAs.get(attachment));
+  }
+
+  // A script rather than JSON, so the search works when the pages are opened from disk. It
+  // comes after all pages, which fill the index while they are rendered
+  addLazy(
+    'search-index.js',
+    async () => `window.HAPTIC_SEARCH_INDEX = ${JSON.stringify(searchIndex)};\n`
+  );
+  zip.addBuffer(Buffer.from(SEARCH_SCRIPT), 'search.js');
+  zip.addBuffer(Buffer.from(STYLE), 'style.css');
+  zip.end();
+
+  return zip;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  createArchive,
+  createSite
+};
@@ -0,0 +1,30 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const exists = async (fsPath) => {
+  try {
+    await fs.lstat(fsPath);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+};
+
+// First free path for a file or folder, following the naming of duplicated notes:
+// "<name> (<number>).<ext>"
+const findFreePath = async (fsPath) => {
+  if (!(await exists(fsPath))) return fsPath;
+
+  const ext = path.extname(fsPath);
+  const base = fsPath.slice(0, fsPath.length - ext.length);
+  for (let number = 1; ; number++) {
+    const candidate = `${base} (${number})${ext}`;
+    if (!(await exists(candidate))) return candidate;
+  }
+};
+
+module.exports = {
+  exists,
+  findFreePath
+};
@@ -0,0 +1,173 @@
+const YAML = require('yaml');
+const { createNoteIndex } = require('./note-index');
+
+// "status=done", "priority>=2", "due<2026-11-01", "owner" (set) or "!owner" (not set)
+const FILTER_PATTERN = /^(!)?\s*([^!=<>]+?)\s*(?:(=|!=|>=|<=|>|<)\s*(.*))?$/;
+const NUMBER_PATTERN = /^-?\d+(?:\.\d+)?$/;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Find the YAML frontmatter at the start of markdown content: a block between a "---" line
+ * and a "---" (or "...") line. Returns { yaml, end } with the offset of the body, or null.
+ */
+const splitFrontmatter = (content) => {
+  const lines = content.split('\n');
+  const isFence = (line, closing) => {
+    const trimmed = line.replace(/\r$/, '').trimEnd();
+    return trimmed === '---' || (closing && trimmed === '...');
+  };
+
+  if (!isFence(lines[0].replace(/^\uFEFF/, ''), false)) return null;
+
+  for (let index = 1; index < lines.length; index++) {
+    if (isFence(lines[index], true)) {
+      const end = lines.slice(0, index + 1).join('\n').length;
+      return {
+        yaml: lines.slice(1, index).join('\n'),
+        end: end < content.length ? end + 1 : end
+      };
+    }
+  }
+  return null;
+};
+
+/**
+ * The properties of the YAML frontmatter of markdown content as a plain object. Returns
+ * { properties, error }: notes without frontmatter have no properties, and notes with
+ * frontmatter that isn't a valid YAML map have none either, with the reason in `error`.
+ */
+const parseFrontmatter = (content) => {
+  const block = splitFrontmatter(content);
+  if (!block) return { properties: {}, error: null };
+
+  try {
+    const properties = YAML.parse(block.yaml) ?? {};
+    if (!isPlainObject(properties)) {
+      return { properties: {}, error: 'Frontmatter is not a map of properties' };
+    }
+    return { properties, error: null };
+  } catch (error) {
+    return { properties: {}, error: error.message };
+  }
+};
+
+/**
+ * Set a property in the frontmatter of markdown content, or remove it if `value` is undefined.
+ * Comments and the formatting of the other properties are kept, and the body is returned as
+ * is; frontmatter is added if there is none and removed once it has no properties left.
+ * Returns null if the frontmatter isn't a valid YAML map.
+ */
+const setProperty = (content, key, value) => {
+  const block = splitFrontmatter(content);
+  const body = block ? content.slice(block.end) : content;
+
+  const doc = YAML.parseDocument(block ? block.yaml : '');
+  if (doc.errors.length > 0 || (doc.contents !== null && !YAML.isMap(doc.contents))) return null;
+
+  if (value === undefined) {
+    if (!block) return content;
+    doc.delete(key);
+  } else {
+    doc.set(key, value);
+  }
+
+  if (!doc.contents || doc.contents.items.length === 0) return body;
+  return `---\n${doc.toString({ flowCollectionPadding: false })}---\n${body}`;
+};
+
+/**
+ * Parse a property filter: "key=value", "key!=value", "key>value" (also >=, < and <=), "key"
+ * (the property is set) or "!key" (it isn't). Returns { key, operator, value } with the
+ * operator "exists" or "missing" for the last two, or null if the filter is invalid.
+ */
+const parsePropertyFilter = (expression) => {
+  const match = typeof expression === 'string' && expression.trim().match(FILTER_PATTERN);
+  if (!match || (match[1] && match[3])) return null;
+
+  const [, negated, key, operator, value] = match;
+  if (!operator) return { key, operator: negated ? 'missing' : 'exists', value: null };
+  // Only (in)equality can be checked against an empty value
+  if (!value.trim() && !['=', '!='].includes(operator)) return null;
+  return { key, operator, value: value.trim() };
+};
+
+// Compare a property value with a filter value, as numbers if both are numbers
+const compareValues = (propertyValue, filterValue) => {
+  const text = String(propertyValue);
+  if (NUMBER_PATTERN.test(text) && NUMBER_PATTERN.test(filterValue)) {
+    return Number(text) - Number(filterValue);
+  }
+  return text.localeCompare(filterValue, undefined, { sensitivity: 'base' });
+};
+
+/**
+ * Whether properties match a parsed filter (see parsePropertyFilter). Lists ("tags: [a, b]")
+ * match if any of their items does; text is compared case-insensitively, and dates
+ * (YYYY-MM-DD) compare in order.
+ */
+const matchesPropertyFilter = (properties, { key, operator, value }) => {
+  const propertyValue = properties[key];
+  const isSet = propertyValue !== undefined && propertyValue !== null;
+
+  if (operator === 'exists') return isSet;
+  if (operator === 'missing') return !isSet;
+
+  const items = (Array.isArray(propertyValue) ? propertyValue : [propertyValue]).filter(
+    (item) => item !== undefined && item !== null && typeof item !== 'object'
+  );
+  const any = (predicate) => items.some((item) => predicate(compareValues(item, value)));
+
+  switch (operator) {
+    case '=':
+      return any((order) => order === 0);
+    case '!=':
+      return !any((order) => order === 0);
+    case '>':
+      return any((order) => order > 0);
+    case '>=':
+      return any((order) => order >= 0);
+    case '<':
+      return any((order) => order < 0);
+    default:
+      return any((order) => order <= 0);
+  }
+};
+
+/**
+ * Frontmatter properties of the notes in a directory, parsed when they are requested (see
+ * createNoteIndex).
+ */
+const createPropertyIndex = (rootDir) => {
+  const index = createNoteIndex(
+    rootDir,
+    (content) => parseFrontmatter(content).properties,
+    () => ({})
+  );
+
+  /**
+   * The properties of every note below `fsPath` (default: the root). Resolves to
+   * [{ relativePath, properties }] ordered by path.
+   */
+  const list = async (fsPath) =>
+    (await index.list(fsPath)).map(({ relativePath, value }) => ({
+      relativePath,
+      properties: value
+    }));
+
+  return {
+    // The properties of a note (path relative to the root), or {} if it doesn't exist
+    propertiesOf: index.get,
+    list
+  };
+};
+
+module.exports = {
+  createPropertyIndex,
+  matchesPropertyFilter,
+  parseFrontmatter,
+  parsePropertyFilter,
+  setProperty,
+  splitFrontmatter
+};
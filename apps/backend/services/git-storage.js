@@ -0,0 +1,371 @@
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+
+const MINUTE_MS = 60 * 1000;
+const INTERVAL_UNITS_MS = { m: MINUTE_MS, h: 60 * MINUTE_MS };
+const INTERVAL_PATTERN = /^([1-9]\d*)([mh])$/;
+const REMOTE_NAME = 'origin';
+// Change types of the statuses "git diff --name-status" reports
+const CHANGE_TYPES = { A: 'created', M: 'updated', D: 'deleted' };
+// Paths git never tracks: the server's data (indexes, history, trash, backups)
+const EXCLUDED_PATHS = ['.haptic/'];
+
+// Sync interval like the settings offer them ("5m", "1h", ...) in milliseconds, or null if it
+// is invalid
+const parseSyncInterval = (interval) => {
+  const match = typeof interval === 'string' && interval.match(INTERVAL_PATTERN);
+  return match ? Number(match[1]) * INTERVAL_UNITS_MS[match[2]] : null;
+};
+
+/**
+ * Git repository of a directory (the volume), managed by the server.
+ *
+ * Changes are reported with `recordChange` and committed together once no change was reported
+ * for `commitDelayMs`. If a remote is configured, `sync` commits pending changes, merges the
+ * remote branch and pushes; with auto sync enabled it runs every `syncInterval`. The auto sync
+ * settings are stored in `<rootDir>/.haptic/git.json`.
+ *
+ * Merge conflicts are not resolved automatically: the merge is aborted, so the notes stay as
+ * they are, and the status turns to 'conflict' with the conflicting files until `resolve`
+ * merges again preferring the 'local' or the 'remote' side. `onStatus(status)` is called when
+ * the status changes and `onPulled(changes)` with the files a merge changed
+ * ([{ changeType, path }], paths relative to the root).
+ */
+const createGitStorage = (
+  rootDir,
+  {
+    remote = null,
+    branch = 'main',
+    commitDelayMs = 10 * 1000,
+    autoSync = true,
+    syncInterval = '5m',
+    authorName = 'Haptic',
+    authorEmail = 'haptic@localhost',
+    onStatus = () => {},
+    onPulled = () => {}
+  } = {}
+) => {
+  const resolvedRoot = path.resolve(rootDir);
+  const settingsFile = path.join(resolvedRoot, '.haptic', 'git.json');
+
+  let settings = {
+    autoSync: Boolean(remote) && autoSync,
+    syncInterval: parseSyncInterval(syncInterval) ? syncInterval : '5m'
+  };
+  // status: 'idle', 'conflict' or 'error'
+  let state = {
+    status: 'idle',
+    conflict: null,
+    error: null,
+    lastCommitAt: null,
+    lastSyncAt: null
+  };
+  let pending = [];
+  let commitTimeout = null;
+  let syncTimer = null;
+  let queue = Promise.resolve();
+
+  // Serialize all git commands; results and failures are passed on to the caller
+  const enqueue = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const git = (...args) =>
+    new Promise((resolve, reject) => {
+      execFile(
+        'git',
+        [
+          '-c',
+          `user.name=${authorName}`,
+          '-c',
+          `user.email=${authorEmail}`,
+          // Paths with non-ASCII characters unquoted
+          '-c',
+          'core.quotePath=false',
+          ...args
+        ],
+        { cwd: resolvedRoot, maxBuffer: 16 * 1024 * 1024 },
+        (error, stdout, stderr) => {
+          if (error) {
+            error.message = (stderr || stdout || error.message).trim();
+            return reject(error);
+          }
+          resolve(stdout.trim());
+        }
+      );
+    });
+
+  const getStatus = () => ({
+    enabled: true,
+    remote,
+    branch,
+    ...settings,
+    ...state
+  });
+
+  const setState = (changes) => {
+    const before = JSON.stringify(state);
+    state = { ...state, ...changes };
+    if (JSON.stringify(state) !== before) onStatus(getStatus());
+  };
+
+  const saveSettings = async () => {
+    await fs.mkdir(path.dirname(settingsFile), { recursive: true });
+    await fs.writeFile(settingsFile, JSON.stringify(settings, null, 2), 'utf8');
+  };
+
+  const hasCommits = async () => {
+    try {
+      await git('rev-parse', '--verify', 'HEAD');
+      return true;
+    } catch {
+      return false;
+    }
+  };
+
+  // Commit everything that changed, summarized from the recorded changes unless `message` is
+  // given; must run in the queue. Resolves with whether there was anything to commit
+  const commitAll = async (message) => {
+    const changes = pending;
+    pending = [];
+
+    await git('add', '--all');
+    const staged = await git('diff', '--cached', '--name-only');
+    if (!staged) return false;
+
+    const files = staged.split('\n');
+    const [change] = changes;
+    const summary =
+      message ??
+      (changes.length === 1
+        ? `${change.changeType[0].toUpperCase()}${change.changeType.slice(1)} ${change.path}`
+        : `Update ${files.length} file${files.length === 1 ? '' : 's'}`);
+    await git('commit', '--quiet', '-m', summary, '-m', files.join('\n'));
+
+    setState({ lastCommitAt: new Date().toISOString() });
+    return true;
+  };
+
+  const commitPending = () =>
+    enqueue(async () => {
+      try {
+        await commitAll();
+      } catch (error) {
+        console.error('Error committing changes:', error.message);
+        setState({ status: 'error', error: error.message });
+      }
+    });
+
+  /**
+   * Report a change of the directory (e.g. 'updated' and the path of a note). Changes are
+   * committed together once none was reported for the commit delay.
+   */
+  const recordChange = (changeType, changedPath) => {
+    pending.push({ changeType, path: changedPath });
+    if (commitTimeout) clearTimeout(commitTimeout);
+    commitTimeout = setTimeout(() => {
+      commitTimeout = null;
+      commitPending();
+    }, commitDelayMs);
+    commitTimeout.unref();
+  };
+
+  // Merge the fetched remote branch (`strategy`: git's "-X" option, or none); must run in the
+  // queue. Resolves with the changes ([{ changeType, path }]), or rejects with `conflict` set to
+  // the conflicting files after aborting the merge
+  const merge = async (strategy) => {
+    const before = (await hasCommits()) ? await git('rev-parse', 'HEAD') : null;
+    const remoteRef = `${REMOTE_NAME}/${branch}`;
+
+    try {
+      if (before) {
+        await git(
+          'merge',
+          '--no-edit',
+          ...(strategy ? ['-X', strategy] : []),
+          '-m',
+          `Merge ${remoteRef}`,
+          remoteRef
+        );
+      } else {
+        await git('reset', '--hard', remoteRef);
+      }
+    } catch (error) {
+      const conflicted = await git('diff', '--name-only', '--diff-filter=U').catch(() => '');
+      if (!conflicted) throw error;
+
+      await git('merge', '--abort');
+      throw Object.assign(new Error('Merge conflict'), { conflict: conflicted.split('\n') });
+    }
+
+    const after = await git('rev-parse', 'HEAD');
+    if (before === after) return [];
+    if (!before) {
+      const files = await git('ls-files');
+      return files ? files.split('\n').map((file) => ({ changeType: 'created', path: file })) : [];
+    }
+
+    const changed = await git('diff', '--name-status', '--no-renames', before, after);
+    return changed
+      ? changed.split('\n').map((line) => {
+          const [status, file] = line.split('\t');
+          return { changeType: CHANGE_TYPES[status[0]] || 'updated', path: file };
+        })
+      : [];
+  };
+
+  // Commit, pull and push; must run in the queue
+  const syncNow = async (strategy) => {
+    if (!remote) throw new Error('No git remote is configured');
+
+    await commitAll();
+    await git('fetch', '--quiet', REMOTE_NAME);
+
+    const remoteBranchExists = await git(
+      'rev-parse',
+      '--verify',
+      '--quiet',
+      `${REMOTE_NAME}/${branch}`
+    ).then(
+      () => true,
+      () => false
+    );
+
+    if (remoteBranchExists) {
+      let changed;
+      try {
+        changed = await merge(strategy);
+      } catch (error) {
+        if (!error.conflict) throw error;
+        setState({
+          status: 'conflict',
+          conflict: { files: error.conflict, detectedAt: new Date().toISOString() },
+          error: null
+        });
+        return getStatus();
+      }
+      if (changed.length > 0) onPulled(changed);
+    }
+
+    if (await hasCommits()) {
+      await git('push', '--quiet', REMOTE_NAME, `HEAD:refs/heads/${branch}`);
+    }
+    setState({
+      status: 'idle',
+      conflict: null,
+      error: null,
+      lastSyncAt: new Date().toISOString()
+    });
+    return getStatus();
+  };
+
+  const handleSyncError = (error) => {
+    console.error('Error syncing git repository:', error.message);
+    setState({ status: 'error', error: error.message });
+    return getStatus();
+  };
+
+  /**
+   * Commit pending changes, merge the remote branch and push. Resolves with the status; while
+   * a conflict is unresolved, nothing is merged or pushed.
+   */
+  const sync = () =>
+    enqueue(async () => {
+      if (state.status === 'conflict') return getStatus();
+      return syncNow().catch(handleSyncError);
+    });
+
+  /**
+   * Resolve a merge conflict by merging again, preferring the 'local' or the 'remote' version
+   * of conflicting changes, and push. Resolves with the status.
+   */
+  const resolve = (side) =>
+    enqueue(() => syncNow(side === 'local' ? 'ours' : 'theirs').catch(handleSyncError));
+
+  const scheduleSync = () => {
+    if (syncTimer) clearInterval(syncTimer);
+    syncTimer = null;
+    if (!remote || !settings.autoSync) return;
+
+    syncTimer = setInterval(sync, parseSyncInterval(settings.syncInterval));
+    syncTimer.unref();
+  };
+
+  // Change the auto sync settings ({ autoSync, syncInterval }, both optional)
+  const configure = (changes) =>
+    enqueue(async () => {
+      settings = {
+        autoSync: typeof changes.autoSync === 'boolean' ? changes.autoSync : settings.autoSync,
+        syncInterval: changes.syncInterval ?? settings.syncInterval
+      };
+      await saveSettings();
+      scheduleSync();
+      return getStatus();
+    });
+
+  // Make the directory a repository (if it isn't one yet), set up the remote and commit
+  // what changed while the server wasn't running
+  const initialize = () =>
+    enqueue(async () => {
+      try {
+        const stored = JSON.parse(await fs.readFile(settingsFile, 'utf8'));
+        if (parseSyncInterval(stored.syncInterval)) {
+          settings = { autoSync: stored.autoSync === true, syncInterval: stored.syncInterval };
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') console.error('Error reading git settings:', error.message);
+      }
+
+      try {
+        await fs.access(path.join(resolvedRoot, '.git'));
+      } catch {
+        await git('init', '--quiet', '--initial-branch', branch);
+        console.log(`Initialized git repository in ${resolvedRoot}`);
+      }
+
+      const excludeFile = path.join(resolvedRoot, '.git', 'info', 'exclude');
+      const exclude = await fs.readFile(excludeFile, 'utf8').catch(() => '');
+      const missing = EXCLUDED_PATHS.filter((entry) => !exclude.split('\n').includes(entry));
+      if (missing.length > 0) {
+        await fs.mkdir(path.dirname(excludeFile), { recursive: true });
+        await fs.appendFile(
+          excludeFile,
+          `${exclude && !exclude.endsWith('\n') ? '\n' : ''}${missing.join('\n')}\n`
+        );
+      }
+
+      if (remote) {
+        const remotes = (await git('remote')).split('\n');
+        await git('remote', remotes.includes(REMOTE_NAME) ? 'set-url' : 'add', REMOTE_NAME, remote);
+      }
+
+      await commitAll('Record changes made while the server was stopped');
+      scheduleSync();
+    });
+
+  const stop = () => {
+    if (commitTimeout) clearTimeout(commitTimeout);
+    if (syncTimer) clearInterval(syncTimer);
+    commitTimeout = null;
+    syncTimer = null;
+  };
+
+  return {
+    initialize,
+    recordChange,
+    commit: commitPending,
+    sync,
+    resolve,
+    configure,
+    getStatus,
+    stop
+  };
+};
+
+module.exports = {
+  createGitStorage,
+  parseSyncInterval
+};
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { computeEtag } = require('./concurrency');
+
+const MANIFEST_VERSION = 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isSameOrInside = (relativePath, parentPath) =>
+  relativePath === parentPath || relativePath.startsWith(`${parentPath}${path.sep}`);
+
+const createId = () => `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * Version history of the notes in a directory.
+ *
+ * Before a note is overwritten, its previous content is stored as a version in
+ * `<rootDir>/.haptic/history/<noteId>/<versionId>.md`. The manifest next to it maps the
+ * current path of every note (relative to `rootDir`) to its history, so `movePath` only
+ * has to update the manifest for the history to follow a note across renames and moves.
+ *
+ * Retention: only the newest `maxVersions` versions of a note are kept, and versions older
+ * than `maxAgeDays` are dropped when the note gets a new version (0 disables either limit).
+ */
+const createVersionStore = (rootDir, { maxVersions = 50, maxAgeDays = 30 } = {}) => {
+  const resolvedRoot = path.resolve(rootDir);
+  const historyDir = path.join(resolvedRoot, '.haptic', 'history');
+  const manifestFile = path.join(historyDir, 'manifest.json');
+
+  // relativePath -> { id, versions: [{ id, createdAt, size, etag }] } (oldest first)
+  let notes = new Map();
+  let queue = Promise.resolve();
+
+  // Serialize all access to the manifest; unlike index updates, results and failures are
+  // passed on to the caller
+  const enqueue = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const toRelative = (fsPath) => path.relative(resolvedRoot, path.resolve(fsPath));
+
+  const versionFile = (note, versionId) => path.join(historyDir, note.id, `${versionId}.md`);
+
+  const save = async () => {
+    await fs.mkdir(historyDir, { recursive: true });
+    const tempFile = `${manifestFile}.tmp`;
+    await fs.writeFile(
+      tempFile,
+      JSON.stringify({ version: MANIFEST_VERSION, notes: Object.fromEntries(notes) }),
+      'utf8'
+    );
+    await fs.rename(tempFile, manifestFile);
+  };
+
+  const initialize = () =>
+    enqueue(async () => {
+      try {
+        const raw = JSON.parse(await fs.readFile(manifestFile, 'utf8'));
+        notes = raw.version === MANIFEST_VERSION ? new Map(Object.entries(raw.notes)) : new Map();
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error('Error reading version history, starting a new one:', error.message);
+        }
+        notes = new Map();
+      }
+    });
+
+  // Drop the versions that fall outside of the retention policy
+  const prune = async (note) => {
+    const minCreatedAt = maxAgeDays > 0 ? Date.now() - maxAgeDays * DAY_MS : -Infinity;
+    const expired = note.versions.filter(
+      (version, index) =>
+        Date.parse(version.createdAt) < minCreatedAt ||
+        (maxVersions > 0 && index < note.versions.length - maxVersions)
+    );
+    if (expired.length === 0) return;
+
+    note.versions = note.versions.filter((version) => !expired.includes(version));
+    await Promise.all(
+      expired.map((version) => fs.rm(versionFile(note, version.id), { force: true }))
+    );
+  };
+
+  // Store the content of a note as a new version; identical consecutive versions are skipped
+  const snapshot = (fsPath, content) =>
+    enqueue(async () => {
+      const relativePath = toRelative(fsPath);
+      let note = notes.get(relativePath);
+      if (!note) {
+        note = { id: createId(), versions: [] };
+        notes.set(relativePath, note);
+      }
+
+      const etag = computeEtag(content);
+      const latest = note.versions[note.versions.length - 1];
+      if (latest && latest.etag === etag) return latest;
+
+      const version = {
+        id: createId(),
+        createdAt: new Date().toISOString(),
+        size: Buffer.byteLength(content, 'utf8'),
+        etag
+      };
+
+      await fs.mkdir(path.join(historyDir, note.id), { recursive: true });
+      await fs.writeFile(versionFile(note, version.id), content, 'utf8');
+      note.versions.push(version);
+
+      await prune(note);
+      await save();
+      return version;
+    });
+
+  // Versions of a note, newest first
+  const list = (fsPath) =>
+    enqueue(() => {
+      const note = notes.get(toRelative(fsPath));
+      return note ? [...note.versions].reverse() : [];
+    });
+
+  // A version including its content, or null if it does not exist
+  const read = (fsPath, versionId) =>
+    enqueue(async () => {
+      const note = notes.get(toRelative(fsPath));
+      const version = note?.versions.find((candidate) => candidate.id === versionId);
+      if (!version) return null;
+
+      const content = await fs.readFile(versionFile(note, version.id), 'utf8');
+      return { ...version, content };
+    });
+
+  // Let the history of a note (or of all notes in a folder) follow a rename or move. Like
+  // index updates, failures are only logged so the caller doesn't need to await this
+  const movePath = (oldFsPath, newFsPath) =>
+    enqueue(async () => {
+      const oldRelative = toRelative(oldFsPath);
+      const newRelative = toRelative(newFsPath);
+
+      const moved = [...notes.entries()].filter(([relativePath]) =>
+        isSameOrInside(relativePath, oldRelative)
+      );
+      if (moved.length === 0) return;
+
+      for (const [relativePath] of moved) notes.delete(relativePath);
+      for (const [relativePath, note] of moved) {
+        notes.set(newRelative + relativePath.slice(oldRelative.length), note);
+      }
+
+      await save();
+    }).catch((error) => console.error('Version history update failed:', error));
+
+  // Drop the history of a note (or of all notes in a folder) that is deleted for good
+  const removePath = (fsPath) =>
+    enqueue(async () => {
+      const removedRelative = toRelative(fsPath);
+
+      const removed = [...notes.entries()].filter(([relativePath]) =>
+        isSameOrInside(relativePath, removedRelative)
+      );
+      if (removed.length === 0) return;
+
+      for (const [relativePath] of removed) notes.delete(relativePath);
+      await save();
+      await Promise.all(
+        removed.map(([, note]) =>
+          fs.rm(path.join(historyDir, note.id), { recursive: true, force: true })
+        )
+      );
+    }).catch((error) => console.error('Version history update failed:', error));
+
+  return {
+    initialize,
+    snapshot,
+    list,
+    read,
+    movePath,
+    removePath
+  };
+};
+
+module.exports = {
+  createVersionStore
+};
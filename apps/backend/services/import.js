@@ -0,0 +1,345 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const yauzl = require('yauzl');
+const { exists } = require('./files');
+
+// Characters that note and folder names can't contain (see the rename route)
+const INVALID_NAME_CHARACTERS = /[/\\:*?"<>|]/g;
+// Notion appends the id of a page to its file and folder names:
+// "Plan 0123456789abcdef0123456789abcdef.md"
+const NOTION_ID_PATTERN = /\s+[0-9a-f]{32}$/i;
+const NOTE_EXTENSIONS = ['.md', '.markdown'];
+const FENCE_PATTERN = /^\s{0,3}(`{3,}|~{3,})/;
+const INLINE_CODE_PATTERN = /(`+)[^`]*?\1/g;
+const WIKI_LINK_PATTERN = /(!?)\[\[([^[\]|#\n]*)((?:#[^[\]|\n]*)?(?:\|[^[\]\n]*)?)\]\]/g;
+const MARKDOWN_LINK_PATTERN = /(!?)\[([^\]\n]*)\]\(\s*(<[^>\n]*>|[^\s)]+)/g;
+const URL_SCHEME_PATTERN = /^[a-z][a-z0-9+.-]*:/i;
+
+const isNoteFile = (fileName) =>
+  NOTE_EXTENSIONS.includes(path.posix.extname(fileName).toLowerCase());
+
+const decodeLinkTarget = (target) => {
+  try {
+    return decodeURIComponent(target);
+  } catch {
+    return target;
+  }
+};
+
+// Link target escaped like the links the editor creates
+const encodeLinkTarget = (posixPath) =>
+  posixPath
+    .split('/')
+    .map((segment) =>
+      segment === '..'
+        ? segment
+        : encodeURIComponent(segment).replace(/\(/g, '%28').replace(/\)/g, '%29')
+    )
+    .join('/');
+
+/**
+ * A file or folder name as Haptic accepts it: without Notion's page id, the characters the
+ * rename route rejects and leading dots. Notes are stored as ".md". Returns '' if nothing is
+ * left of the name.
+ */
+const normalizeName = (name, isNote = false) => {
+  const ext = path.posix.extname(name);
+  const base = ext ? name.slice(0, -ext.length) : name;
+  const normalized = base
+    .replace(NOTION_ID_PATTERN, '')
+    .replace(INVALID_NAME_CHARACTERS, '')
+    .trim();
+  if (!normalized) return '';
+  const extension = isNote ? '.md' : ext.replace(INVALID_NAME_CHARACTERS, '');
+  return `${normalized}${extension}`.replace(/^\.+/, '').trim();
+};
+
+// Where an archive comes from: Obsidian vaults have a ".obsidian" folder and Notion names
+// its files and folders after page ids
+const detectSource = (fileNames) => {
+  if (fileNames.some((fileName) => fileName.split('/').includes('.obsidian'))) return 'obsidian';
+  const isNotionName = (name) =>
+    NOTION_ID_PATTERN.test(name.slice(0, name.length - path.posix.extname(name).length));
+  if (fileNames.some((fileName) => fileName.split('/').some(isNotionName))) return 'notion';
+  return 'zip';
+};
+
+// Why a file of an archive isn't imported, or null
+const skipReason = (fileName) => {
+  const segments = fileName.split('/');
+  if (segments[0] === '__MACOSX') return 'macOS metadata';
+  if (segments.includes('.obsidian')) return 'Obsidian settings';
+  if (segments.some((segment) => segment.startsWith('.'))) return 'Hidden file';
+  if (path.posix.extname(fileName).toLowerCase() === '.zip') return 'Nested archive';
+  return null;
+};
+
+/**
+ * Decide where the files of an archive go: every path is normalized segment by segment (see
+ * normalizeName), and files whose normalized paths collide get numbered names ("Plan (1).md").
+ * Returns { source, files: [{ from, to, note }], skipped: [{ path, reason }] } with posix paths
+ * relative to the archive and the target folder.
+ */
+const planImport = (fileNames) => {
+  const files = [];
+  const skipped = [];
+  const taken = new Set();
+
+  for (const fileName of fileNames) {
+    const reason = skipReason(fileName);
+    if (reason) {
+      skipped.push({ path: fileName, reason });
+      continue;
+    }
+
+    const note = isNoteFile(fileName);
+    const segments = fileName.split('/');
+    const normalized = segments.map((segment, index) =>
+      normalizeName(segment, note && index === segments.length - 1)
+    );
+    if (normalized.some((segment) => !segment)) {
+      skipped.push({ path: fileName, reason: 'Invalid name' });
+      continue;
+    }
+
+    let to = normalized.join('/');
+    const ext = path.posix.extname(to);
+    for (let number = 1; taken.has(to.toLowerCase()); number++) {
+      to = `${normalized.join('/').slice(0, -ext.length || undefined)} (${number})${ext}`;
+    }
+    taken.add(to.toLowerCase());
+    files.push({ from: fileName, to, note });
+  }
+
+  return { source: detectSource(fileNames), files, skipped };
+};
+
+/**
+ * Fix the links of an imported note: relative markdown links to files of the archive point to
+ * where these files are imported to, and wiki link targets are normalized like file names
+ * (Obsidian resolves them by name). Links in code are left alone. `from` and `to` are the
+ * paths of the note in the archive and in the target folder, `destinations` maps paths in
+ * the archive to paths in the target folder.
+ */
+const rewriteImportedLinks = (content, from, to, destinations) => {
+  const rewriteHref = (href) => {
+    if (href.startsWith('#') || URL_SCHEME_PATTERN.test(href)) return href;
+
+    const targetLength = href.search(/[#?]|$/);
+    const linked = decodeLinkTarget(href.slice(0, targetLength));
+    // Links starting with "/" are relative to the root of the archive
+    const target = linked.startsWith('/')
+      ? path.posix.normalize(linked).slice(1)
+      : path.posix.normalize(path.posix.join(path.posix.dirname(from), linked));
+    const destination = destinations.get(target);
+    if (!destination) return href;
+
+    const relative = path.posix.relative(path.posix.dirname(to), destination);
+    return `${encodeLinkTarget(relative)}${href.slice(targetLength)}`;
+  };
+
+  const rewriteLine = (line) => {
+    // Rewrite outside of inline code only
+    const parts = [];
+    let last = 0;
+    for (const match of line.matchAll(INLINE_CODE_PATTERN)) {
+      parts.push({ text: line.slice(last, match.index), code: false });
+      parts.push({ text: match[0], code: true });
+      last = match.index + match[0].length;
+    }
+    parts.push({ text: line.slice(last), code: false });
+
+    return parts
+      .map(({ text, code }) => {
+        if (code) return text;
+        return text
+          .replace(WIKI_LINK_PATTERN, (match, embed, target, rest) => {
+            const normalized = target
+              .split('/')
+              .map((segment) => normalizeName(segment.trim()) || segment)
+              .join('/');
+            if (normalized === target.trim()) return match;
+            return `${embed}[[${normalized}${rest}]]`;
+          })
+          .replace(MARKDOWN_LINK_PATTERN, (match, embed, label, href) => {
+            const angle = href.startsWith('<');
+            const rewritten = rewriteHref(angle ? href.slice(1, -1) : href);
+            return `${embed}[${label}](${angle ? `<${rewritten}>` : rewritten}`;
+          });
+      })
+      .join('');
+  };
+
+  let fence = null;
+  return content
+    .split('\n')
+    .map((line) => {
+      const fenceMatch = line.match(FENCE_PATTERN);
+      if (fence) {
+        if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+          fence = null;
+        }
+        return line;
+      }
+      if (fenceMatch) {
+        fence = fenceMatch[1];
+        return line;
+      }
+      return rewriteLine(line);
+    })
+    .join('\n');
+};
+
+// The file entries of a ZIP archive, and a way to read them
+const openArchive = (zipPath) =>
+  new Promise((resolve, reject) => {
+    yauzl.open(zipPath, { lazyEntries: true, autoClose: false }, (error, zipfile) => {
+      if (error) return reject(error);
+
+      const entries = [];
+      zipfile.on('entry', (entry) => {
+        if (!entry.fileName.endsWith('/')) entries.push(entry);
+        zipfile.readEntry();
+      });
+      zipfile.on('end', () =>
+        resolve({
+          entries,
+          openReadStream: (entry) =>
+            new Promise((resolveStream, rejectStream) =>
+              zipfile.openReadStream(entry, (streamError, stream) =>
+                streamError ? rejectStream(streamError) : resolveStream(stream)
+              )
+            ),
+          close: () => zipfile.close()
+        })
+      );
+      zipfile.on('error', (zipError) => {
+        zipfile.close();
+        reject(zipError);
+      });
+      zipfile.readEntry();
+    });
+  });
+
+/**
+ * Import a ZIP archive (a plain archive of notes, an Obsidian vault or a Notion markdown export)
+ * into `targetDir`. Names are normalized, Notion page ids are removed and links are fixed up
+ * (see planImport and rewriteImportedLinks). Files that already exist in the target folder are
+ * conflicts: they are skipped, or imported under a numbered name if `onConflict` is 'rename'.
+ * Files for which `canWrite(fsPath)` is false and files over `maxFileBytes` are skipped.
+ *
+ * Resolves with { source, imported: [{ from, fsPath }], directories, conflicts: [{ from, fsPath,
+ * renamed }], skipped: [{ path, reason }] }, where `directories` are the folders the import
+ * created (outer folders first) and `renamed` is the path a conflicting file was imported to
+ * instead (or null). Archives that can't be read are rejected with an error with `code` 'EINVAL'.
+ */
+const importArchive = async (
+  zipPath,
+  targetDir,
+  { onConflict = 'skip', canWrite, maxFileBytes }
+) => {
+  let archive;
+  try {
+    archive = await openArchive(zipPath);
+  } catch (error) {
+    throw Object.assign(error, { code: 'EINVAL' });
+  }
+
+  try {
+    const entriesByName = new Map(archive.entries.map((entry) => [entry.fileName, entry]));
+    const plan = planImport([...entriesByName.keys()]);
+    const skipped = [...plan.skipped];
+    const conflicts = [];
+
+    // Decide on every destination first, so links can point to renamed files
+    const destinations = new Map();
+    const files = [];
+    for (const file of plan.files) {
+      const entry = entriesByName.get(file.from);
+      let fsPath = path.join(targetDir, ...file.to.split('/'));
+
+      if (entry.isEncrypted()) {
+        skipped.push({ path: file.from, reason: 'Encrypted file' });
+        continue;
+      }
+      if (maxFileBytes && entry.uncompressedSize > maxFileBytes) {
+        skipped.push({ path: file.from, reason: 'File too large' });
+        continue;
+      }
+      if (!canWrite(fsPath)) {
+        skipped.push({ path: file.from, reason: 'Permission denied' });
+        continue;
+      }
+
+      if (await exists(fsPath)) {
+        if (onConflict !== 'rename') {
+          conflicts.push({ from: file.from, fsPath, renamed: null });
+          destinations.set(file.from, file.to);
+          continue;
+        }
+        const ext = path.extname(fsPath);
+        const base = fsPath.slice(0, fsPath.length - ext.length);
+        const isTaken = async (candidate) =>
+          files.some((other) => other.fsPath === candidate) || (await exists(candidate));
+        let number = 1;
+        while (await isTaken(`${base} (${number})${ext}`)) number++;
+
+        const renamed = `${base} (${number})${ext}`;
+        conflicts.push({ from: file.from, fsPath, renamed });
+        fsPath = renamed;
+      }
+
+      destinations.set(file.from, path.relative(targetDir, fsPath).split(path.sep).join('/'));
+      files.push({ ...file, entry, fsPath });
+    }
+
+    const imported = [];
+    const directories = [];
+    for (const file of files) {
+      const missing = [];
+      for (let dir = path.dirname(file.fsPath); !(await exists(dir)); dir = path.dirname(dir)) {
+        missing.unshift(dir);
+      }
+      if (missing.length > 0) {
+        await fs.promises.mkdir(path.dirname(file.fsPath), { recursive: true });
+        directories.push(...missing);
+      }
+      const stream = await archive.openReadStream(file.entry);
+
+      try {
+        if (file.note) {
+          const chunks = [];
+          for await (const chunk of stream) chunks.push(chunk);
+          const content = rewriteImportedLinks(
+            Buffer.concat(chunks).toString('utf8'),
+            file.from,
+            destinations.get(file.from),
+            destinations
+          );
+          await fs.promises.writeFile(file.fsPath, content, { flag: 'wx' });
+        } else {
+          await pipeline(stream, fs.createWriteStream(file.fsPath, { flags: 'wx' }));
+        }
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        // Created since the destinations were decided
+        stream.destroy();
+        conflicts.push({ from: file.from, fsPath: file.fsPath, renamed: null });
+        continue;
+      }
+      imported.push({ from: file.from, fsPath: file.fsPath });
+    }
+
+    return { source: plan.source, imported, directories, conflicts, skipped };
+  } finally {
+    archive.close();
+  }
+};
+
+module.exports = {
+  importArchive,
+  normalizeName,
+  planImport,
+  rewriteImportedLinks
+};
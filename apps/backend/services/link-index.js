@@ -0,0 +1,582 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { contentTypeOf } = require('./attachments');
+const { collectSearchableFiles } = require('./search');
+
+const INDEX_VERSION = 1;
+const INDEX_FILE_NAME = 'link-index.json';
+const SAVE_DEBOUNCE_MS = 1000;
+const MAX_CONTEXT_LENGTH = 200;
+
+const NOTE_EXTENSIONS = ['.md', '.markdown'];
+
+// [[Target]], [[Target#Heading]], [[Target|Alias]] and embeds (![[Target]])
+const WIKI_LINK_PATTERN = /(!?)\[\[([^[\]|#\n]*)(#[^[\]|\n]*)?(?:\|([^[\]\n]*))?\]\]/g;
+// [Text](target.md), [Text](<target with spaces.md> "Title") and embeds (![Text](target.md))
+const MARKDOWN_LINK_PATTERN =
+  /(!?)\[((?:[^[\]\n]|\[[^[\]\n]*\])*)\]\(\s*(<[^>\n]*>|[^\s()]+)(?:\s+(?:"[^"\n]*"|'[^'\n]*'))?\s*\)/g;
+const FENCE_PATTERN = /^\s{0,3}(`{3,}|~{3,})/;
+const INLINE_CODE_PATTERN = /(`+)[^`]*?\1/g;
+const URL_SCHEME_PATTERN = /^[a-z][a-z0-9+.-]*:/i;
+
+const isNoteFile = (fileName) => NOTE_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+
+const stripNoteExtension = (fileName) =>
+  isNoteFile(fileName) ? fileName.slice(0, -path.extname(fileName).length) : fileName;
+
+const toPosix = (relativePath) => relativePath.split(path.sep).join('/');
+
+const fromPosix = (posixPath) => posixPath.split('/').join(path.sep);
+
+// Key of a note in the name lookup: its file name without extension, case-insensitive
+const nameKey = (fileName) => stripNoteExtension(path.basename(fileName)).toLowerCase();
+
+const toContext = (line) => {
+  const trimmed = line.trim();
+  return trimmed.length > MAX_CONTEXT_LENGTH
+    ? `${trimmed.slice(0, MAX_CONTEXT_LENGTH - 1)}…`
+    : trimmed;
+};
+
+const decodeLinkTarget = (target) => {
+  try {
+    return decodeURIComponent(target);
+  } catch {
+    return target;
+  }
+};
+
+// Find the links to other notes in markdown content, with the offsets of their targets as
+// written (`start` to `end`, without brackets, anchors and queries)
+const scanLinks = (content) => {
+  const links = [];
+  let fence = null;
+  let lineOffset = 0;
+
+  content.split('\n').forEach((line, index) => {
+    const offset = lineOffset;
+    lineOffset += line.length + 1;
+
+    const fenceMatch = line.match(FENCE_PATTERN);
+    if (fence) {
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+        fence = null;
+      }
+      return;
+    }
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      return;
+    }
+
+    const text = line.replace(INLINE_CODE_PATTERN, (code) => ' '.repeat(code.length));
+    const context = toContext(line);
+
+    for (const match of text.matchAll(WIKI_LINK_PATTERN)) {
+      const target = match[2].trim();
+      // Links to images and other attachments ("[[diagram.png]]") aren't links to notes. Other
+      // names may contain dots ("[[Meeting 2024.01.05]]")
+      if (!target || contentTypeOf(target) !== 'application/octet-stream') continue;
+
+      const start =
+        offset + match.index + match[1].length + 2 + match[2].length - match[2].trimStart().length;
+      links.push({
+        type: 'wiki',
+        target,
+        anchor: match[3] ? match[3].slice(1).trim() || null : null,
+        text: match[4]?.trim() || null,
+        embed: Boolean(match[1]),
+        line: index + 1,
+        context,
+        start,
+        end: start + target.length
+      });
+    }
+
+    for (const match of text.matchAll(MARKDOWN_LINK_PATTERN)) {
+      const angle = match[3].startsWith('<');
+      const href = angle ? match[3].slice(1, -1) : match[3];
+      if (!href || href.startsWith('#') || URL_SCHEME_PATTERN.test(href)) continue;
+
+      const targetLength = href.search(/[#?]|$/);
+      const target = decodeLinkTarget(href.slice(0, targetLength));
+      if (!isNoteFile(target)) continue;
+
+      const hashIndex = href.indexOf('#');
+      const anchor = hashIndex === -1 ? null : decodeLinkTarget(href.slice(hashIndex + 1));
+
+      // The target follows "[text](" and optional whitespace
+      const hrefIndex = match[0].indexOf(match[3], match[1].length + match[2].length + 3);
+      const start = offset + match.index + hrefIndex + (angle ? 1 : 0);
+      links.push({
+        type: 'markdown',
+        target,
+        anchor: anchor || null,
+        text: match[2].trim() || null,
+        embed: Boolean(match[1]),
+        line: index + 1,
+        context,
+        start,
+        end: start + targetLength,
+        angle
+      });
+    }
+  });
+
+  return links.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Extract the links to other notes from markdown content. Links in code blocks and inline
+ * code are ignored, as are links to URLs, anchors within the note and files other than notes.
+ * Returns [{ type: 'wiki' | 'markdown', target, anchor, text, embed, line, context }] with
+ * 1-based line numbers; `target` is the note name or path as written.
+ */
+const parseLinks = (content) =>
+  scanLinks(content).map(({ type, target, anchor, text, embed, line, context }) => ({
+    type,
+    target,
+    anchor,
+    text,
+    embed,
+    line,
+    context
+  }));
+
+// Path of a markdown link target, escaped like the links the editor creates
+const encodeLinkTarget = (posixPath) =>
+  posixPath
+    .split('/')
+    .map((segment) => encodeURIComponent(segment).replace(/\(/g, '%28').replace(/\)/g, '%29'))
+    .join('/');
+
+/**
+ * Persistent graph of the links between the notes of a directory.
+ *
+ * For every note, the index keeps the links it contains as written (wiki links and relative
+ * markdown links), persisted in `<rootDir>/.haptic/link-index.json`. Links are resolved when
+ * the graph is queried, so a link starts to resolve as soon as a note with a matching name
+ * is created. Like the search index, mutations are serialized through an internal queue and
+ * queries observe every update queued before them.
+ *
+ * Wiki links resolve by note name (case-insensitive), optionally qualified with folders
+ * ("[[Projects/Plan]]"); when several notes match, the one closest to the linking note wins.
+ * Markdown links resolve relative to the linking note, or to `rootDir` if they start with "/".
+ */
+const createLinkIndex = (rootDir) => {
+  const resolvedRoot = path.resolve(rootDir);
+  const indexDir = path.join(resolvedRoot, '.haptic');
+  const indexFile = path.join(indexDir, INDEX_FILE_NAME);
+
+  // docPath -> { mtimeMs, size, links }
+  let documents = new Map();
+  // nameKey -> Set<docPath>
+  let byName = new Map();
+
+  let queue = Promise.resolve();
+  let saveTimeout = null;
+
+  // Failures are logged rather than rethrown so callers can fire updates without awaiting them
+  const enqueue = (task) => {
+    queue = queue.then(task).catch((error) => console.error('Link index update failed:', error));
+    return queue;
+  };
+
+  const toRelative = (fsPath) => path.relative(resolvedRoot, path.resolve(fsPath));
+
+  const isIndexable = (relativePath) =>
+    Boolean(relativePath) &&
+    !relativePath.startsWith('..') &&
+    !relativePath.split(path.sep).some((segment) => segment.startsWith('.')) &&
+    isNoteFile(relativePath);
+
+  const setDocument = (docPath, doc) => {
+    documents.set(docPath, doc);
+    const key = nameKey(docPath);
+    if (!byName.has(key)) byName.set(key, new Set());
+    byName.get(key).add(docPath);
+  };
+
+  const removeDocument = (docPath) => {
+    if (!documents.delete(docPath)) return false;
+
+    const key = nameKey(docPath);
+    const docs = byName.get(key);
+    docs?.delete(docPath);
+    if (docs?.size === 0) byName.delete(key);
+    return true;
+  };
+
+  const indexFromDisk = async (docPath) => {
+    const fsPath = path.join(resolvedRoot, docPath);
+    try {
+      const [content, stats] = await Promise.all([fs.readFile(fsPath, 'utf8'), fs.stat(fsPath)]);
+      setDocument(docPath, {
+        mtimeMs: stats.mtimeMs,
+        size: stats.size,
+        links: parseLinks(content)
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      removeDocument(docPath);
+    }
+  };
+
+  const scheduleSave = () => {
+    if (saveTimeout) clearTimeout(saveTimeout);
+    saveTimeout = setTimeout(() => {
+      saveTimeout = null;
+      enqueue(save);
+    }, SAVE_DEBOUNCE_MS);
+  };
+
+  const save = async () => {
+    const serialized = {
+      version: INDEX_VERSION,
+      updatedAt: new Date().toISOString(),
+      documents: Object.fromEntries(documents)
+    };
+
+    // Write to a temporary file first so a crash never leaves a truncated index behind
+    await fs.mkdir(indexDir, { recursive: true });
+    const tempFile = `${indexFile}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(serialized), 'utf8');
+    await fs.rename(tempFile, indexFile);
+  };
+
+  const load = async () => {
+    let raw;
+    try {
+      raw = JSON.parse(await fs.readFile(indexFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Discarding unreadable link index:', error.message);
+      }
+      return false;
+    }
+
+    if (!raw || raw.version !== INDEX_VERSION) {
+      return false;
+    }
+
+    documents = new Map();
+    byName = new Map();
+    for (const [docPath, doc] of Object.entries(raw.documents || {})) {
+      setDocument(docPath, doc);
+    }
+    return true;
+  };
+
+  // The best of several notes a wiki link may refer to: the one in the folder of the linking
+  // note, then the one with the shortest path
+  const closestDocument = (sourcePath, candidates) => {
+    const sourceDir = path.dirname(sourcePath);
+    return [...candidates].sort(
+      (a, b) =>
+        (path.dirname(b) === sourceDir) - (path.dirname(a) === sourceDir) ||
+        a.split(path.sep).length - b.split(path.sep).length ||
+        a.localeCompare(b)
+    )[0];
+  };
+
+  const resolveWikiLink = (sourcePath, target) => {
+    const candidates = byName.get(nameKey(target));
+    if (!candidates) return null;
+
+    const wanted = stripNoteExtension(target.replace(/\\/g, '/')).toLowerCase();
+    if (!wanted.includes('/')) return closestDocument(sourcePath, candidates);
+
+    // A link with folders matches notes whose path ends with them, or the note they lead to
+    // from the linking note ("[[../Plan]]")
+    const relative = path.posix
+      .join(path.posix.dirname(toPosix(sourcePath)), wanted)
+      .replace(/^\.\//, '');
+    const matching = [...candidates].filter((docPath) => {
+      const candidate = stripNoteExtension(toPosix(docPath)).toLowerCase();
+      return (
+        candidate === relative ||
+        candidate === wanted.replace(/^\/+/, '') ||
+        candidate.endsWith(`/${wanted}`)
+      );
+    });
+    return matching.length > 0 ? closestDocument(sourcePath, matching) : null;
+  };
+
+  const resolveMarkdownLink = (sourcePath, target) => {
+    const resolved = target.startsWith('/')
+      ? path.posix.normalize(target).slice(1)
+      : path.posix.join(path.posix.dirname(toPosix(sourcePath)), target);
+    if (resolved.startsWith('..')) return null;
+
+    const docPath = fromPosix(resolved);
+    return documents.has(docPath) ? docPath : null;
+  };
+
+  // Path (relative to the root) of the note a link refers to, or null if it doesn't resolve
+  const resolveLink = (sourcePath, link) =>
+    link.type === 'wiki'
+      ? resolveWikiLink(sourcePath, link.target)
+      : resolveMarkdownLink(sourcePath, link.target);
+
+  const isBelow = (docPath, target) =>
+    !target || docPath === target || docPath.startsWith(`${target}${path.sep}`);
+
+  /**
+   * Load the persisted index and bring it in line with the notes on disk. Only notes whose
+   * size or modification time changed since the index was written are re-read.
+   */
+  const initialize = () =>
+    enqueue(async () => {
+      const loaded = await load();
+      const files = (await collectSearchableFiles(resolvedRoot)).filter(isNoteFile);
+      const onDisk = new Set(files);
+      let changed = !loaded;
+
+      for (const docPath of [...documents.keys()]) {
+        if (!onDisk.has(docPath)) {
+          removeDocument(docPath);
+          changed = true;
+        }
+      }
+
+      for (const docPath of files) {
+        const doc = documents.get(docPath);
+        if (doc) {
+          try {
+            const stats = await fs.stat(path.join(resolvedRoot, docPath));
+            if (stats.mtimeMs === doc.mtimeMs && stats.size === doc.size) continue;
+          } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+          }
+        }
+        await indexFromDisk(docPath);
+        changed = true;
+      }
+
+      if (changed) await save();
+      console.log(`Link index ${loaded ? 'loaded' : 'built'}: ${documents.size} notes`);
+    });
+
+  // (Re-)index the links of a single note, optionally with content that is already known
+  const updateFile = (fsPath, content) =>
+    enqueue(async () => {
+      const docPath = toRelative(fsPath);
+      if (!isIndexable(docPath)) return;
+
+      if (typeof content === 'string') {
+        const { mtimeMs, size } = await fs.stat(fsPath);
+        setDocument(docPath, { mtimeMs, size, links: parseLinks(content) });
+      } else {
+        await indexFromDisk(docPath);
+      }
+      scheduleSave();
+    });
+
+  // (Re-)index every note below a directory
+  const updateDirectory = (fsPath) =>
+    enqueue(async () => {
+      const dirPath = toRelative(fsPath);
+      if (dirPath.startsWith('..')) return;
+
+      for (const relativePath of await collectSearchableFiles(path.resolve(fsPath))) {
+        const docPath = dirPath ? path.join(dirPath, relativePath) : relativePath;
+        if (isIndexable(docPath)) await indexFromDisk(docPath);
+      }
+      scheduleSave();
+    });
+
+  // Drop a note, or every note below a directory, from the index
+  const removePath = (fsPath) =>
+    enqueue(async () => {
+      const target = toRelative(fsPath);
+      let changed = false;
+
+      for (const docPath of [...documents.keys()]) {
+        if (isBelow(docPath, target)) {
+          changed = removeDocument(docPath) || changed;
+        }
+      }
+      if (changed) scheduleSave();
+    });
+
+  // Re-key a renamed/moved note, or every note below a renamed/moved directory. The links
+  // are kept as written, so relative links of moved notes now resolve from their new folder
+  const movePath = (oldFsPath, newFsPath) =>
+    enqueue(async () => {
+      const oldTarget = toRelative(oldFsPath);
+      const newTarget = toRelative(newFsPath);
+
+      for (const docPath of [...documents.keys()]) {
+        if (!isBelow(docPath, oldTarget)) continue;
+
+        const doc = documents.get(docPath);
+        const newDocPath = newTarget + docPath.slice(oldTarget.length);
+        removeDocument(docPath);
+        if (isIndexable(newDocPath)) setDocument(newDocPath, doc);
+      }
+
+      // A file may have become a note by its new name (e.g. "note" -> "note.md")
+      if (!documents.has(newTarget) && isIndexable(newTarget)) {
+        await indexFromDisk(newTarget);
+      }
+
+      scheduleSave();
+    });
+
+  /**
+   * Links of a note to other notes, in order of appearance. Resolves to
+   * [{ ...link, resolvedPath }] with `resolvedPath` relative to the root (null if the link
+   * doesn't resolve), or null if the note isn't indexed.
+   */
+  const outgoing = async (fsPath) => {
+    await queue;
+
+    const docPath = toRelative(fsPath);
+    const doc = documents.get(docPath);
+    if (!doc) return null;
+
+    return doc.links.map((link) => ({ ...link, resolvedPath: resolveLink(docPath, link) }));
+  };
+
+  /**
+   * Notes linking to a note. Resolves to [{ sourcePath, links }] ordered by path, where
+   * `links` are the links of the source note that resolve to the note.
+   */
+  const backlinks = async (fsPath) => {
+    await queue;
+
+    const target = toRelative(fsPath);
+    const results = [];
+
+    for (const [docPath, doc] of documents) {
+      if (docPath === target) continue;
+
+      const links = doc.links.filter((link) => resolveLink(docPath, link) === target);
+      if (links.length > 0) results.push({ sourcePath: docPath, links });
+    }
+
+    return results.sort((a, b) => a.sourcePath.localeCompare(b.sourcePath));
+  };
+
+  /**
+   * Links that don't resolve to a note, of a note or of every note below a directory (the
+   * whole root if `fsPath` is omitted). Resolves to [{ sourcePath, ...link }] ordered by path.
+   */
+  const unresolved = async (fsPath) => {
+    await queue;
+
+    const target = fsPath ? toRelative(fsPath) : '';
+    const results = [];
+
+    for (const [docPath, doc] of documents) {
+      if (!isBelow(docPath, target)) continue;
+
+      for (const link of doc.links) {
+        if (!resolveLink(docPath, link)) results.push({ sourcePath: docPath, ...link });
+      }
+    }
+
+    return results.sort((a, b) => a.sourcePath.localeCompare(b.sourcePath) || a.line - b.line);
+  };
+
+  // New target of a link after the note or folder at `oldTarget` moved to `newTarget`, as it
+  // would be written; null if the link doesn't need to change
+  const relocateLink = (sourcePath, link, oldTarget, newTarget) => {
+    const resolved = resolveLink(sourcePath, link);
+    if (!resolved) return null;
+
+    const relocate = (docPath) =>
+      isBelow(docPath, oldTarget) ? newTarget + docPath.slice(oldTarget.length) : docPath;
+    const newResolved = relocate(resolved);
+    let target;
+
+    if (link.type === 'wiki') {
+      if (newResolved === resolved) return null;
+
+      const extension = isNoteFile(link.target) ? path.extname(newResolved) : '';
+      const fullPath = stripNoteExtension(toPosix(newResolved)) + extension;
+      if (link.target.includes('/')) {
+        target = fullPath;
+      } else {
+        // Keep linking by name unless another note of that name would take over the link
+        const name = stripNoteExtension(path.basename(newResolved));
+        const namesakes = [...(byName.get(name.toLowerCase()) || [])].filter(
+          (docPath) => !isBelow(docPath, oldTarget)
+        );
+        target = namesakes.length > 0 ? fullPath : name + extension;
+      }
+    } else {
+      const newSourcePath = relocate(sourcePath);
+      if (newResolved === resolved && newSourcePath === sourcePath) return null;
+
+      target = link.target.startsWith('/')
+        ? `/${toPosix(newResolved)}`
+        : path.posix.relative(path.posix.dirname(toPosix(newSourcePath)), toPosix(newResolved));
+    }
+
+    return target === link.target ? null : target;
+  };
+
+  /**
+   * Plan the rewrite of the links that break when the note or folder at `oldFsPath` moves to
+   * `newFsPath`; call before moving it. Resolves to [{ sourcePath, newSourcePath, links,
+   * rewrite }] ordered by path, with paths relative to the root, for every note with links to
+   * rewrite: links to the moved notes, and relative links of the moved notes themselves.
+   * `rewrite(content)` returns the content of such a note with its links rewritten; it
+   * re-reads the links from the content, so it can be applied to a note that changed since.
+   */
+  const planMove = async (oldFsPath, newFsPath) => {
+    await queue;
+
+    const oldTarget = toRelative(oldFsPath);
+    const newTarget = toRelative(newFsPath);
+    const plan = [];
+
+    for (const [docPath, doc] of documents) {
+      const links = doc.links.filter((link) => relocateLink(docPath, link, oldTarget, newTarget));
+      if (links.length === 0) continue;
+
+      const rewrite = (content) => {
+        let rewritten = content;
+        // Back to front, so the offsets of the links before stay valid
+        for (const link of scanLinks(content).reverse()) {
+          const target = relocateLink(docPath, link, oldTarget, newTarget);
+          if (target === null) continue;
+
+          const written =
+            link.type === 'markdown' && !link.angle ? encodeLinkTarget(target) : target;
+          rewritten = rewritten.slice(0, link.start) + written + rewritten.slice(link.end);
+        }
+        return rewritten;
+      };
+
+      plan.push({
+        sourcePath: docPath,
+        newSourcePath: isBelow(docPath, oldTarget)
+          ? newTarget + docPath.slice(oldTarget.length)
+          : docPath,
+        links,
+        rewrite
+      });
+    }
+
+    return plan.sort((a, b) => a.sourcePath.localeCompare(b.sourcePath));
+  };
+
+  return {
+    initialize,
+    updateFile,
+    updateDirectory,
+    removePath,
+    movePath,
+    outgoing,
+    backlinks,
+    unresolved,
+    planMove
+  };
+};
+
+module.exports = {
+  createLinkIndex,
+  parseLinks
+};
@@ -0,0 +1,76 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { collectSearchableFiles } = require('./search');
+
+const NOTE_EXTENSIONS = ['.md', '.markdown'];
+
+const isNoteFile = (fileName) => NOTE_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+
+/**
+ * Something parsed from every note in a directory, e.g. its tasks. Notes are parsed with
+ * `parse(content)` when they are requested, and the result is cached until the size or
+ * modification time of the note changes, so no updates have to be reported to the index.
+ */
+const createNoteIndex = (rootDir, parse, empty) => {
+  const resolvedRoot = path.resolve(rootDir);
+
+  // docPath -> { mtimeMs, size, value }
+  const cache = new Map();
+
+  // What was parsed from a note (path relative to the root), or `empty()` if it doesn't exist
+  const get = async (docPath) => {
+    const fsPath = path.join(resolvedRoot, docPath);
+    let stats;
+    try {
+      stats = await fs.stat(fsPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return empty();
+      throw error;
+    }
+
+    const cached = cache.get(docPath);
+    if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+      return cached.value;
+    }
+
+    const value = parse(await fs.readFile(fsPath, 'utf8'));
+    cache.set(docPath, { mtimeMs: stats.mtimeMs, size: stats.size, value });
+    return value;
+  };
+
+  /**
+   * What was parsed from every note below `fsPath` (default: the root). Resolves to
+   * [{ relativePath, value }] ordered by path.
+   */
+  const list = async (fsPath = resolvedRoot) => {
+    const scope = path.relative(resolvedRoot, path.resolve(fsPath));
+    const files = (await collectSearchableFiles(path.resolve(fsPath))).filter(isNoteFile);
+    const results = [];
+    const seen = new Set();
+
+    for (const file of files) {
+      const docPath = scope ? path.join(scope, file) : file;
+      seen.add(docPath);
+      results.push({ relativePath: docPath, value: await get(docPath) });
+    }
+
+    // Forget deleted notes
+    if (!scope) {
+      for (const docPath of cache.keys()) {
+        if (!seen.has(docPath)) cache.delete(docPath);
+      }
+    }
+
+    return results;
+  };
+
+  return {
+    get,
+    list
+  };
+};
+
+module.exports = {
+  createNoteIndex,
+  isNoteFile
+};
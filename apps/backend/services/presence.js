@@ -0,0 +1,67 @@
+/**
+ * Presence of WebSocket clients: the note each client has open in a collection, its cursor
+ * and whether it is editing right now.
+ *
+ * Clients announce their presence with `update` and are removed with `remove` when their
+ * socket closes. Sockets can also go away without a close event (e.g. a laptop going to
+ * sleep), so `sweep` removes the clients that `isAlive` no longer accepts. Every change is
+ * reported through `onChange(event, entry)` with the event 'join', 'update' or 'leave'.
+ */
+const createPresence = ({ onChange }) => {
+  // client -> { clientId, username, collection, path, cursor, editing, updatedAt }
+  const entries = new Map();
+
+  const remove = (client) => {
+    const entry = entries.get(client);
+    if (!entry) return;
+
+    entries.delete(client);
+    onChange('leave', entry);
+  };
+
+  // Set the note a client has open (path null: none) with its cursor ({ anchor, head }) and
+  // editing state. Switching notes is reported as leaving the old and joining the new one
+  const update = (client, { collection, path, cursor = null, editing = false }) => {
+    const previous = entries.get(client);
+    if (!path) return remove(client);
+
+    const entry = {
+      clientId: client.id,
+      username: client.user?.username ?? null,
+      collection,
+      path,
+      cursor,
+      editing: Boolean(editing),
+      updatedAt: new Date().toISOString()
+    };
+    entries.set(client, entry);
+
+    if (previous && (previous.collection !== collection || previous.path !== path)) {
+      onChange('leave', previous);
+      onChange('join', entry);
+    } else {
+      onChange(previous ? 'update' : 'join', entry);
+    }
+  };
+
+  // Entries of the clients in a collection
+  const list = (collection) =>
+    [...entries.values()].filter((entry) => entry.collection === collection);
+
+  const sweep = (isAlive) => {
+    for (const client of [...entries.keys()]) {
+      if (!isAlive(client)) remove(client);
+    }
+  };
+
+  return {
+    update,
+    remove,
+    list,
+    sweep
+  };
+};
+
+module.exports = {
+  createPresence
+};
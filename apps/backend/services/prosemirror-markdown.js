@@ -0,0 +1,175 @@
+const Y = require('yjs');
+
+// Order in which marks are nested when several apply to the same text
+const MARK_ORDER = ['link', 'bold', 'italic', 'strike', 'code'];
+
+const MARK_DELIMITERS = {
+  bold: { open: () => '**', close: () => '**' },
+  italic: { open: () => '*', close: () => '*' },
+  strike: { open: () => '~~', close: () => '~~' },
+  code: { open: () => '`', close: () => '`' },
+  link: { open: () => '[', close: (attrs) => `](${attrs?.href ?? ''})` }
+};
+
+// Escape markdown syntax in plain text, like prosemirror-markdown does: "_" inside of words is
+// left alone, block syntax only matters at the start of a line
+const escapeText = (text, atLineStart) => {
+  let escaped = text.replace(/[`*\\~[\]_]/g, (char, index) =>
+    char === '_' &&
+    index > 0 &&
+    index + 1 < text.length &&
+    /\w/.test(text[index - 1]) &&
+    /\w/.test(text[index + 1])
+      ? char
+      : `\\${char}`
+  );
+
+  if (atLineStart) {
+    escaped = escaped
+      .replace(/^(\s*)(#{1,6})(\s|$)/, '$1\\$2$3')
+      .replace(/^(\s*)([-+>])(\s|$)/, '$1\\$2$3')
+      .replace(/^(\s*\d+)\.(\s)/, '$1\\.$2');
+  }
+  return escaped;
+};
+
+const sameMark = (a, b) => a.name === b.name && JSON.stringify(a.attrs) === JSON.stringify(b.attrs);
+
+// Marks of a text delta as [{ name, attrs }] in nesting order
+const marksOf = (attributes = {}) =>
+  MARK_ORDER.filter((name) => attributes[name] !== undefined).map((name) => ({
+    name,
+    attrs: attributes[name]
+  }));
+
+// Serialize the inline content (text with marks) of a block
+const serializeInline = (element) => {
+  const segments = [];
+  for (const child of element.toArray()) {
+    if (child instanceof Y.XmlText) {
+      for (const op of child.toDelta()) {
+        if (typeof op.insert === 'string') {
+          segments.push({ text: op.insert, marks: marksOf(op.attributes) });
+        }
+      }
+    } else if (child instanceof Y.XmlElement && child.nodeName === 'hardBreak') {
+      segments.push({ text: '\n', marks: [], raw: true });
+    }
+  }
+
+  // Delimiters next to whitespace don't count as emphasis, so whitespace at the edges of
+  // marked text is moved outside of the marks
+  let output = '';
+  const open = [];
+  const closeTo = (length) => {
+    if (open.length <= length) return;
+
+    const trailing = output.match(/[ \t]*$/)[0];
+    output = output.slice(0, output.length - trailing.length);
+    while (open.length > length) {
+      const mark = open.pop();
+      output += MARK_DELIMITERS[mark.name].close(mark.attrs);
+    }
+    output += trailing;
+  };
+
+  for (const segment of segments) {
+    let common = 0;
+    while (
+      common < open.length &&
+      common < segment.marks.length &&
+      sameMark(open[common], segment.marks[common])
+    ) {
+      common++;
+    }
+    closeTo(common);
+
+    let { text } = segment;
+    if (segment.marks.length > common) {
+      const leading = text.match(/^[ \t]*/)[0];
+      output += leading;
+      text = text.slice(leading.length);
+    }
+    for (const mark of segment.marks.slice(common)) {
+      output += MARK_DELIMITERS[mark.name].open(mark.attrs);
+      open.push(mark);
+    }
+
+    const isCode = segment.marks.some((mark) => mark.name === 'code');
+    output +=
+      isCode || segment.raw ? text : escapeText(text, output === '' || output.endsWith('\n'));
+  }
+  closeTo(0);
+
+  return output;
+};
+
+// Prefix the first line of a block with `first` and indent the following lines with `rest`
+const indent = (text, first, rest) =>
+  text
+    .split('\n')
+    .map((line, index) => (index === 0 ? first : line ? rest : '') + line)
+    .join('\n');
+
+const serializeListItems = (element, prefixFor) =>
+  element
+    .toArray()
+    .filter((child) => child instanceof Y.XmlElement)
+    .map((item, index) => {
+      const prefix = prefixFor(item, index);
+      // Tight lists: the blocks of an item are separated by single line breaks
+      const content = serializeBlocks(item, '\n');
+      return indent(content, prefix, ' '.repeat(prefix.length));
+    })
+    .join('\n');
+
+const serializeBlock = (element) => {
+  switch (element.nodeName) {
+    case 'heading':
+      return `${'#'.repeat(Number(element.getAttribute('level')) || 1)} ${serializeInline(element)}`;
+    case 'blockquote':
+      return indent(serializeBlocks(element, '\n\n'), '> ', '> ').replace(/^$/gm, '>');
+    case 'codeBlock': {
+      const code = element
+        .toArray()
+        .map((child) => child.toString())
+        .join('');
+      return `\`\`\`${element.getAttribute('language') || ''}\n${code}\n\`\`\``;
+    }
+    case 'horizontalRule':
+      return '---';
+    case 'bulletList':
+      return serializeListItems(element, () => '- ');
+    case 'orderedList': {
+      const start = Number(element.getAttribute('start')) || 1;
+      return serializeListItems(element, (item, index) => `${start + index}. `);
+    }
+    case 'taskList':
+      return serializeListItems(element, (item) => {
+        const checked = item.getAttribute('checked');
+        return checked === true || checked === 'true' ? '- [x] ' : '- [ ] ';
+      });
+    default:
+      // Paragraphs and unknown blocks with inline content
+      return serializeInline(element);
+  }
+};
+
+const serializeBlocks = (parent, separator) =>
+  parent
+    .toArray()
+    .filter((child) => child instanceof Y.XmlElement)
+    .map(serializeBlock)
+    .join(separator);
+
+/**
+ * Serialize a ProseMirror document, as synced by y-prosemirror into a Y.XmlFragment, to
+ * markdown. Covers the nodes and marks of the web editor (StarterKit, task lists and links)
+ * and follows the output of its markdown serializer (tiptap-markdown): "-" bullets, "*"
+ * emphasis, fenced code blocks and tight lists.
+ */
+const fragmentToMarkdown = (fragment) => serializeBlocks(fragment, '\n\n');
+
+module.exports = {
+  fragmentToMarkdown
+};
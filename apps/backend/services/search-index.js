@@ -0,0 +1,457 @@
+const fs = require('fs').promises;
+const path = require('path');
+const {
+  buildMatcher,
+  collectSearchableFiles,
+  escapeRegExp,
+  extractContexts,
+  isSearchableFile
+} = require('./search');
+
+const INDEX_VERSION = 1;
+const INDEX_FILE_NAME = 'search-index.json';
+const SAVE_DEBOUNCE_MS = 1000;
+
+// BM25 tuning parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// Score multipliers for terms that only match a query term by prefix, or somewhere inside
+// ("book" in "notebook"); the latter only for query terms of at least SUBSTRING_MIN_LENGTH
+const PREFIX_MATCH_WEIGHT = 0.7;
+const SUBSTRING_MATCH_WEIGHT = 0.4;
+const SUBSTRING_MIN_LENGTH = 3;
+// Most notes a search returns, and most of the best ranked notes it reads to find them
+const DEFAULT_RESULT_LIMIT = 50;
+const CANDIDATES_PER_RESULT = 4;
+
+// Split text into lowercase index terms (letters, digits and underscores)
+const tokenize = (text) => text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+
+const countTerms = (tokens) => {
+  const counts = new Map();
+  for (const token of tokens) {
+    counts.set(token, (counts.get(token) || 0) + 1);
+  }
+  return counts;
+};
+
+// Index of the first element in a sorted array that is >= value
+const lowerBound = (sorted, value) => {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (sorted[mid] < value) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+};
+
+/**
+ * Persistent inverted index over the searchable files of a directory.
+ *
+ * The index lives in `<rootDir>/.haptic/search-index.json` and maps every term to the
+ * documents containing it (with term frequencies). Documents are keyed by their path
+ * relative to `rootDir`. All mutations are serialized through an internal queue so that
+ * route handlers can fire updates without awaiting them, while searches always observe
+ * every update that was queued before them.
+ */
+const createSearchIndex = (rootDir) => {
+  const resolvedRoot = path.resolve(rootDir);
+  const indexDir = path.join(resolvedRoot, '.haptic');
+  const indexFile = path.join(indexDir, INDEX_FILE_NAME);
+
+  // term -> Map<docPath, termFrequency>
+  let postings = new Map();
+  // docPath -> { mtimeMs, size, length, terms: string[] }
+  let documents = new Map();
+  let totalLength = 0;
+  let sortedTerms = null;
+
+  let queue = Promise.resolve();
+  let saveTimeout = null;
+
+  // Failures are logged rather than rethrown so callers can fire updates without awaiting them
+  const enqueue = (task) => {
+    queue = queue.then(task).catch((error) => console.error('Search index update failed:', error));
+    return queue;
+  };
+
+  const toRelative = (fsPath) => path.relative(resolvedRoot, path.resolve(fsPath));
+
+  const isIndexable = (relativePath) =>
+    Boolean(relativePath) &&
+    !relativePath.startsWith('..') &&
+    !relativePath.split(path.sep).some((segment) => segment.startsWith('.')) &&
+    isSearchableFile(relativePath);
+
+  const removeDocument = (docPath) => {
+    const doc = documents.get(docPath);
+    if (!doc) return false;
+
+    for (const term of doc.terms) {
+      const docs = postings.get(term);
+      if (!docs) continue;
+      docs.delete(docPath);
+      if (docs.size === 0) {
+        postings.delete(term);
+        sortedTerms = null;
+      }
+    }
+
+    totalLength -= doc.length;
+    documents.delete(docPath);
+    return true;
+  };
+
+  const addDocument = (docPath, content, stats) => {
+    removeDocument(docPath);
+
+    const tokens = tokenize(content);
+    const counts = countTerms(tokens);
+
+    for (const [term, frequency] of counts) {
+      let docs = postings.get(term);
+      if (!docs) {
+        docs = new Map();
+        postings.set(term, docs);
+        sortedTerms = null;
+      }
+      docs.set(docPath, frequency);
+    }
+
+    documents.set(docPath, {
+      mtimeMs: stats.mtimeMs,
+      size: stats.size,
+      length: tokens.length,
+      terms: [...counts.keys()]
+    });
+    totalLength += tokens.length;
+  };
+
+  const indexFromDisk = async (docPath) => {
+    const fsPath = path.join(resolvedRoot, docPath);
+    try {
+      const [content, stats] = await Promise.all([fs.readFile(fsPath, 'utf8'), fs.stat(fsPath)]);
+      addDocument(docPath, content, stats);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      removeDocument(docPath);
+    }
+  };
+
+  const scheduleSave = () => {
+    if (saveTimeout) clearTimeout(saveTimeout);
+    saveTimeout = setTimeout(() => {
+      saveTimeout = null;
+      enqueue(save);
+    }, SAVE_DEBOUNCE_MS);
+  };
+
+  const save = async () => {
+    const serialized = {
+      version: INDEX_VERSION,
+      updatedAt: new Date().toISOString(),
+      documents: {},
+      postings: {}
+    };
+
+    for (const [docPath, { mtimeMs, size, length }] of documents) {
+      serialized.documents[docPath] = { mtimeMs, size, length };
+    }
+    for (const [term, docs] of postings) {
+      serialized.postings[term] = Object.fromEntries(docs);
+    }
+
+    // Write to a temporary file first so a crash never leaves a truncated index behind
+    await fs.mkdir(indexDir, { recursive: true });
+    const tempFile = `${indexFile}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(serialized), 'utf8');
+    await fs.rename(tempFile, indexFile);
+  };
+
+  const load = async () => {
+    let raw;
+    try {
+      raw = JSON.parse(await fs.readFile(indexFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Discarding unreadable search index:', error.message);
+      }
+      return false;
+    }
+
+    if (!raw || raw.version !== INDEX_VERSION) {
+      return false;
+    }
+
+    const docTerms = new Map();
+    postings = new Map();
+    for (const [term, docs] of Object.entries(raw.postings || {})) {
+      postings.set(term, new Map(Object.entries(docs)));
+      for (const docPath of Object.keys(docs)) {
+        if (!docTerms.has(docPath)) docTerms.set(docPath, []);
+        docTerms.get(docPath).push(term);
+      }
+    }
+
+    documents = new Map();
+    totalLength = 0;
+    for (const [docPath, doc] of Object.entries(raw.documents || {})) {
+      documents.set(docPath, { ...doc, terms: docTerms.get(docPath) || [] });
+      totalLength += doc.length;
+    }
+    sortedTerms = null;
+
+    return true;
+  };
+
+  /**
+   * Load the persisted index and bring it in line with the files on disk. Only files
+   * whose size or modification time changed since the index was written are re-read.
+   */
+  const initialize = () =>
+    enqueue(async () => {
+      const loaded = await load();
+      const files = await collectSearchableFiles(resolvedRoot);
+      const onDisk = new Set(files);
+      let changed = !loaded;
+
+      for (const docPath of [...documents.keys()]) {
+        if (!onDisk.has(docPath)) {
+          removeDocument(docPath);
+          changed = true;
+        }
+      }
+
+      for (const docPath of files) {
+        const doc = documents.get(docPath);
+        if (doc) {
+          try {
+            const stats = await fs.stat(path.join(resolvedRoot, docPath));
+            if (stats.mtimeMs === doc.mtimeMs && stats.size === doc.size) continue;
+          } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+          }
+        }
+        await indexFromDisk(docPath);
+        changed = true;
+      }
+
+      if (changed) await save();
+      console.log(
+        `Search index ${loaded ? 'loaded' : 'built'}: ${documents.size} documents, ${postings.size} terms`
+      );
+    });
+
+  // (Re-)index a single file, optionally with content that is already known
+  const updateFile = (fsPath, content) =>
+    enqueue(async () => {
+      const docPath = toRelative(fsPath);
+      if (!isIndexable(docPath)) return;
+
+      if (typeof content === 'string') {
+        addDocument(docPath, content, await fs.stat(fsPath));
+      } else {
+        await indexFromDisk(docPath);
+      }
+      scheduleSave();
+    });
+
+  // (Re-)index every searchable file below a directory
+  const updateDirectory = (fsPath) =>
+    enqueue(async () => {
+      const dirPath = toRelative(fsPath);
+      if (dirPath.startsWith('..')) return;
+
+      for (const relativePath of await collectSearchableFiles(path.resolve(fsPath))) {
+        const docPath = dirPath ? path.join(dirPath, relativePath) : relativePath;
+        if (isIndexable(docPath)) await indexFromDisk(docPath);
+      }
+      scheduleSave();
+    });
+
+  // Drop a file, or every file below a directory, from the index
+  const removePath = (fsPath) =>
+    enqueue(async () => {
+      const target = toRelative(fsPath);
+      const prefix = `${target}${path.sep}`;
+      let changed = false;
+
+      for (const docPath of [...documents.keys()]) {
+        if (docPath === target || docPath.startsWith(prefix)) {
+          changed = removeDocument(docPath) || changed;
+        }
+      }
+      if (changed) scheduleSave();
+    });
+
+  // Re-key a renamed/moved file, or every file below a renamed/moved directory
+  const movePath = (oldFsPath, newFsPath) =>
+    enqueue(async () => {
+      const oldTarget = toRelative(oldFsPath);
+      const newTarget = toRelative(newFsPath);
+      const prefix = `${oldTarget}${path.sep}`;
+
+      for (const docPath of [...documents.keys()]) {
+        if (docPath !== oldTarget && !docPath.startsWith(prefix)) continue;
+
+        const newDocPath = newTarget + docPath.slice(oldTarget.length);
+        removeDocument(docPath);
+        if (isIndexable(newDocPath)) {
+          await indexFromDisk(newDocPath);
+        }
+      }
+
+      // A file may have become searchable by its new name (e.g. "note" -> "note.md")
+      if (!documents.has(newTarget) && isIndexable(newTarget)) {
+        await indexFromDisk(newTarget);
+      }
+
+      scheduleSave();
+    });
+
+  // All index terms matching a query term exactly or (optionally) by prefix or substring
+  const expandTerm = (queryTerm, partial) => {
+    if (!partial) {
+      return postings.has(queryTerm) ? [[queryTerm, 1]] : [];
+    }
+
+    if (!sortedTerms) sortedTerms = [...postings.keys()].sort();
+
+    const expansions = [];
+    for (let i = lowerBound(sortedTerms, queryTerm); i < sortedTerms.length; i++) {
+      const term = sortedTerms[i];
+      if (!term.startsWith(queryTerm)) break;
+      expansions.push([term, term === queryTerm ? 1 : PREFIX_MATCH_WEIGHT]);
+    }
+
+    if (queryTerm.length >= SUBSTRING_MIN_LENGTH) {
+      for (const term of sortedTerms) {
+        if (!term.startsWith(queryTerm) && term.includes(queryTerm)) {
+          expansions.push([term, SUBSTRING_MATCH_WEIGHT]);
+        }
+      }
+    }
+    return expansions;
+  };
+
+  // Rank documents containing every query term (BM25, partial matches weighted down)
+  const rankDocuments = (queryTerms, partial) => {
+    const documentCount = documents.size;
+    const averageLength = documentCount > 0 ? totalLength / documentCount : 0;
+    let scores = null;
+
+    for (const queryTerm of queryTerms) {
+      const termScores = new Map();
+
+      for (const [term, weight] of expandTerm(queryTerm, partial)) {
+        const docs = postings.get(term);
+        const idf = Math.log(1 + (documentCount - docs.size + 0.5) / (docs.size + 0.5));
+
+        for (const [docPath, frequency] of docs) {
+          const length = documents.get(docPath).length;
+          const normalization = BM25_K1 * (1 - BM25_B + (BM25_B * length) / (averageLength || 1));
+          const score = (weight * idf * (frequency * (BM25_K1 + 1))) / (frequency + normalization);
+          termScores.set(docPath, Math.max(termScores.get(docPath) || 0, score));
+        }
+      }
+
+      if (!scores) {
+        scores = termScores;
+      } else {
+        // Documents must contain all query terms
+        for (const [docPath, score] of scores) {
+          if (termScores.has(docPath)) {
+            scores.set(docPath, score + termScores.get(docPath));
+          } else {
+            scores.delete(docPath);
+          }
+        }
+      }
+    }
+
+    return [...(scores || new Map())]
+      .map(([docPath, score]) => ({ relativePath: docPath, score }))
+      .sort((a, b) => b.score - a.score || a.relativePath.localeCompare(b.relativePath));
+  };
+
+  /**
+   * Search the index. Resolves to `[{ relativePath, score, contexts }]` ordered by relevance,
+   * at most `limit` notes for which `include(relativePath)` returns true.
+   *
+   * Every term of the query must occur in a note; the terms also match by prefix and inside
+   * of words unless `wholeWord` is set. Previews prefer lines containing the literal query
+   * and fall back to lines containing any of the terms. With `caseSensitive` or `wholeWord`,
+   * notes are only returned if the literal query matches under those options. Only the best
+   * ranked notes are read for previews, so fewer than `limit` notes may be returned then.
+   */
+  const search = async (
+    query,
+    {
+      caseSensitive = false,
+      wholeWord = false,
+      scope = '',
+      include = () => true,
+      limit = DEFAULT_RESULT_LIMIT
+    } = {}
+  ) => {
+    await queue;
+
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) return null;
+
+    const scopeRelative = scope ? toRelative(scope) : '';
+    const scopePrefix = scopeRelative ? `${scopeRelative}${path.sep}` : '';
+    const candidates = rankDocuments(queryTerms, !wholeWord)
+      .filter(
+        ({ relativePath }) =>
+          (!scopePrefix || relativePath.startsWith(scopePrefix)) && include(relativePath)
+      )
+      .slice(0, limit * CANDIDATES_PER_RESULT);
+
+    const literalMatcher = buildMatcher(query, { caseSensitive, wholeWord });
+    const termMatcher = new RegExp(`(?:${queryTerms.map(escapeRegExp).join('|')})`, 'iu');
+    const strict = caseSensitive || wholeWord;
+    const results = [];
+
+    for (const { relativePath, score } of candidates) {
+      if (results.length >= limit) break;
+
+      let content;
+      try {
+        content = await fs.readFile(path.join(resolvedRoot, relativePath), 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      let contexts = extractContexts(content, literalMatcher);
+      if (contexts.length === 0 && !strict) {
+        contexts = extractContexts(content, termMatcher);
+      }
+      if (contexts.length > 0) {
+        results.push({ relativePath, score, contexts });
+      }
+    }
+
+    return results;
+  };
+
+  return {
+    initialize,
+    updateFile,
+    updateDirectory,
+    removePath,
+    movePath,
+    search
+  };
+};
+
+module.exports = {
+  createSearchIndex,
+  tokenize
+};
@@ -0,0 +1,100 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const SEARCHABLE_EXTENSIONS = ['.md', '.markdown', '.txt'];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isSearchableFile = (fileName) =>
+  SEARCHABLE_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+
+// Build the line matcher for a query, honoring the same options as the search UI
+const buildMatcher = (query, { caseSensitive = false, wholeWord = false } = {}) => {
+  const escaped = escapeRegExp(query);
+  // Word boundaries are based on letters/digits so that "note" does not match "notes"
+  const source = wholeWord ? `(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])` : escaped;
+
+  return new RegExp(source, caseSensitive ? 'u' : 'iu');
+};
+
+// Recursively collect searchable files below a directory (relative paths, dotfiles skipped)
+const collectSearchableFiles = async (dirPath, basePath = '') => {
+  const files = [];
+
+  let dirEntries;
+  try {
+    dirEntries = await fs.readdir(dirPath, { withFileTypes: true });
+  } catch (error) {
+    console.error(`Error reading directory ${dirPath}:`, error);
+    return files;
+  }
+
+  const sortedEntries = dirEntries
+    .filter((entry) => !entry.name.startsWith('.'))
+    .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+
+  for (const entry of sortedEntries) {
+    const relativePath = basePath ? path.join(basePath, entry.name) : entry.name;
+
+    if (entry.isDirectory()) {
+      files.push(...(await collectSearchableFiles(path.join(dirPath, entry.name), relativePath)));
+    } else if (isSearchableFile(entry.name)) {
+      files.push(relativePath);
+    }
+  }
+
+  return files;
+};
+
+// Return one preview (the matching line plus one line above and below) per matching line
+const extractContexts = (content, matcher) => {
+  const lines = content.split('\n');
+  const contexts = [];
+
+  lines.forEach((line, index) => {
+    if (matcher.test(line)) {
+      const startLine = Math.max(0, index - 1);
+      const endLine = Math.min(lines.length - 1, index + 1);
+      contexts.push(lines.slice(startLine, endLine + 1).join('\n'));
+    }
+  });
+
+  return contexts;
+};
+
+/**
+ * Scan every searchable file below `rootDir` for `query`.
+ * Resolves to `[{ relativePath, contexts }]` for each file with at least one match.
+ */
+const searchDirectory = async (rootDir, query, options = {}) => {
+  const matcher = buildMatcher(query, options);
+  const files = await collectSearchableFiles(rootDir);
+  const results = [];
+
+  for (const relativePath of files) {
+    let content;
+    try {
+      content = await fs.readFile(path.join(rootDir, relativePath), 'utf8');
+    } catch (error) {
+      // The file may have been removed while scanning
+      if (error.code === 'ENOENT') continue;
+      throw error;
+    }
+
+    const contexts = extractContexts(content, matcher);
+    if (contexts.length > 0) {
+      results.push({ relativePath, contexts });
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  buildMatcher,
+  collectSearchableFiles,
+  escapeRegExp,
+  extractContexts,
+  isSearchableFile,
+  searchDirectory
+};
@@ -0,0 +1,179 @@
+const YAML = require('yaml');
+const { parseFrontmatter, splitFrontmatter } = require('./frontmatter');
+const { createNoteIndex } = require('./note-index');
+
+// "#tag" and nested "#tag/subtag" at the start of a line or after whitespace; a tag needs at
+// least one character that isn't a digit ("#1" is no tag)
+const TAG_PATTERN = /(?:^|\s)#([\p{L}\p{N}_/-]*[\p{L}_/-][\p{L}\p{N}_/-]*)/gu;
+const TAG_NAME_PATTERN = /^[\p{L}\p{N}_-]*[\p{L}_-][\p{L}\p{N}_-]*$/u;
+const FENCE_PATTERN = /^\s{0,3}(`{3,}|~{3,})/;
+const INLINE_CODE_PATTERN = /(`+)[^`]*?\1/g;
+
+// Frontmatter properties that hold tags
+const TAG_PROPERTIES = ['tags', 'tag'];
+
+// Tags are case-insensitive and may be written with "#" and a trailing "/"
+const normalizeTag = (tag) => tag.replace(/^#/, '').replace(/\/+$/, '').toLowerCase();
+
+// A tag without "#": names of letters, digits, "_" and "-", nested with "/" ("project/haptic")
+const isValidTag = (tag) =>
+  typeof tag === 'string' && tag.split('/').every((part) => TAG_NAME_PATTERN.test(part));
+
+// Whether `tag` is `parent` or nested below it
+const isTagWithin = (tag, parent) => tag === parent || tag.startsWith(`${parent}/`);
+
+/**
+ * The inline tags of markdown (without frontmatter), ignoring code. Returns
+ * [{ tag, start, end }] with the offsets of the tag name (without "#") as written.
+ */
+const scanInlineTags = (markdown) => {
+  const tags = [];
+  let fence = null;
+  let offset = 0;
+
+  for (const line of markdown.split('\n')) {
+    const lineStart = offset;
+    offset += line.length + 1;
+
+    const fenceMatch = line.match(FENCE_PATTERN);
+    if (fence) {
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+        fence = null;
+      }
+      continue;
+    }
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      continue;
+    }
+
+    // Blank out inline code, keeping the offsets
+    const text = line.replace(INLINE_CODE_PATTERN, (code) => ' '.repeat(code.length));
+    for (const match of text.matchAll(TAG_PATTERN)) {
+      const name = match[1].replace(/\/+$/, '');
+      if (!name) continue;
+      const start = lineStart + match.index + match[0].length - match[1].length;
+      tags.push({ tag: name, start, end: start + name.length });
+    }
+  }
+
+  return tags;
+};
+
+// The tags of a frontmatter value: a list, or text with tags separated by commas or spaces
+const splitTagValue = (value) => {
+  if (Array.isArray(value)) return value.filter((item) => typeof item === 'string');
+  return typeof value === 'string' ? value.split(/[,\s]+/) : [];
+};
+
+/**
+ * The tags of markdown content, from the text ("#tag") and from the "tags" (or "tag")
+ * frontmatter property, lowercased and sorted.
+ */
+const parseTags = (content) => {
+  const block = splitFrontmatter(content);
+  const body = block ? content.slice(block.end) : content;
+  const { properties } = parseFrontmatter(content);
+
+  const tags = new Set(scanInlineTags(body).map(({ tag }) => normalizeTag(tag)));
+  for (const property of TAG_PROPERTIES) {
+    for (const tag of splitTagValue(properties[property]).map(normalizeTag)) {
+      if (isValidTag(tag)) tags.add(tag);
+    }
+  }
+
+  return [...tags].sort();
+};
+
+/**
+ * Rename the tag `from` (and the tags nested below it) to `to` in markdown content, in the
+ * text and in the frontmatter. Renaming to an existing tag merges the two; tags that end up
+ * twice in a frontmatter list are removed. Returns the content, unchanged if it doesn't have
+ * the tag.
+ */
+const renameTag = (content, from, to) => {
+  const rename = (tag) => {
+    const normalized = normalizeTag(tag);
+    if (!isTagWithin(normalized, from)) return null;
+    return `${tag.startsWith('#') ? '#' : ''}${to}${normalized.slice(from.length)}`;
+  };
+
+  const block = splitFrontmatter(content);
+  const head = block ? content.slice(0, block.end) : '';
+  let body = block ? content.slice(block.end) : content;
+
+  // Inline tags, from the last so the offsets stay valid
+  for (const { tag, start, end } of scanInlineTags(body).reverse()) {
+    const renamed = rename(tag);
+    if (renamed !== null) body = body.slice(0, start) + renamed + body.slice(end);
+  }
+
+  if (!block) return body;
+
+  const doc = YAML.parseDocument(block.yaml);
+  if (doc.errors.length > 0 || !YAML.isMap(doc.contents)) return head + body;
+
+  let changed = false;
+  for (const property of TAG_PROPERTIES) {
+    const node = doc.get(property, true);
+
+    if (YAML.isSeq(node)) {
+      const seen = new Set();
+      node.items = node.items.filter((item) => {
+        if (!YAML.isScalar(item) || typeof item.value !== 'string') return true;
+
+        const renamed = rename(item.value);
+        if (renamed !== null) {
+          item.value = renamed;
+          changed = true;
+        }
+        const tag = normalizeTag(item.value);
+        if (seen.has(tag)) {
+          changed = true;
+          return false;
+        }
+        seen.add(tag);
+        return true;
+      });
+    } else if (YAML.isScalar(node) && typeof node.value === 'string') {
+      const renamed = node.value.replace(/[^,\s]+/g, (tag) => rename(tag) ?? tag);
+      if (renamed !== node.value) {
+        node.value = renamed;
+        changed = true;
+      }
+    }
+  }
+
+  if (!changed) return head + body;
+  return `---\n${doc.toString({ flowCollectionPadding: false })}---\n${body}`;
+};
+
+/**
+ * Tags of the notes in a directory, parsed when they are listed (see createNoteIndex).
+ */
+const createTagIndex = (rootDir) => {
+  const index = createNoteIndex(rootDir, parseTags, () => []);
+
+  /**
+   * The tags of every note below `fsPath` (default: the root). Resolves to
+   * [{ relativePath, tags }] ordered by path; notes without tags are left out.
+   */
+  const list = async (fsPath) =>
+    (await index.list(fsPath))
+      .filter(({ value }) => value.length > 0)
+      .map(({ relativePath, value }) => ({ relativePath, tags: value }));
+
+  return {
+    list
+  };
+};
+
+module.exports = {
+  TAG_PATTERN,
+  createTagIndex,
+  isTagWithin,
+  isValidTag,
+  normalizeTag,
+  parseTags,
+  renameTag
+};
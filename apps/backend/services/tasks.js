@@ -0,0 +1,106 @@
+const { createNoteIndex } = require('./note-index');
+const { TAG_PATTERN } = require('./tags');
+
+// "- [ ] Task", "* [x] Task", "1. [ ] Task"; the checkbox is group 2
+const TASK_PATTERN = /^(\s*(?:[-*+]|\d+[.)])\s+\[)([ xX])\](?:\s+(.*))?$/;
+const FENCE_PATTERN = /^\s{0,3}(`{3,}|~{3,})/;
+const DUE_PATTERN = /(?:^|\s)(?:due:|📅\s*)(\d{4}-\d{2}-\d{2})(?=\s|$)/u;
+const PRIORITY_PATTERN = /(?:^|\s)priority:(high|medium|low)(?=\s|$)/i;
+const PRIORITY_EMOJIS = { '⏫': 'high', '🔼': 'medium', '🔽': 'low' };
+const INLINE_CODE_PATTERN = /(`+)[^`]*?\1/g;
+
+const parsePriority = (text) => {
+  const match = text.match(PRIORITY_PATTERN);
+  if (match) return match[1].toLowerCase();
+
+  const emoji = Object.keys(PRIORITY_EMOJIS).find((candidate) => text.includes(candidate));
+  return emoji ? PRIORITY_EMOJIS[emoji] : null;
+};
+
+/**
+ * Extract the tasks (list items with a checkbox) from markdown content, ignoring code blocks.
+ * Returns [{ line, text, done, due, priority, tags }] with 1-based line numbers. Metadata is
+ * read from the task text: "due:2026-11-01" (or "📅 2026-11-01"), "priority:high|medium|low"
+ * (or ⏫ 🔼 🔽) and #tags; the text is returned as written.
+ */
+const parseTasks = (content) => {
+  const tasks = [];
+  let fence = null;
+
+  content.split('\n').forEach((rawLine, index) => {
+    const line = rawLine.replace(/\r$/, '');
+
+    const fenceMatch = line.match(FENCE_PATTERN);
+    if (fence) {
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+        fence = null;
+      }
+      return;
+    }
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      return;
+    }
+
+    const match = line.match(TASK_PATTERN);
+    if (!match) return;
+
+    const text = (match[3] || '').trim();
+    const metadata = text.replace(INLINE_CODE_PATTERN, ' ');
+    tasks.push({
+      line: index + 1,
+      text,
+      done: match[2] !== ' ',
+      due: metadata.match(DUE_PATTERN)?.[1] ?? null,
+      priority: parsePriority(metadata),
+      tags: [...new Set([...metadata.matchAll(TAG_PATTERN)].map((tag) => tag[1].toLowerCase()))]
+    });
+  });
+
+  return tasks;
+};
+
+/**
+ * Tick off (or reopen) the task on a 1-based line of markdown content. Only the checkbox
+ * changes; the rest of the content is returned as is. Returns null if there is no task on
+ * that line, or if `text` is given and differs from the text of the task.
+ */
+const setTaskDone = (content, line, done, text) => {
+  const task = parseTasks(content).find((candidate) => candidate.line === line);
+  if (!task || (typeof text === 'string' && text.trim() !== task.text)) return null;
+
+  const lines = content.split('\n');
+  const match = lines[line - 1].match(TASK_PATTERN);
+  const checkboxIndex = match[1].length;
+  lines[line - 1] =
+    lines[line - 1].slice(0, checkboxIndex) +
+    (done ? 'x' : ' ') +
+    lines[line - 1].slice(checkboxIndex + 1);
+  return lines.join('\n');
+};
+
+/**
+ * Tasks of the notes in a directory, parsed when they are listed (see createNoteIndex).
+ */
+const createTaskIndex = (rootDir) => {
+  const index = createNoteIndex(rootDir, parseTasks, () => []);
+
+  /**
+   * The tasks of every note below `fsPath` (default: the root). Resolves to
+   * [{ relativePath, ...task }] ordered by path and line.
+   */
+  const list = async (fsPath) =>
+    (await index.list(fsPath)).flatMap(({ relativePath, value }) =>
+      value.map((task) => ({ relativePath, ...task }))
+    );
+
+  return {
+    list
+  };
+};
+
+module.exports = {
+  createTaskIndex,
+  parseTasks,
+  setTaskDone
+};
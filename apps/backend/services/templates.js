@@ -0,0 +1,134 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const NOTE_EXTENSIONS = ['.md', '.markdown'];
+const BUILTIN_VARIABLES = ['title', 'date', 'time'];
+
+// "{{name}}" or "{{name:argument}}"; names may contain spaces ("{{Project name}}")
+const PLACEHOLDER_PATTERN = /\{\{\s*([\p{L}\p{N}_-]+(?: [\p{L}\p{N}_-]+)*)\s*(?::([^}]*))?\}\}/gu;
+
+// Date format tokens, longest first so "MM" isn't read as two "M"
+const DATE_TOKEN_PATTERN = /YYYY|MM|DD|HH|mm/g;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Format a date with the tokens YYYY, MM, DD, HH and mm; everything else is kept as is
+const formatDate = (date, format) =>
+  format.replace(DATE_TOKEN_PATTERN, (token) => {
+    switch (token) {
+      case 'YYYY':
+        return String(date.getFullYear());
+      case 'MM':
+        return pad(date.getMonth() + 1);
+      case 'DD':
+        return pad(date.getDate());
+      case 'HH':
+        return pad(date.getHours());
+      default:
+        return pad(date.getMinutes());
+    }
+  });
+
+/**
+ * Fill in the placeholders of a note template:
+ * - `{{title}}`: the title of the new note
+ * - `{{date}}` and `{{time}}`: the date (YYYY-MM-DD) and time (HH:mm) of `date`
+ * - `{{date:FORMAT}}`: `date` in a custom format, e.g. `{{date:DD.MM.YYYY}}`
+ * - `{{name}}`: the value of `variables[name]`, e.g. answers to the prompts of the template
+ * Unknown placeholders are kept as written.
+ */
+const renderTemplate = (content, { title = '', date = new Date(), variables = {} } = {}) =>
+  content.replace(PLACEHOLDER_PATTERN, (match, name, format) => {
+    if (name === 'title') return title;
+    if (name === 'date' || name === 'time') {
+      if (format) return formatDate(date, format.trim());
+      return formatDate(date, name === 'date' ? 'YYYY-MM-DD' : 'HH:mm');
+    }
+    return Object.hasOwn(variables, name) ? String(variables[name]) : match;
+  });
+
+// The custom placeholders of a template (see renderTemplate), in order of appearance
+const templateVariables = (content) => [
+  ...new Set(
+    [...content.matchAll(PLACEHOLDER_PATTERN)]
+      .map((match) => match[1])
+      .filter((name) => !BUILTIN_VARIABLES.includes(name))
+  )
+];
+
+const isNoteFile = (fileName) => NOTE_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+
+/**
+ * Note templates: the notes in the folder `directory` (relative to `rootDir`) and its
+ * subfolders. A template is named after its path in that folder without the extension, e.g.
+ * "Meeting" or "Work/Weekly review".
+ */
+const createTemplates = (rootDir, { directory = 'Templates' } = {}) => {
+  const templatesDir = path.resolve(rootDir, directory);
+
+  // [{ name, fsPath }] of every template, sorted by name
+  const collect = async (dirPath = templatesDir) => {
+    let dirEntries;
+    try {
+      dirEntries = await fs.readdir(dirPath, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const templates = [];
+    for (const entry of dirEntries) {
+      if (entry.name.startsWith('.')) continue;
+
+      const fsPath = path.join(dirPath, entry.name);
+      if (entry.isDirectory()) {
+        templates.push(...(await collect(fsPath)));
+      } else if (isNoteFile(entry.name)) {
+        const relativePath = path.relative(templatesDir, fsPath).split(path.sep).join('/');
+        templates.push({ name: relativePath.slice(0, -path.extname(relativePath).length), fsPath });
+      }
+    }
+    return templates.sort((a, b) => a.name.localeCompare(b.name));
+  };
+
+  // Every template as { name, fsPath, variables }
+  const list = async () => {
+    const results = [];
+    for (const template of await collect()) {
+      try {
+        const content = await fs.readFile(template.fsPath, 'utf8');
+        results.push({ ...template, variables: templateVariables(content) });
+      } catch (error) {
+        // Deleted while listing
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    return results;
+  };
+
+  // The template of a name as { name, fsPath, content }, or null if there is none
+  const read = async (name) => {
+    const template = (await collect()).find((candidate) => candidate.name === name);
+    if (!template) return null;
+
+    try {
+      return { ...template, content: await fs.readFile(template.fsPath, 'utf8') };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  return {
+    directory: templatesDir,
+    list,
+    read
+  };
+};
+
+module.exports = {
+  createTemplates,
+  formatDate,
+  renderTemplate,
+  templateVariables
+};
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { findFreePath } = require('./files');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createId = () => `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * Recoverable trash of a directory (the "haptic" trash_dir mode).
+ *
+ * Deleted files and folders are moved to `<rootDir>/.haptic/trash/<itemId>/<name>` and
+ * recorded in `<rootDir>/.haptic/trash/index.json` with their original path (relative to
+ * `rootDir`) and deletion time. Items older than `retentionDays` are purged by
+ * `purgeExpired` (0 keeps items until they are purged explicitly).
+ */
+const createTrash = (rootDir, { retentionDays = 30 } = {}) => {
+  const resolvedRoot = path.resolve(rootDir);
+  const trashDir = path.join(resolvedRoot, '.haptic', 'trash');
+  const indexFile = path.join(trashDir, 'index.json');
+
+  // [{ id, name, originalPath, type, deletedAt }] (oldest first)
+  let items = [];
+  let queue = Promise.resolve();
+
+  // Serialize all access to the trash; results and failures are passed on to the caller
+  const enqueue = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const itemPath = (item) => path.join(trashDir, item.id, item.name);
+
+  const withExpiry = (item) => ({
+    ...item,
+    expiresAt:
+      retentionDays > 0
+        ? new Date(Date.parse(item.deletedAt) + retentionDays * DAY_MS).toISOString()
+        : null
+  });
+
+  const save = async () => {
+    await fs.mkdir(trashDir, { recursive: true });
+    const tempFile = `${indexFile}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify({ items }, null, 2), 'utf8');
+    await fs.rename(tempFile, indexFile);
+  };
+
+  const initialize = () =>
+    enqueue(async () => {
+      try {
+        const raw = JSON.parse(await fs.readFile(indexFile, 'utf8'));
+        items = Array.isArray(raw.items) ? raw.items : [];
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error('Error reading trash index:', error.message);
+        }
+        items = [];
+      }
+    });
+
+  // Move a file or folder into the trash
+  const moveToTrash = (fsPath) =>
+    enqueue(async () => {
+      const resolvedPath = path.resolve(fsPath);
+      const stats = await fs.stat(resolvedPath);
+      const item = {
+        id: createId(),
+        name: path.basename(resolvedPath),
+        originalPath: path.relative(resolvedRoot, resolvedPath),
+        type: stats.isDirectory() ? 'directory' : 'file',
+        deletedAt: new Date().toISOString()
+      };
+
+      await fs.mkdir(path.join(trashDir, item.id), { recursive: true });
+      await fs.rename(resolvedPath, itemPath(item));
+      items.push(item);
+      await save();
+
+      return withExpiry(item);
+    });
+
+  // Items in the trash, most recently deleted first
+  const list = () => enqueue(() => [...items].reverse().map(withExpiry));
+
+  const get = (id) =>
+    enqueue(() => {
+      const item = items.find((candidate) => candidate.id === id);
+      return item ? withExpiry(item) : null;
+    });
+
+  // Move an item back to its original location. If that path is taken by now, the item is
+  // restored next to it under a numbered name. Returns { item, fsPath } or null.
+  const restore = (id) =>
+    enqueue(async () => {
+      const item = items.find((candidate) => candidate.id === id);
+      if (!item) return null;
+
+      const fsPath = await findFreePath(path.join(resolvedRoot, item.originalPath));
+      await fs.mkdir(path.dirname(fsPath), { recursive: true });
+      await fs.rename(itemPath(item), fsPath);
+      await fs.rm(path.join(trashDir, item.id), { recursive: true, force: true });
+
+      items = items.filter((candidate) => candidate !== item);
+      await save();
+
+      return { item: withExpiry(item), fsPath };
+    });
+
+  const purgeItems = async (purged) => {
+    if (purged.length === 0) return [];
+
+    for (const item of purged) {
+      await fs.rm(path.join(trashDir, item.id), { recursive: true, force: true });
+    }
+    items = items.filter((item) => !purged.includes(item));
+    await save();
+
+    return purged.map(withExpiry);
+  };
+
+  // Permanently delete an item; returns the purged item or null
+  const purge = (id) =>
+    enqueue(async () => {
+      const [purged] = await purgeItems(items.filter((item) => item.id === id));
+      return purged || null;
+    });
+
+  // Permanently delete all items
+  const empty = () => enqueue(() => purgeItems([...items]));
+
+  // Permanently delete the items that were deleted more than `retentionDays` ago
+  const purgeExpired = () =>
+    enqueue(() => {
+      if (retentionDays <= 0) return [];
+
+      const minDeletedAt = Date.now() - retentionDays * DAY_MS;
+      return purgeItems(items.filter((item) => Date.parse(item.deletedAt) < minDeletedAt));
+    });
+
+  return {
+    initialize,
+    moveToTrash,
+    list,
+    get,
+    restore,
+    purge,
+    empty,
+    purgeExpired
+  };
+};
+
+module.exports = {
+  createTrash
+};
@@ -0,0 +1,308 @@
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+
+const DEFAULT_DEBOUNCE_MS = 300;
+
+const isHiddenPath = (relativePath) =>
+  relativePath.split(path.sep).some((segment) => segment.startsWith('.'));
+
+const depth = (relativePath) => relativePath.split(path.sep).length;
+
+const isSameOrInside = (relativePath, parentPath) =>
+  relativePath === parentPath || relativePath.startsWith(`${parentPath}${path.sep}`);
+
+const statOrNull = async (fsPath) => {
+  try {
+    return await fsp.stat(fsPath);
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return null;
+    throw error;
+  }
+};
+
+const toEntry = (stats) => ({
+  dev: stats.dev,
+  ino: stats.ino,
+  isDirectory: stats.isDirectory(),
+  mtimeMs: stats.mtimeMs,
+  size: stats.size
+});
+
+/**
+ * Recursive watcher for changes made to a directory outside of the API (editors, git,
+ * sync tools, ...).
+ *
+ * Raw `fs.watch` events are collected for `debounceMs` and then compared against a
+ * snapshot of the tree, so a burst of events for one file results in a single change.
+ * New or removed directories are reported once instead of once per contained file, and
+ * a removal and creation of the same inode within one batch is reported as a rename.
+ *
+ * The server's own writes are not reported: route handlers call `sync(fsPath)` after
+ * touching the disk, which records the new state in the snapshot so that the following
+ * watch events compare as unchanged. Hidden files and folders (like `.haptic`) are ignored.
+ *
+ * `onChange` receives `{ changeType, relativePath, oldRelativePath, isDirectory }` where
+ * `changeType` is 'created', 'updated', 'deleted' or 'renamed'.
+ */
+const createVolumeWatcher = (rootDir, { debounceMs = DEFAULT_DEBOUNCE_MS, onChange } = {}) => {
+  const resolvedRoot = path.resolve(rootDir);
+
+  // relativePath -> { dev, ino, isDirectory, mtimeMs, size }
+  const known = new Map();
+  const pending = new Set();
+  let watcher = null;
+  let flushTimeout = null;
+  let queue = Promise.resolve();
+
+  const enqueue = (task) => {
+    queue = queue.then(task).catch((error) => console.error('Volume watcher failed:', error));
+    return queue;
+  };
+
+  const toAbsolute = (relativePath) => path.join(resolvedRoot, relativePath);
+
+  // Record a path (and everything below it) in the snapshot
+  const remember = async (relativePath, stats) => {
+    known.set(relativePath, toEntry(stats));
+    if (!stats.isDirectory()) return;
+
+    let dirEntries;
+    try {
+      dirEntries = await fsp.readdir(toAbsolute(relativePath), { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const entry of dirEntries) {
+      if (entry.name.startsWith('.')) continue;
+
+      const childPath = relativePath ? path.join(relativePath, entry.name) : entry.name;
+      const childStats = await statOrNull(toAbsolute(childPath));
+      if (childStats) await remember(childPath, childStats);
+    }
+  };
+
+  // List all non-hidden paths below a directory
+  const collectPaths = async (relativePath) => {
+    const paths = [];
+
+    let dirEntries;
+    try {
+      dirEntries = await fsp.readdir(toAbsolute(relativePath), { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return paths;
+      throw error;
+    }
+
+    for (const entry of dirEntries) {
+      if (entry.name.startsWith('.')) continue;
+
+      const childPath = relativePath ? path.join(relativePath, entry.name) : entry.name;
+      paths.push(childPath);
+      if (entry.isDirectory()) paths.push(...(await collectPaths(childPath)));
+    }
+
+    return paths;
+  };
+
+  // Drop a path (and everything below it) from the snapshot
+  const forget = (relativePath) => {
+    for (const knownPath of [...known.keys()]) {
+      if (isSameOrInside(knownPath, relativePath)) known.delete(knownPath);
+    }
+  };
+
+  const flush = async () => {
+    const paths = [...pending].sort((a, b) => depth(a) - depth(b));
+    pending.clear();
+
+    const created = new Map();
+    const deleted = new Map();
+    const updated = [];
+    const covered = [];
+    const isCovered = (relativePath) =>
+      covered.some((coveredPath) => isSameOrInside(relativePath, coveredPath));
+
+    for (const relativePath of paths) {
+      if (isCovered(relativePath)) continue;
+
+      const stats = await statOrNull(toAbsolute(relativePath));
+      const previous = known.get(relativePath);
+
+      if (stats && previous && previous.isDirectory === stats.isDirectory()) {
+        // Directory modification times change with their contents; only files are "updated"
+        if (
+          !stats.isDirectory() &&
+          (previous.mtimeMs !== stats.mtimeMs || previous.size !== stats.size)
+        ) {
+          known.set(relativePath, toEntry(stats));
+          updated.push(relativePath);
+        }
+        continue;
+      }
+
+      if (previous) {
+        // Removed (or replaced by an entry of a different type): report the top-most
+        // removed ancestor only
+        let top = relativePath;
+        while (path.dirname(top) !== '.' && known.has(path.dirname(top))) {
+          if (await statOrNull(toAbsolute(path.dirname(top)))) break;
+          top = path.dirname(top);
+        }
+        deleted.set(top, known.get(top));
+        forget(top);
+        covered.push(top);
+      }
+
+      if (stats) {
+        // Added: report the top-most ancestor that was not known before
+        let top = relativePath;
+        while (path.dirname(top) !== '.' && !known.has(path.dirname(top))) {
+          top = path.dirname(top);
+        }
+        if (created.has(top)) continue;
+
+        const topStats = top === relativePath ? stats : await statOrNull(toAbsolute(top));
+        if (!topStats) continue;
+
+        await remember(top, topStats);
+        created.set(top, known.get(top));
+        covered.push(top);
+      }
+    }
+
+    const changes = [];
+
+    // Pair removals and creations of the same inode into renames
+    for (const [newPath, newEntry] of created) {
+      for (const [oldPath, oldEntry] of deleted) {
+        if (oldEntry.dev === newEntry.dev && oldEntry.ino === newEntry.ino) {
+          changes.push({
+            changeType: 'renamed',
+            relativePath: newPath,
+            oldRelativePath: oldPath,
+            isDirectory: newEntry.isDirectory
+          });
+          created.delete(newPath);
+          deleted.delete(oldPath);
+          break;
+        }
+      }
+    }
+
+    for (const [relativePath, entry] of deleted) {
+      changes.push({ changeType: 'deleted', relativePath, isDirectory: entry.isDirectory });
+    }
+    for (const [relativePath, entry] of created) {
+      changes.push({ changeType: 'created', relativePath, isDirectory: entry.isDirectory });
+    }
+    for (const relativePath of updated) {
+      changes.push({ changeType: 'updated', relativePath, isDirectory: false });
+    }
+
+    for (const change of changes) {
+      try {
+        onChange(change);
+      } catch (error) {
+        console.error('Error handling volume change:', error);
+      }
+    }
+  };
+
+  const rescan = async () => {
+    for (const knownPath of known.keys()) pending.add(knownPath);
+    for (const currentPath of await collectPaths('')) pending.add(currentPath);
+    scheduleFlush();
+  };
+
+  const scheduleFlush = () => {
+    if (flushTimeout) clearTimeout(flushTimeout);
+    flushTimeout = setTimeout(() => {
+      flushTimeout = null;
+      enqueue(flush);
+    }, debounceMs);
+  };
+
+  const handleEvent = (eventType, filename) => {
+    if (!filename) {
+      // The platform did not report which entry changed: compare the whole tree
+      enqueue(rescan);
+      return;
+    }
+
+    const relativePath = path.normalize(filename.toString());
+    if (!relativePath || relativePath === '.' || isHiddenPath(relativePath)) return;
+
+    pending.add(relativePath);
+    scheduleFlush();
+  };
+
+  // Take the initial snapshot and start watching
+  const start = () =>
+    enqueue(async () => {
+      if (watcher) return;
+
+      const rootStats = await statOrNull(resolvedRoot);
+      if (!rootStats) {
+        console.error(`Volume watcher not started: ${resolvedRoot} does not exist`);
+        return;
+      }
+
+      known.clear();
+      await remember('', rootStats);
+      known.delete('');
+
+      try {
+        watcher = fs.watch(resolvedRoot, { recursive: true }, handleEvent);
+      } catch (error) {
+        console.error('Volume watcher could not be started:', error.message);
+        return;
+      }
+
+      watcher.on('error', (error) => {
+        console.error('Volume watcher error:', error);
+        stop();
+      });
+
+      console.log(`Watching ${resolvedRoot} for external changes (${known.size} entries)`);
+    });
+
+  const stop = () => {
+    if (flushTimeout) clearTimeout(flushTimeout);
+    flushTimeout = null;
+    pending.clear();
+    if (watcher) {
+      watcher.close();
+      watcher = null;
+    }
+  };
+
+  // Record the current on-disk state of a path changed by the server itself
+  const sync = (fsPath) =>
+    enqueue(async () => {
+      const relativePath = path.relative(resolvedRoot, path.resolve(fsPath));
+      if (!relativePath || relativePath.startsWith('..') || isHiddenPath(relativePath)) return;
+
+      // Directories created along the way (e.g. by a recursive mkdir) belong to the same change
+      let top = relativePath;
+      while (path.dirname(top) !== '.' && !known.has(path.dirname(top))) {
+        top = path.dirname(top);
+      }
+
+      forget(top);
+      const stats = await statOrNull(toAbsolute(top));
+      if (stats) await remember(top, stats);
+    });
+
+  return {
+    start,
+    stop,
+    sync
+  };
+};
+
+module.exports = {
+  createVolumeWatcher
+};
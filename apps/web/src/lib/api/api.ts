@@ -1,17 +1,96 @@
-const BACKEND_API_URL = import.meta.env.VITE_BACKEND_API_URL || 'http://localhost:3000';
+import { authRequired, collection, collectionSettings } from '@/store';
+import { get } from 'svelte/store';
+import type {
+	BacklinkParams,
+	BackupEntry,
+	BackupSchedule,
+	DailyNoteEntry,
+	GitStatus,
+	ImportResult,
+	NoteProperties,
+	NotePropertiesEntry,
+	NoteTemplate,
+	TagEntry,
+	TaggedNoteEntry,
+	TaskEntry,
+	TaskFilterParams
+} from '@/types';
 
-export const saveNoteToBackend = async (path: string, markdown: string) => {
-	const response = await fetch(`${BACKEND_API_URL}/markdown`, {
+export const BACKEND_API_URL = import.meta.env.VITE_BACKEND_API_URL || 'http://localhost:3000';
+const AUTH_TOKEN_STORAGE_KEY = 'authToken';
+
+// Bearer token for the backend: the session token of the last login, falling back to the
+// API key configured at build time (if any)
+export const getAuthToken = (): string | null =>
+	window.localStorage.getItem(AUTH_TOKEN_STORAGE_KEY) ||
+	import.meta.env.VITE_BACKEND_API_KEY ||
+	null;
+
+export const setAuthToken = (token: string | null) => {
+	if (token) {
+		window.localStorage.setItem(AUTH_TOKEN_STORAGE_KEY, token);
+	} else {
+		window.localStorage.removeItem(AUTH_TOKEN_STORAGE_KEY);
+	}
+};
+
+// fetch with the bearer token; a 401 response asks the user to log in (see login-dialog.svelte)
+const backendFetch = async (url: string, init: RequestInit = {}) => {
+	const headers = new Headers(init.headers);
+	const token = getAuthToken();
+	if (token) {
+		headers.set('Authorization', `Bearer ${token}`);
+	}
+
+	const response = await fetch(url, { ...init, headers });
+	if (response.status === 401) {
+		authRequired.set(true);
+	}
+	return response;
+};
+
+// Name of the active collection ("/Haptic" -> "Haptic"), sent with every note request
+const activeCollection = () => (get(collection) ?? '').replace(/^\/+/, '');
+
+/**
+ * Thrown when a write is rejected because the note changed on the server since it was read.
+ * Carries the current server state (`content` and `etag` are null if the note was deleted).
+ */
+export class NoteConflictError extends Error {
+	constructor(
+		public path: string,
+		public serverContent: string | null,
+		public serverEtag: string | null
+	) {
+		super(`Conflict: ${path} was changed since it was last read`);
+		this.name = 'NoteConflictError';
+	}
+}
+
+// Pass the ETag of the version the note is based on to reject writes over newer changes
+export const saveNoteToBackend = async (path: string, markdown: string, etag?: string) => {
+	const headers: Record<string, string> = {
+		'Content-Type': 'application/json'
+	};
+	if (etag) {
+		headers['If-Match'] = etag;
+	}
+
+	const response = await backendFetch(`${BACKEND_API_URL}/markdown`, {
 		method: 'POST',
-		headers: {
-			'Content-Type': 'application/json'
-		},
+		headers,
 		body: JSON.stringify({
+			collection: activeCollection(),
 			path,
 			markdown
 		})
 	});
 
+	if (response.status === 409) {
+		const conflict = await response.json();
+		throw new NoteConflictError(path, conflict.content ?? null, conflict.etag ?? null);
+	}
+
 	if (!response.ok) {
 		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
 		throw new Error(`Backend API error: ${errorData.error || response.statusText}`);
@@ -21,7 +100,9 @@ export const saveNoteToBackend = async (path: string, markdown: string) => {
 };
 
 export const fetchNotesFromBackend = async (path: string) => {
-	const response = await fetch(`${BACKEND_API_URL}/markdown`);
+	const response = await backendFetch(
+		`${BACKEND_API_URL}/markdown?collection=${encodeURIComponent(activeCollection())}`
+	);
 	if (!response.ok) {
 		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
 		throw new Error(`Backend API error: ${errorData.error || response.statusText}`);
@@ -31,8 +112,8 @@ export const fetchNotesFromBackend = async (path: string) => {
 };
 
 export const fetchNoteContentFromBackend = async (path: string) => {
-	const response = await fetch(
-		`${BACKEND_API_URL}/markdown/content?path=${encodeURIComponent(path)}`
+	const response = await backendFetch(
+		`${BACKEND_API_URL}/markdown/content?path=${encodeURIComponent(path)}&collection=${encodeURIComponent(activeCollection())}`
 	);
 	if (!response.ok) {
 		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
@@ -43,8 +124,8 @@ export const fetchNoteContentFromBackend = async (path: string) => {
 
 export const fetchAllItemNames = async (dirPath: string, folder = false) => {
 	const endpoint = folder ? 'folders/names' : 'notes/names';
-	const response = await fetch(
-		`${BACKEND_API_URL}/markdown/${endpoint}?dirPath=${encodeURIComponent(dirPath)}`
+	const response = await backendFetch(
+		`${BACKEND_API_URL}/markdown/${endpoint}?dirPath=${encodeURIComponent(dirPath)}&collection=${encodeURIComponent(activeCollection())}`
 	);
 	if (!response.ok) {
 		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
@@ -55,12 +136,13 @@ export const fetchAllItemNames = async (dirPath: string, folder = false) => {
 };
 
 export const createFolderInBackend = async (path: string) => {
-	const response = await fetch(`${BACKEND_API_URL}/markdown/folder`, {
+	const response = await backendFetch(`${BACKEND_API_URL}/markdown/folder`, {
 		method: 'POST',
 		headers: {
 			'Content-Type': 'application/json'
 		},
 		body: JSON.stringify({
+			collection: activeCollection(),
 			path
 		})
 	});
@@ -74,8 +156,8 @@ export const createFolderInBackend = async (path: string) => {
 };
 
 export const deleteItemInBackend = async (path: string, recursive = false) => {
-	const response = await fetch(
-		`${BACKEND_API_URL}/markdown?path=${encodeURIComponent(path)}&recursive=${recursive}`,
+	const response = await backendFetch(
+		`${BACKEND_API_URL}/markdown?path=${encodeURIComponent(path)}&recursive=${recursive}&trash=${get(collectionSettings).notes.trash_dir}&collection=${encodeURIComponent(activeCollection())}`,
 		{
 			method: 'DELETE'
 		}
@@ -88,15 +170,19 @@ export const deleteItemInBackend = async (path: string, recursive = false) => {
 	return response.json();
 };
 
-export const renameNoteInBackend = async (path: string, name: string) => {
-	const response = await fetch(`${BACKEND_API_URL}/markdown/rename`, {
+// With `dryRun`, nothing is renamed and the result lists the notes whose links to the item
+// would be rewritten (`linkRewrites`)
+export const renameNoteInBackend = async (path: string, name: string, dryRun = false) => {
+	const response = await backendFetch(`${BACKEND_API_URL}/markdown/rename`, {
 		method: 'POST',
 		headers: {
 			'Content-Type': 'application/json'
 		},
 		body: JSON.stringify({
+			collection: activeCollection(),
 			path,
-			name
+			name,
+			dryRun
 		})
 	});
 
@@ -107,15 +193,360 @@ export const renameNoteInBackend = async (path: string, name: string) => {
 	return response.json();
 };
 
-export const moveNoteInBackend = async (sourcePath: string, targetPath: string) => {
-	const response = await fetch(`${BACKEND_API_URL}/markdown/move`, {
+// With `dryRun`, nothing is moved and the result lists the notes whose links to the item
+// would be rewritten (`linkRewrites`)
+export const moveNoteInBackend = async (sourcePath: string, targetPath: string, dryRun = false) => {
+	const response = await backendFetch(`${BACKEND_API_URL}/markdown/move`, {
 		method: 'POST',
 		headers: {
 			'Content-Type': 'application/json'
 		},
 		body: JSON.stringify({
+			collection: activeCollection(),
 			sourcePath,
-			targetPath
+			targetPath,
+			dryRun
+		})
+	});
+
+	if (!response.ok) {
+		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+		throw new Error(`Backend API error: ${errorData.error || response.statusText}`);
+	}
+	return response.json();
+};
+
+export interface UploadedAttachment {
+	path: string;
+	name: string;
+	size: number;
+	contentType: string;
+	/** Link relative to the folder of the note */
+	link: string;
+	/** Markdown to embed the attachment in the note */
+	markdown: string;
+}
+
+// Upload files as attachments of a note (stored in the attachments folder next to it)
+export const uploadAttachmentsToBackend = async (notePath: string, files: File[]) => {
+	const body = new FormData();
+	files.forEach((file) => body.append('file', file, file.name));
+
+	const response = await backendFetch(
+		`${BACKEND_API_URL}/markdown/attachments?path=${encodeURIComponent(notePath)}&collection=${encodeURIComponent(activeCollection())}`,
+		{ method: 'POST', body }
+	);
+	if (!response.ok) {
+		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+		throw new Error(`Backend API error: ${errorData.error || response.statusText}`);
+	}
+
+	const data = await response.json();
+	return data.attachments as UploadedAttachment[];
+};
+
+// Fetch an attachment; requests carry the bearer token, so the result is a Blob instead of
+// a URL that could be used directly
+export const fetchAttachmentFromBackend = async (path: string) => {
+	const response = await backendFetch(
+		`${BACKEND_API_URL}/markdown/attachments?path=${encodeURIComponent(path)}&collection=${encodeURIComponent(activeCollection())}`
+	);
+	if (!response.ok) {
+		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+		throw new Error(`Backend API error: ${errorData.error || response.statusText}`);
+	}
+	return response.blob();
+};
+
+// Export a folder (default: the whole collection) as a ZIP archive of its files, or as a
+// static HTML site packed in a ZIP archive
+export const exportFolderFromBackend = async (path?: string, format: 'zip' | 'html' = 'zip') => {
+	const params = new URLSearchParams({ format, collection: activeCollection() });
+	if (path) params.set('path', path);
+
+	const response = await backendFetch(`${BACKEND_API_URL}/markdown/export?${params}`);
+	if (!response.ok) {
+		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+		throw new Error(`Backend API error: ${errorData.error || response.statusText}`);
+	}
+	return response.blob();
+};
+
+// Import a ZIP archive (also an Obsidian vault or a Notion markdown export) into a folder
+// (default: the collection). Existing files are skipped, or kept next to the imported ones
+export const importArchiveToBackend = async (
+	file: File,
+	path?: string,
+	conflict: 'skip' | 'rename' = 'skip'
+) => {
+	const body = new FormData();
+	body.append('file', file, file.name);
+
+	const params = new URLSearchParams({ conflict, collection: activeCollection() });
+	if (path) params.set('path', path);
+
+	const response = await backendFetch(`${BACKEND_API_URL}/markdown/import?${params}`, {
+		method: 'POST',
+		body
+	});
+	if (!response.ok) {
+		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+		throw new Error(`Backend API error: ${errorData.error || response.statusText}`);
+	}
+	return (await response.json()) as ImportResult;
+};
+
+export const searchNotesInBackend = async (
+	query: string,
+	caseSensitive = false,
+	wholeWord = false
+) => {
+	const params = new URLSearchParams({
+		collection: activeCollection(),
+		query,
+		caseSensitive: String(caseSensitive),
+		wholeWord: String(wholeWord)
+	});
+	const response = await backendFetch(`${BACKEND_API_URL}/markdown/search?${params.toString()}`);
+
+	if (!response.ok) {
+		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+		throw new Error(`Backend API error: ${errorData.error || response.statusText}`);
+	}
+	return response.json();
+};
+
+// Notes linking to a note, with the lines containing the links
+export const fetchBacklinksFromBackend = async (path: string): Promise<BacklinkParams[]> => {
+	const response = await backendFetch(
+		`${BACKEND_API_URL}/markdown/backlinks?path=${encodeURIComponent(path)}&collection=${encodeURIComponent(activeCollection())}`
+	);
+	if (!response.ok) {
+		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+		throw new Error(`Backend API error: ${errorData.error || response.statusText}`);
+	}
+	const data = await response.json();
+	return data.backlinks;
+};
+
+export const fetchTasksFromBackend = async (
+	filters: TaskFilterParams = {}
+): Promise<TaskEntry[]> => {
+	const params = new URLSearchParams({ collection: activeCollection() });
+	Object.entries(filters).forEach(([key, value]) => {
+		if (value) params.set(key, value);
+	});
+	const response = await backendFetch(`${BACKEND_API_URL}/markdown/tasks?${params.toString()}`);
+
+	if (!response.ok) {
+		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+		throw new Error(`Backend API error: ${errorData.error || response.statusText}`);
+	}
+	return response.json();
+};
+
+// Tick off or reopen the task on a line of a note. The backend rejects the change if the
+// line no longer holds a task with this text
+export const setTaskDoneInBackend = async (task: TaskEntry, done: boolean) => {
+	const response = await backendFetch(`${BACKEND_API_URL}/markdown/tasks`, {
+		method: 'PATCH',
+		headers: {
+			'Content-Type': 'application/json'
+		},
+		body: JSON.stringify({
+			collection: activeCollection(),
+			path: task.path,
+			line: task.line,
+			text: task.text,
+			done
+		})
+	});
+
+	if (!response.ok) {
+		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+		throw new Error(`Backend API error: ${errorData.error || response.statusText}`);
+	}
+	return response.json();
+};
+
+// Notes with their frontmatter properties, filtered by "key=value", "key!=value", "key>value"
+// (also >=, < and <=), "key" (set) or "!key" (not set)
+export const fetchNotePropertiesFromBackend = async (
+	where: string[] = [],
+	path?: string
+): Promise<NotePropertiesEntry[]> => {
+	const params = new URLSearchParams({ collection: activeCollection() });
+	where.forEach((filter) => params.append('where', filter));
+	if (path) params.set('path', path);
+	const response = await backendFetch(
+		`${BACKEND_API_URL}/markdown/properties?${params.toString()}`
+	);
+
+	if (!response.ok) {
+		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+		throw new Error(`Backend API error: ${errorData.error || response.statusText}`);
+	}
+	return response.json();
+};
+
+// Set a frontmatter property of a note, or remove it if value is undefined
+export const setNotePropertyInBackend = async (
+	path: string,
+	key: string,
+	value?: unknown
+): Promise<{ path: string; properties: NoteProperties; etag: string }> => {
+	const response = await backendFetch(`${BACKEND_API_URL}/markdown/properties`, {
+		method: 'PATCH',
+		headers: {
+			'Content-Type': 'application/json'
+		},
+		body: JSON.stringify({
+			collection: activeCollection(),
+			path,
+			key,
+			value
+		})
+	});
+
+	if (!response.ok) {
+		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+		throw new Error(`Backend API error: ${errorData.error || response.statusText}`);
+	}
+	return response.json();
+};
+
+export const fetchTagsFromBackend = async (): Promise<TagEntry[]> => {
+	const response = await backendFetch(
+		`${BACKEND_API_URL}/markdown/tags?collection=${encodeURIComponent(activeCollection())}`
+	);
+
+	if (!response.ok) {
+		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+		throw new Error(`Backend API error: ${errorData.error || response.statusText}`);
+	}
+	return response.json();
+};
+
+// Notes with a tag or a tag nested below it
+export const fetchTaggedNotesFromBackend = async (tag: string): Promise<TaggedNoteEntry[]> => {
+	const response = await backendFetch(
+		`${BACKEND_API_URL}/markdown/tags/notes?tag=${encodeURIComponent(tag)}&collection=${encodeURIComponent(activeCollection())}`
+	);
+
+	if (!response.ok) {
+		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+		throw new Error(`Backend API error: ${errorData.error || response.statusText}`);
+	}
+	return response.json();
+};
+
+// Rename a tag (and the tags nested below it) in every note, merging it into an existing tag
+export const renameTagInBackend = async (
+	from: string,
+	to: string,
+	dryRun = false
+): Promise<{ from: string; to: string; merged: boolean; notes: string[]; skipped: string[] }> => {
+	const response = await backendFetch(`${BACKEND_API_URL}/markdown/tags/rename`, {
+		method: 'POST',
+		headers: {
+			'Content-Type': 'application/json'
+		},
+		body: JSON.stringify({
+			collection: activeCollection(),
+			from,
+			to,
+			dryRun
+		})
+	});
+
+	if (!response.ok) {
+		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+		throw new Error(`Backend API error: ${errorData.error || response.statusText}`);
+	}
+	return response.json();
+};
+
+// Daily notes from `from` to `to` (YYYY-MM-DD, inclusive, both optional), newest first
+export const fetchDailyNotesFromBackend = async (
+	from?: string,
+	to?: string
+): Promise<DailyNoteEntry[]> => {
+	const params = new URLSearchParams({ collection: activeCollection() });
+	if (from) params.set('from', from);
+	if (to) params.set('to', to);
+	const response = await backendFetch(`${BACKEND_API_URL}/markdown/daily?${params.toString()}`);
+
+	if (!response.ok) {
+		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+		throw new Error(`Backend API error: ${errorData.error || response.statusText}`);
+	}
+	return response.json();
+};
+
+// The daily note of a date, which the backend creates from the daily note template if needed
+export const getOrCreateDailyNoteInBackend = async (
+	date: string
+): Promise<DailyNoteEntry & { content: string; etag: string; created: boolean }> => {
+	const response = await backendFetch(`${BACKEND_API_URL}/markdown/daily`, {
+		method: 'POST',
+		headers: {
+			'Content-Type': 'application/json'
+		},
+		body: JSON.stringify({
+			collection: activeCollection(),
+			date
+		})
+	});
+
+	if (!response.ok) {
+		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+		throw new Error(`Backend API error: ${errorData.error || response.statusText}`);
+	}
+	return response.json();
+};
+
+export const fetchAdjacentDailyNotesFromBackend = async (
+	date: string
+): Promise<{ previous: DailyNoteEntry | null; next: DailyNoteEntry | null }> => {
+	const response = await backendFetch(
+		`${BACKEND_API_URL}/markdown/daily/adjacent?date=${encodeURIComponent(date)}&collection=${encodeURIComponent(activeCollection())}`
+	);
+
+	if (!response.ok) {
+		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+		throw new Error(`Backend API error: ${errorData.error || response.statusText}`);
+	}
+	return response.json();
+};
+
+export const fetchTemplatesFromBackend = async (): Promise<NoteTemplate[]> => {
+	const response = await backendFetch(
+		`${BACKEND_API_URL}/markdown/templates?collection=${encodeURIComponent(activeCollection())}`
+	);
+
+	if (!response.ok) {
+		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+		throw new Error(`Backend API error: ${errorData.error || response.statusText}`);
+	}
+	return response.json();
+};
+
+// Create the note at a path from a template; variables are the values of its custom placeholders
+export const createNoteFromTemplateInBackend = async (
+	path: string,
+	template: string,
+	variables: Record<string, string> = {}
+): Promise<{ path: string; template: string; content: string; etag: string }> => {
+	const response = await backendFetch(`${BACKEND_API_URL}/markdown/from-template`, {
+		method: 'POST',
+		headers: {
+			'Content-Type': 'application/json'
+		},
+		body: JSON.stringify({
+			collection: activeCollection(),
+			path,
+			template,
+			variables
 		})
 	});
 
@@ -125,3 +556,225 @@ export const moveNoteInBackend = async (sourcePath: string, targetPath: string)
 	}
 	return response.json();
 };
+
+export const fetchCollectionsFromBackend = async () => {
+	const response = await backendFetch(`${BACKEND_API_URL}/collections`);
+
+	if (!response.ok) {
+		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+		throw new Error(`Backend API error: ${errorData.error || response.statusText}`);
+	}
+	return response.json();
+};
+
+export const createCollectionInBackend = async (name: string) => {
+	const response = await backendFetch(`${BACKEND_API_URL}/collections`, {
+		method: 'POST',
+		headers: {
+			'Content-Type': 'application/json'
+		},
+		body: JSON.stringify({
+			name
+		})
+	});
+
+	if (!response.ok) {
+		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+		throw new Error(`Backend API error: ${errorData.error || response.statusText}`);
+	}
+	return response.json();
+};
+
+export const openCollectionInBackend = async (name: string) => {
+	const response = await backendFetch(
+		`${BACKEND_API_URL}/collections/${encodeURIComponent(name)}/open`,
+		{
+			method: 'POST'
+		}
+	);
+
+	if (!response.ok) {
+		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+		throw new Error(`Backend API error: ${errorData.error || response.statusText}`);
+	}
+	return response.json();
+};
+
+export const deleteCollectionInBackend = async (name: string, deleteFiles = false) => {
+	const response = await backendFetch(
+		`${BACKEND_API_URL}/collections/${encodeURIComponent(name)}?deleteFiles=${deleteFiles}`,
+		{
+			method: 'DELETE'
+		}
+	);
+
+	if (!response.ok) {
+		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+		throw new Error(`Backend API error: ${errorData.error || response.statusText}`);
+	}
+	return response.json();
+};
+
+// Backups of the volume (admins only)
+export const fetchBackupsFromBackend = async () => {
+	const response = await backendFetch(`${BACKEND_API_URL}/backups`);
+
+	if (!response.ok) {
+		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+		throw new Error(`Backend API error: ${errorData.error || response.statusText}`);
+	}
+	return response.json() as Promise<{ schedule: BackupSchedule; backups: BackupEntry[] }>;
+};
+
+export const setBackupScheduleInBackend = async (schedule: {
+	enabled?: boolean;
+	interval?: string;
+}) => {
+	const response = await backendFetch(`${BACKEND_API_URL}/backups/schedule`, {
+		method: 'PUT',
+		headers: {
+			'Content-Type': 'application/json'
+		},
+		body: JSON.stringify(schedule)
+	});
+
+	if (!response.ok) {
+		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+		throw new Error(`Backend API error: ${errorData.error || response.statusText}`);
+	}
+	return response.json() as Promise<BackupSchedule>;
+};
+
+export const createBackupInBackend = async () => {
+	const response = await backendFetch(`${BACKEND_API_URL}/backups`, {
+		method: 'POST'
+	});
+
+	if (!response.ok) {
+		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+		throw new Error(`Backend API error: ${errorData.error || response.statusText}`);
+	}
+	return response.json() as Promise<BackupEntry>;
+};
+
+export const downloadBackupFromBackend = async (id: string) => {
+	const response = await backendFetch(
+		`${BACKEND_API_URL}/backups/${encodeURIComponent(id)}/download`
+	);
+
+	if (!response.ok) {
+		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+		throw new Error(`Backend API error: ${errorData.error || response.statusText}`);
+	}
+	return response.blob();
+};
+
+// Restore a backup into the volume (replacing the notes, after backing them up) or into a
+// new folder of the default collection
+export const restoreBackupInBackend = async (id: string, path?: string) => {
+	const response = await backendFetch(
+		`${BACKEND_API_URL}/backups/${encodeURIComponent(id)}/restore`,
+		{
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/json'
+			},
+			body: JSON.stringify({ path })
+		}
+	);
+
+	if (!response.ok) {
+		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+		throw new Error(`Backend API error: ${errorData.error || response.statusText}`);
+	}
+	return response.json();
+};
+
+// Git storage of the volume (admins only)
+export const fetchGitStatusFromBackend = async () => {
+	const response = await backendFetch(`${BACKEND_API_URL}/git`);
+
+	if (!response.ok) {
+		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+		throw new Error(`Backend API error: ${errorData.error || response.statusText}`);
+	}
+	return response.json() as Promise<GitStatus>;
+};
+
+export const setGitSettingsInBackend = async (settings: {
+	autoSync?: boolean;
+	syncInterval?: string;
+}) => {
+	const response = await backendFetch(`${BACKEND_API_URL}/git/settings`, {
+		method: 'PUT',
+		headers: {
+			'Content-Type': 'application/json'
+		},
+		body: JSON.stringify(settings)
+	});
+
+	if (!response.ok) {
+		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+		throw new Error(`Backend API error: ${errorData.error || response.statusText}`);
+	}
+	return response.json() as Promise<GitStatus>;
+};
+
+// Pull and push now. A merge conflict (409) is not an error: the status reports it
+export const syncGitInBackend = async () => {
+	const response = await backendFetch(`${BACKEND_API_URL}/git/sync`, {
+		method: 'POST'
+	});
+
+	if (!response.ok && response.status !== 409) {
+		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+		throw new Error(`Backend API error: ${errorData.error || response.statusText}`);
+	}
+	return response.json() as Promise<GitStatus>;
+};
+
+// Resolve a merge conflict keeping the local or the remote version of conflicting changes
+export const resolveGitConflictInBackend = async (strategy: 'local' | 'remote') => {
+	const response = await backendFetch(`${BACKEND_API_URL}/git/resolve`, {
+		method: 'POST',
+		headers: {
+			'Content-Type': 'application/json'
+		},
+		body: JSON.stringify({ strategy })
+	});
+
+	if (!response.ok) {
+		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+		throw new Error(`Backend API error: ${errorData.error || response.statusText}`);
+	}
+	return response.json() as Promise<GitStatus>;
+};
+
+export const loginToBackend = async (username: string, password: string) => {
+	const response = await fetch(`${BACKEND_API_URL}/auth/login`, {
+		method: 'POST',
+		headers: {
+			'Content-Type': 'application/json'
+		},
+		body: JSON.stringify({ username, password })
+	});
+
+	if (!response.ok) {
+		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+		throw new Error(`Backend API error: ${errorData.error || response.statusText}`);
+	}
+
+	return response.json() as Promise<{ token: string; expiresAt: string; username: string }>;
+};
+
+export const logoutFromBackend = async () => {
+	const response = await backendFetch(`${BACKEND_API_URL}/auth/logout`, {
+		method: 'POST'
+	});
+
+	if (!response.ok) {
+		const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+		throw new Error(`Backend API error: ${errorData.error || response.statusText}`);
+	}
+	return response.json();
+};
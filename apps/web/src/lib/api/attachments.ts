@@ -0,0 +1,58 @@
+import { activeFile, editor } from '@/store';
+import { get } from 'svelte/store';
+import { fetchAttachmentFromBackend, uploadAttachmentsToBackend } from './api';
+
+// Upload files as attachments of the active note and link them at the given position
+// (default: the cursor). The editor has no image node, so images are linked like any file;
+// the links are relative to the note's folder and open through openAttachmentLink
+export const insertAttachments = async (files: File[], position?: number) => {
+	const path = get(activeFile);
+	if (!path || files.length === 0) return;
+
+	const attachments = await uploadAttachmentsToBackend(path, files);
+	const content = attachments.flatMap((attachment, index) => [
+		...(index > 0 ? [{ type: 'text', text: ' ' }] : []),
+		{
+			type: 'text',
+			text: attachment.name,
+			marks: [{ type: 'link', attrs: { href: attachment.link } }]
+		}
+	]);
+
+	const chain = get(editor).chain().focus();
+	if (position === undefined) {
+		chain.insertContent(content).run();
+	} else {
+		chain.insertContentAt(position, content).run();
+	}
+};
+
+// Open an attachment in a new browser tab
+export const openAttachment = async (path: string) => {
+	const blob = await fetchAttachmentFromBackend(path);
+	const url = URL.createObjectURL(blob);
+	window.open(url, '_blank');
+
+	// Leave the new tab time to load it
+	setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+};
+
+// Open a link of the active note to one of its attachments, relative to the note's folder like
+// the links of insertAttachments. The link can't be followed as it is: it isn't a route of the
+// app, and attachments need the bearer token. Returns false for links to anything else
+export const openAttachmentLink = (href: string) => {
+	const notePath = get(activeFile);
+	// Links with a scheme ("https:", "mailto:"), absolute paths, anchors and notes
+	if (!notePath || /^([a-z][a-z\d+.-]*:|\/|#)/i.test(href) || /\.md([?#]|$)/i.test(href)) {
+		return false;
+	}
+
+	const folder = notePath.slice(0, notePath.lastIndexOf('/') + 1);
+	const base = new URL(`file://${folder.split('/').map(encodeURIComponent).join('/')}`);
+	const path = decodeURIComponent(new URL(href, base).pathname);
+
+	openAttachment(path).catch((error) => {
+		console.error('Error opening attachment:', error);
+	});
+	return true;
+};
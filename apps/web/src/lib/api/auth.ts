@@ -0,0 +1,19 @@
+import { authRequired } from '@/store';
+import { loginToBackend, logoutFromBackend, setAuthToken } from './api';
+
+// Log in and reload, so every view (and the WebSocket connection) starts over authenticated
+export const login = async (username: string, password: string) => {
+	const session = await loginToBackend(username, password);
+	setAuthToken(session.token);
+	authRequired.set(false);
+	window.location.reload();
+};
+
+export const logout = async () => {
+	try {
+		await logoutFromBackend();
+	} finally {
+		setAuthToken(null);
+		window.location.reload();
+	}
+};
@@ -1,11 +1,12 @@
-import { db } from '@/database/client';
-import { collection as collectionTable, entry as entryTable } from '@/database/schema';
 import { activeFile, collection, collectionEntries, noteHistory } from '@/store';
-import type { FileEntry } from '@/types';
-import { buildFileTree, sortFileEntry } from '@/utils';
-import { and, eq } from 'drizzle-orm';
+import type { CollectionParams, FileEntry } from '@/types';
 import { get } from 'svelte/store';
-import { fetchNotesFromBackend } from './api';
+import {
+	createCollectionInBackend,
+	fetchCollectionsFromBackend,
+	fetchNotesFromBackend,
+	openCollectionInBackend
+} from './api';
 
 // Fetch the collection entries
 export const fetchCollectionEntries = async (
@@ -85,38 +86,25 @@ export const loadCollection = async (path?: string | undefined) => {
 	// Return if no path is provided
 	if (!path) return;
 
+	// Register the collection in the backend if it doesn't exist yet
+	const name = path.split('/').pop()!;
+	const collections = await getCollections();
+	if (!collections.some((c) => c.name === name)) {
+		await createCollectionInBackend(name);
+	}
+
+	// Update the last opened date of the collection
+	await openCollectionInBackend(name);
+
 	// Set collection path
 	collection.set(path);
 
 	// Reset all collection states
 	noteHistory.set([]);
 	activeFile.set(null);
-
-	// Add collection to collections data
-	const collectionObj = {
-		path: path,
-		name: path.split('/').pop()!,
-		lastOpened: new Date()
-	};
-
-	// Check if collection already exists
-	const collections = await db.select().from(collectionTable).where(eq(collectionTable.path, path));
-
-	// if (collections && collections.length > 0) {
-	// 	// Update collection
-	// 	await db
-	// 		.update(collectionTable)
-	// 		.set({ lastOpened: new Date() })
-	// 		.where(eq(collectionTable.path, path));
-	// } else {
-	// 	// Insert collection
-	// 	await db.insert(collectionTable).values(collectionObj);
-	// }
 };
 
 // Get all collections
-export const getCollections = async (): Promise<(typeof collectionTable.$inferSelect)[]> => {
-	//const collections = await db.select().from(collectionTable);
-
-	return new Promise((resolve) => resolve([]));
+export const getCollections = async (): Promise<CollectionParams[]> => {
+	return fetchCollectionsFromBackend();
 };
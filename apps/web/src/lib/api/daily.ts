@@ -0,0 +1,21 @@
+import { getLocalTimeZone, today } from '@internationalized/date';
+import { fetchAdjacentDailyNotesFromBackend, getOrCreateDailyNoteInBackend } from './api';
+import { openNote } from './notes';
+
+// Today in the local time zone (YYYY-MM-DD)
+export const todayDate = () => today(getLocalTimeZone()).toString();
+
+// Open the daily note of a date (default: today), creating it if it doesn't exist yet
+export const openDailyNote = async (date = todayDate()) => {
+	const note = await getOrCreateDailyNoteInBackend(date);
+	await openNote(note.path, true);
+	return note;
+};
+
+// Open the daily note before or after a date, if there is one
+export const openAdjacentDailyNote = async (date: string, direction: 'previous' | 'next') => {
+	const adjacent = await fetchAdjacentDailyNotesFromBackend(date);
+	const note = adjacent[direction];
+	if (note) await openNote(note.path, true);
+	return note;
+};
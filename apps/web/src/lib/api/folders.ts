@@ -2,6 +2,8 @@ import { getNextUntitledName } from '@/utils';
 import {
 	createFolderInBackend,
 	deleteItemInBackend,
+	exportFolderFromBackend,
+	importArchiveToBackend,
 	fetchAllItemNames,
 	moveNoteInBackend,
 	renameNoteInBackend
@@ -74,3 +76,40 @@ export const moveFolder = async (source: string, target: string) => {
 		throw error;
 	}
 };
+
+// Download a folder as a ZIP archive, or as a static HTML site ("html")
+export const exportFolder = async (path: string, format: 'zip' | 'html' = 'zip') => {
+	const blob = await exportFolderFromBackend(path, format);
+	const url = URL.createObjectURL(blob);
+	const name = path.split('/').pop();
+
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = `${name}${format === 'html' ? ' (site)' : ''}.zip`;
+	link.click();
+
+	// Leave the browser time to start the download
+	setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+};
+
+// Pick a ZIP archive (e.g. an Obsidian vault or a Notion export) and import it into a folder
+export const importIntoFolder = (path: string, conflict: 'skip' | 'rename' = 'skip') => {
+	const input = document.createElement('input');
+	input.type = 'file';
+	input.accept = '.zip,application/zip';
+
+	input.addEventListener('change', async () => {
+		const file = input.files?.[0];
+		if (!file) return;
+
+		try {
+			const result = await importArchiveToBackend(file, path, conflict);
+			if (result.conflicts.length > 0 || result.skipped.length > 0) {
+				console.warn('Some files were not imported:', result.conflicts, result.skipped);
+			}
+		} catch (error) {
+			console.error('Error importing archive:', error);
+		}
+	});
+	input.click();
+};
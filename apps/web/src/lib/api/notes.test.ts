@@ -0,0 +1,138 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import * as Y from 'yjs';
+import { writable } from 'svelte/store';
+
+const mocks = vi.hoisted(() => ({
+	sent: [] as { type: string; path?: string }[],
+	saved: [] as { path: string; content: string }[],
+	markdown: '',
+	handlers: new Map<string, (data: Record<string, unknown>) => void>(),
+	plugins: new Set<unknown>(),
+	boundFragment: null as Y.XmlFragment | null
+}));
+
+vi.mock('@/store', () => ({
+	activeFile: writable<string | null>(null),
+	connectionState: writable('connected'),
+	editor: writable({
+		isDestroyed: false,
+		storage: { markdown: { getMarkdown: () => mocks.markdown } },
+		registerPlugin: (plugin: { spec: { key?: unknown } }) => mocks.plugins.add(plugin.spec.key),
+		unregisterPlugin: (key: unknown) => mocks.plugins.delete(key)
+	}),
+	noteConflict: writable(null),
+	noteHistory: writable<string[]>([]),
+	notePresenceWarning: writable(null)
+}));
+
+vi.mock('@/services/websocket', () => ({
+	webSocketService: {
+		isConnected: true,
+		send: (message: { type: string; path?: string }) => mocks.sent.push(message),
+		subscribe: (id: string, callback: (data: Record<string, unknown>) => void) =>
+			mocks.handlers.set(id, callback)
+	}
+}));
+
+vi.mock('@/services/presence', () => ({ getNoteEditors: () => [] }));
+
+// Keep track of the fragment the editor is bound to, like the sync plugin does
+vi.mock('y-prosemirror', async (importOriginal) => {
+	const original = await importOriginal<typeof import('y-prosemirror')>();
+	return {
+		...original,
+		ySyncPlugin: (fragment: Y.XmlFragment) => {
+			mocks.boundFragment = fragment;
+			return original.ySyncPlugin(fragment);
+		}
+	};
+});
+
+// While the sync plugin is registered, every change of the editor content is written to the
+// bound document (see y-prosemirror's sync plugin view)
+vi.mock('@/utils', () => ({
+	calculateReadingTime: () => 0,
+	getNextUntitledName: () => 'Untitled.md',
+	setEditorContent: (content: string) => {
+		if (mocks.plugins.has(ySyncPluginKey) && mocks.boundFragment) {
+			mocks.boundFragment.insert(0, [new Y.XmlText(content)]);
+		}
+	}
+}));
+
+vi.mock('./api', () => ({
+	fetchNoteContentFromBackend: async (path: string) => ({ content: `Content of ${path}` }),
+	saveNoteToBackend: async (path: string, content: string) => {
+		mocks.saved.push({ path, content });
+		return {};
+	}
+}));
+
+const { ySyncPluginKey } = await import('y-prosemirror');
+const { connectionState } = await import('@/store');
+const { joinNote } = await import('@/services/collab');
+const { openNote, saveNote } = await import('./notes');
+
+const toBase64 = (bytes: Uint8Array) => btoa(String.fromCharCode(...bytes));
+
+// Join a note and let the backend answer like for a room that exists, which binds the editor
+const collaborateOn = (path: string) => {
+	joinNote(path);
+	const empty = new Y.Doc();
+	mocks.handlers.get('collab')!({
+		type: 'collab_sync',
+		path,
+		update: toBase64(Y.encodeStateAsUpdate(empty)),
+		stateVector: toBase64(Y.encodeStateVector(empty)),
+		seed: false
+	});
+};
+
+describe('openNote', () => {
+	beforeEach(() => {
+		connectionState.set('connected');
+		mocks.sent.length = 0;
+		mocks.saved.length = 0;
+		mocks.markdown = 'Offline edit';
+	});
+
+	it("doesn't change the room of the previous note", async () => {
+		collaborateOn('/Haptic/a.md');
+		expect(mocks.plugins.has(ySyncPluginKey)).toBe(true);
+
+		await openNote('/Haptic/b.md');
+
+		expect(mocks.sent).toContainEqual({ type: 'collab_leave', path: '/Haptic/a.md' });
+		expect(
+			mocks.sent.filter(
+				(message) => message.type === 'collab_update' && message.path === '/Haptic/a.md'
+			)
+		).toEqual([]);
+		expect(mocks.sent.at(-1)).toEqual({ type: 'collab_join', path: '/Haptic/b.md' });
+	});
+
+	it('saves edits made while disconnected before leaving the note', async () => {
+		collaborateOn('/Haptic/c.md');
+		connectionState.set('disconnected');
+		mocks.boundFragment!.insert(0, [new Y.XmlText('Offline edit')]);
+
+		await openNote('/Haptic/d.md');
+
+		expect(mocks.saved).toEqual([{ path: '/Haptic/c.md', content: 'Offline edit' }]);
+	});
+});
+
+describe('saveNote', () => {
+	beforeEach(() => {
+		mocks.saved.length = 0;
+	});
+
+	// Like the backend when it saves a note that is edited collaboratively
+	it('saves the markdown of the editor as it is', async () => {
+		mocks.markdown = '# Plan\n\nNext steps\n';
+
+		await saveNote('/Haptic/e.md');
+
+		expect(mocks.saved).toEqual([{ path: '/Haptic/e.md', content: '# Plan\n\nNext steps\n' }]);
+	});
+});
@@ -1,18 +1,30 @@
-import { activeFile, editor, noteHistory } from '@/store';
+import { activeFile, editor, noteConflict, noteHistory, notePresenceWarning } from '@/store';
+import { isCollaborating, joinNote, leaveNote } from '@/services/collab';
+import { getNoteEditors } from '@/services/presence';
 import type { NoteMetadataParams } from '@/types';
 import { calculateReadingTime, getNextUntitledName, setEditorContent } from '@/utils';
 import { get } from 'svelte/store';
 import {
+	createNoteFromTemplateInBackend,
 	deleteItemInBackend,
 	fetchAllItemNames,
 	fetchNoteContentFromBackend,
 	moveNoteInBackend,
+	NoteConflictError,
 	renameNoteInBackend,
 	saveNoteToBackend
 } from './api';
 
-// Create a new note
-export const createNote = async (dirPath: string, name?: string) => {
+// ETag of the version each note was last read or written as, sent along with saves so the
+// backend can reject them if the note was changed elsewhere in the meantime
+const noteEtags = new Map<string, string>();
+
+// Create a new note, empty or from a template with the values of its custom variables
+export const createNote = async (
+	dirPath: string,
+	name?: string,
+	template?: { name: string; variables?: Record<string, string> }
+) => {
 	// Read the directory
 	//const dirEntry = await db.select().from(entryTable).where(eq(entryTable.path, dirPath));
 
@@ -47,7 +59,15 @@ export const createNote = async (dirPath: string, name?: string) => {
 	// 	collectionPath: get(collection)
 	// });
 
-	await saveNoteToBackend(`${dirPath}/${name}`.replace('//', '/'), '');
+	if (template) {
+		await createNoteFromTemplateInBackend(
+			`${dirPath}/${name}`.replace('//', '/'),
+			template.name,
+			template.variables
+		);
+	} else {
+		await saveNoteToBackend(`${dirPath}/${name}`.replace('//', '/'), '');
+	}
 
 	// Open the note
 	openNote(`${dirPath}/${name}`.replace('//', '/'));
@@ -56,8 +76,15 @@ export const createNote = async (dirPath: string, name?: string) => {
 // Open a note
 export async function openNote(path: string, skipHistory = false) {
 	const file = await fetchNoteContentFromBackend(path);
+	if (file.etag) {
+		noteEtags.set(path, file.etag);
+	}
+	// Unbind the editor from the previous note first: while bound, replacing the content
+	// would be sent to its room as an edit of that note
+	leaveNote();
 	setEditorContent(file.content ?? '');
 	activeFile.set(path);
+	joinNote(path);
 	if (!skipHistory) {
 		noteHistory.update((history) => {
 			if (history[history.length - 1] !== path) {
@@ -68,8 +95,21 @@ export async function openNote(path: string, skipHistory = false) {
 	}
 }
 
+// Open a note, but ask first if someone else is editing it right now (see
+// presence-warning-dialog.svelte)
+export async function openNoteOrWarn(path: string) {
+	const usernames = getNoteEditors(path);
+	if (usernames.length > 0 && get(activeFile) !== path) {
+		notePresenceWarning.set({ path, usernames });
+		return;
+	}
+
+	await openNote(path);
+}
+
 // Delete a note
 export const deleteNote = async (path: string) => {
+	leaveNote();
 	await deleteItemInBackend(path);
 	activeFile.set(null);
 };
@@ -85,6 +125,14 @@ export const renameNote = async (path: string, name: string) => {
 	name = name.replace(/[/\\?%*:|"<>]/g, '');
 
 	await renameNoteInBackend(path, name);
+	const newPath = `${path.split('/').slice(0, -1).join('/')}/${name}`;
+
+	// Renaming doesn't change the content, so the note keeps its version
+	const etag = noteEtags.get(path);
+	noteEtags.delete(path);
+	if (etag) {
+		noteEtags.set(newPath, etag);
+	}
 
 	// // Get the note
 	// const entry = await db.select().from(entryTable).where(eq(entryTable.path, path));
@@ -105,16 +153,18 @@ export const renameNote = async (path: string, name: string) => {
 	// 	.update(entryTable)
 	// 	.set({ name, path: `${path.split('/').slice(0, -1).join('/')}/${name}` })
 	// 	.where(eq(entryTable.path, path));
-	activeFile.set(`${path.split('/').slice(0, -1).join('/')}/${name}`);
+	activeFile.set(newPath);
+	// The backend closes the collaboration on the old path
+	joinNote(newPath);
 };
 
 // Save active note
 export const saveNote = async (path: string) => {
-	// Get note content
-	let content = get(editor).storage.markdown.getMarkdown();
+	// The backend saves notes that are edited collaboratively
+	if (isCollaborating(path)) return;
 
-	// Remove the first heading title
-	content = content.replace(/^# .*\n/, '');
+	// Get note content, the same markdown the backend writes for collaborative edits
+	const content = get(editor).storage.markdown.getMarkdown();
 
 	// Update the database
 	// await db
@@ -124,13 +174,85 @@ export const saveNote = async (path: string) => {
 
 	// Also save to backend API
 	try {
-		await saveNoteToBackend(path, content);
+		await writeNote(path, content, noteEtags.get(path));
 	} catch (error) {
+		if (error instanceof NoteConflictError) {
+			// Let the user decide how to resolve the conflict (see conflict-dialog.svelte)
+			noteConflict.set({
+				path,
+				localContent: content,
+				serverContent: error.serverContent,
+				serverEtag: error.serverEtag
+			});
+			return;
+		}
 		console.error('Failed to save note to backend:', error);
 		// Don't throw error to prevent disrupting the main save functionality
 	}
 };
 
+// Write a note and remember the ETag of the written version
+const writeNote = async (path: string, content: string, etag?: string) => {
+	const result = await saveNoteToBackend(path, content, etag);
+	if (result.etag) {
+		noteEtags.set(path, result.etag);
+	}
+};
+
+// Resolve a save conflict by writing the local content over the server version
+export const overwriteConflictingNote = async () => {
+	const conflict = get(noteConflict);
+	if (!conflict) return;
+
+	noteConflict.set(null);
+	// A note deleted on the server is simply recreated
+	await writeNote(conflict.path, conflict.localContent, conflict.serverEtag ?? undefined);
+};
+
+// Resolve a save conflict by discarding the local changes
+export const discardConflictingChanges = async () => {
+	const conflict = get(noteConflict);
+	if (!conflict) return;
+
+	noteConflict.set(null);
+	if (conflict.serverContent === null) {
+		noteEtags.delete(conflict.path);
+		activeFile.set(null);
+		return;
+	}
+	if (conflict.serverEtag) {
+		noteEtags.set(conflict.path, conflict.serverEtag);
+	}
+	if (get(activeFile) === conflict.path) {
+		setEditorContent(conflict.serverContent);
+	}
+};
+
+// Resolve a save conflict by keeping both versions in the editor, separated by conflict
+// markers, so the user can merge them by hand before the next save
+export const mergeConflictingNote = () => {
+	const conflict = get(noteConflict);
+	if (!conflict) return;
+
+	noteConflict.set(null);
+	if (conflict.serverEtag) {
+		noteEtags.set(conflict.path, conflict.serverEtag);
+	} else {
+		noteEtags.delete(conflict.path);
+	}
+	if (get(activeFile) === conflict.path) {
+		setEditorContent(
+			[
+				'<<<<<<< Local changes',
+				conflict.localContent,
+				'=======',
+				conflict.serverContent ?? '',
+				'>>>>>>> Server version'
+			].join('\n\n')
+		);
+	}
+};
+
 export const moveNote = async (source: string, target: string) => {
 	// Use backend API to move the note (handles conflict checking and file operations)
 	try {
@@ -1,5 +1,5 @@
 import type { IconKey } from '$lib/components/shared/icon.svelte';
-import { createFolder } from '@/api/folders';
+import { createFolder, exportFolder, importIntoFolder } from '@/api/folders';
 import { createNote, deleteNote, duplicateNote, saveNote } from '@/api/notes';
 import { SHORTCUTS } from '@/constants';
 import {
@@ -39,6 +39,13 @@ export const mainCommands: CommandGroup[] = [
 					createNote(get(collection));
 				}
 			},
+			{
+				title: 'New note from template',
+				icon: 'layer',
+				onSelect: () => {
+					return 'new_note_from_template';
+				}
+			},
 			{
 				title: 'New folder',
 				icon: 'folderPlus',
@@ -63,6 +70,27 @@ export const mainCommands: CommandGroup[] = [
 					collectionSearchActive.set(true);
 				}
 			},
+			{
+				title: 'Import notes from ZIP archive',
+				icon: 'inboxFull',
+				onSelect: () => {
+					importIntoFolder(get(collection));
+				}
+			},
+			{
+				title: 'Export collection as ZIP archive',
+				icon: 'share',
+				onSelect: () => {
+					exportFolder(get(collection), 'zip');
+				}
+			},
+			{
+				title: 'Export collection as HTML site',
+				icon: 'share',
+				onSelect: () => {
+					exportFolder(get(collection), 'html');
+				}
+			},
 			{
 				title: 'Toggle editor mode',
 				icon: 'cursorI',
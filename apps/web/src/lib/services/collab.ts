@@ -0,0 +1,170 @@
+import * as Y from 'yjs';
+import { prosemirrorToYXmlFragment, ySyncPlugin, ySyncPluginKey } from 'y-prosemirror';
+import { Plugin, PluginKey, type Transaction } from '@tiptap/pm/state';
+import { get } from 'svelte/store';
+import { activeFile, connectionState, editor } from '@/store';
+import { openNote, saveNote } from '@/api/notes';
+import { webSocketService, type WebSocketMessage } from './websocket';
+
+// Name of the Y.XmlFragment holding the editor document, shared with the backend
+const FRAGMENT_NAME = 'prosemirror';
+const SUBSCRIPTION_ID = 'collab';
+const historyFilterKey = new PluginKey('collabHistoryFilter');
+
+// Origins of local document changes that must not be sent back to the backend, or that
+// are the seed of a new room
+const REMOTE_ORIGIN = Symbol('remote');
+const SEED_ORIGIN = Symbol('seed');
+
+interface CollabSession {
+	path: string;
+	doc: Y.Doc;
+	bound: boolean;
+	// Edits were made since the connection was lost, which the backend doesn't have yet
+	offlineEdits: boolean;
+}
+
+let session: CollabSession | null = null;
+
+const toBase64 = (bytes: Uint8Array) => {
+	let binary = '';
+	for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+	return btoa(binary);
+};
+
+const fromBase64 = (value: string) => Uint8Array.from(atob(value), (char) => char.charCodeAt(0));
+
+// Whether an editor transaction applies edits of other users
+export const isRemoteTransaction = (transaction: Transaction) =>
+	Boolean(transaction.getMeta(ySyncPluginKey)?.isChangeOrigin);
+
+// Edits of other users arrive as editor transactions as well; keep them out of the undo
+// history, so undo only reverts the user's own changes
+const historyFilterPlugin = () =>
+	new Plugin({
+		key: historyFilterKey,
+		filterTransaction: (transaction) => {
+			if (isRemoteTransaction(transaction)) {
+				transaction.setMeta('addToHistory', false);
+			}
+			return true;
+		}
+	});
+
+const bindEditor = (fragment: Y.XmlFragment) => {
+	const $editor = get(editor);
+	$editor.registerPlugin(historyFilterPlugin());
+	$editor.registerPlugin(ySyncPlugin(fragment));
+};
+
+const unbindEditor = () => {
+	const $editor = get(editor);
+	if (!$editor || $editor.isDestroyed) return;
+	$editor.unregisterPlugin(ySyncPluginKey);
+	$editor.unregisterPlugin(historyFilterKey);
+};
+
+const handleMessage = (data: WebSocketMessage) => {
+	if (!session || !data.type.startsWith('collab_') || data.path !== session.path) return;
+
+	const { doc, path } = session;
+	switch (data.type) {
+		case 'collab_sync': {
+			Y.applyUpdate(doc, fromBase64(data.update!), REMOTE_ORIGIN);
+			const fragment = doc.getXmlFragment(FRAGMENT_NAME);
+
+			if (data.seed && session.bound) {
+				// Rejoined a room that was closed in the meantime: start it from our document,
+				// which holds the note and the edits made while disconnected
+				sendUpdate(path, Y.encodeStateAsUpdate(doc), true);
+			} else if (data.seed) {
+				// First one to open the note: start the shared document from the editor content
+				doc.transact(() => prosemirrorToYXmlFragment(get(editor).state.doc, fragment), SEED_ORIGIN);
+			} else {
+				// Send what the backend is missing, e.g. edits made while disconnected
+				const missing = Y.encodeStateAsUpdate(doc, fromBase64(data.stateVector!));
+				sendUpdate(path, missing);
+			}
+			session.offlineEdits = false;
+
+			if (!session.bound) {
+				bindEditor(fragment);
+				session.bound = true;
+			}
+			break;
+		}
+		case 'collab_update':
+			Y.applyUpdate(doc, fromBase64(data.update!), REMOTE_ORIGIN);
+			break;
+		case 'collab_closed':
+			endSession(false);
+			// The note was changed by other means: reload it, which joins again
+			if (data.reason === 'changed' && get(activeFile) === path) {
+				openNote(path, true).catch(console.error);
+			}
+			break;
+		case 'collab_error':
+			// Without collaboration the note is saved as usual
+			console.error(`Collaborative editing of ${path} failed:`, data.details);
+			leaveNote();
+			break;
+	}
+};
+
+const sendUpdate = (path: string, update: Uint8Array, seed = false) => {
+	// An empty update consists of two zero bytes
+	if (update.length <= 2 && !seed) return;
+	webSocketService.send({ type: 'collab_update', path, update: toBase64(update), seed });
+};
+
+const endSession = (notify: boolean) => {
+	if (!session) return;
+
+	const { path, bound, offlineEdits } = session;
+	if (bound) unbindEditor();
+	if (notify) webSocketService.send({ type: 'collab_leave', path });
+	session.doc.destroy();
+	session = null;
+
+	// The edits made while disconnected would be lost with the document: save them as usual,
+	// while the editor still shows the note
+	if (bound && offlineEdits) saveNote(path).catch(console.error);
+};
+
+// Edit a note together with everyone else who has it open. The editor must show the note
+// as it was read from the backend; the backend saves the merged edits from then on
+export const joinNote = (path: string) => {
+	leaveNote();
+	if (!webSocketService.isConnected) return;
+
+	const doc = new Y.Doc();
+	const current: CollabSession = { path, doc, bound: false, offlineEdits: false };
+	doc.on('update', (update: Uint8Array, origin: unknown) => {
+		if (origin === REMOTE_ORIGIN) return;
+		if (get(connectionState) !== 'connected') current.offlineEdits = true;
+		sendUpdate(path, update, origin === SEED_ORIGIN);
+	});
+	session = current;
+
+	webSocketService.subscribe(SUBSCRIPTION_ID, handleMessage);
+	webSocketService.send({ type: 'collab_join', path });
+};
+
+export const leaveNote = () => endSession(true);
+
+// The backend drops clients from their rooms when the connection is lost: join again once it
+// is back, with the state we have, so both sides exchange what the other one is missing
+connectionState.subscribe((state) => {
+	if (state !== 'connected' || !session) return;
+
+	webSocketService.send({
+		type: 'collab_join',
+		path: session.path,
+		stateVector: toBase64(Y.encodeStateVector(session.doc))
+	});
+});
+
+// Whether the backend saves the note, so the editor must not. While the connection is lost,
+// the editor saves the note as usual
+export const isCollaborating = (path: string | null) =>
+	session?.bound === true && session.path === path && get(connectionState) === 'connected';
@@ -0,0 +1,92 @@
+import { get } from 'svelte/store';
+import { activeFile, notePresence } from '@/store';
+import type { PresenceEntry } from '@/types';
+import { webSocketService, type WebSocketMessage } from './websocket';
+
+const SUBSCRIPTION_ID = 'presence';
+// The user counts as editing a note for this long after their last change
+const EDITING_TIMEOUT_MS = 30 * 1000;
+const CURSOR_THROTTLE_MS = 250;
+
+let cursor: PresenceEntry['cursor'] = null;
+let editing = false;
+let editingTimeout: ReturnType<typeof setTimeout> | null = null;
+let cursorTimeout: ReturnType<typeof setTimeout> | null = null;
+let stopWatchingActiveFile: (() => void) | null = null;
+
+const toEntry = (data: WebSocketMessage): PresenceEntry => ({
+	clientId: data.clientId!,
+	username: data.username ?? null,
+	path: data.path!,
+	cursor: data.cursor ?? null,
+	editing: data.editing ?? false
+});
+
+// Tell the backend which note is open (none if there is no active file)
+const announce = () => {
+	webSocketService.send({
+		type: 'presence_update',
+		path: get(activeFile) ?? undefined,
+		cursor,
+		editing
+	});
+};
+
+const handleMessage = (data: WebSocketMessage) => {
+	if (data.type === 'presence_state') {
+		// Sent after subscribing to a collection, which also resets our own presence
+		notePresence.set((data.entries ?? []).map(toEntry));
+		announce();
+	} else if (data.type === 'presence') {
+		notePresence.update((entries) => {
+			const others = entries.filter((entry) => entry.clientId !== data.clientId);
+			return data.event === 'leave' ? others : [...others, toEntry(data)];
+		});
+	}
+};
+
+// Start sharing presence; call before subscribing to a collection
+export const startPresence = () => {
+	webSocketService.subscribe(SUBSCRIPTION_ID, handleMessage);
+
+	stopWatchingActiveFile?.();
+	stopWatchingActiveFile = activeFile.subscribe(() => {
+		cursor = null;
+		editing = false;
+		if (editingTimeout) clearTimeout(editingTimeout);
+		announce();
+	});
+};
+
+export const updatePresenceCursor = (anchor: number, head: number) => {
+	cursor = { anchor, head };
+	if (cursorTimeout) return;
+
+	cursorTimeout = setTimeout(() => {
+		cursorTimeout = null;
+		announce();
+	}, CURSOR_THROTTLE_MS);
+};
+
+// Call on every change the user makes to the active note
+export const updatePresenceEditing = () => {
+	if (editingTimeout) clearTimeout(editingTimeout);
+	editingTimeout = setTimeout(() => {
+		editing = false;
+		announce();
+	}, EDITING_TIMEOUT_MS);
+
+	if (!editing) {
+		editing = true;
+		announce();
+	}
+};
+
+// Names of the other users editing a note right now
+export const getNoteEditors = (path: string) => [
+	...new Set(
+		get(notePresence)
+			.filter((entry) => entry.path === path && entry.editing)
+			.map((entry) => entry.username ?? 'Someone')
+	)
+];
@@ -1,37 +1,90 @@
-interface WebSocketMessage {
+import { BACKEND_API_URL, getAuthToken } from '@/api/api';
+import { connectionState } from '@/store';
+
+export interface WebSocketMessage {
 	type: string;
 	collection?: string;
-	changeType?: 'created' | 'updated' | 'deleted';
+	changeType?: 'created' | 'updated' | 'deleted' | 'renamed';
 	path?: string;
+	oldPath?: string;
 	timestamp?: string;
+	// Change feed: position of a file_change in the backend's change log, also sent with
+	// `subscribed` and `resync_required`; `replayed` changes were missed while disconnected
+	changeCursor?: number;
+	replayed?: boolean;
+	// Collaborative editing (see collab.ts)
+	update?: string;
+	stateVector?: string;
+	seed?: boolean;
+	reason?: string;
+	details?: string;
+	// Presence (see presence.ts)
+	event?: 'join' | 'update' | 'leave';
+	clientId?: string;
+	username?: string | null;
+	cursor?: { anchor: number; head: number } | null;
+	editing?: boolean;
+	entries?: WebSocketMessage[];
 }
 
 interface SubscriptionMessage {
 	type: 'subscribe';
 	collection: string;
+	/** Cursor of the last change seen, to be sent the changes missed since */
+	since?: number;
 }
 
 export class WebSocketService {
 	private ws: WebSocket | null = null;
 	private reconnectAttempts = 0;
-	private maxReconnectAttempts = 5;
-	private reconnectDelay = 1000;
+	private reconnectTimeout: ReturnType<typeof setTimeout> | null = null;
+	// Reconnecting stops only when the connection is closed through disconnect()
+	private shouldReconnect = false;
 	private subscribers: Map<string, (data: WebSocketMessage) => void> = new Map();
+	// The subscribed collection and the cursor of the last change seen of it
+	private collection: string | null = null;
+	private cursor: number | null = null;
 
-	constructor(private url: string) {}
+	constructor(
+		private url: string,
+		private reconnectDelay = 1000,
+		private maxReconnectDelay = 30 * 1000
+	) {}
 
 	connect(): Promise<void> {
+		this.shouldReconnect = true;
+		if (this.ws?.readyState === WebSocket.OPEN) return Promise.resolve();
+
 		return new Promise((resolve, reject) => {
 			try {
-				this.ws = new WebSocket(this.url);
-
-				this.ws.onopen = () => {
+				if (this.ws?.readyState === WebSocket.CONNECTING) {
+					// Settle with the connection attempt that is underway
+					this.ws.addEventListener('open', () => resolve(), { once: true });
+					this.ws.addEventListener('error', (error) => reject(error), { once: true });
+					return;
+				}
+
+				if (this.reconnectAttempts === 0) connectionState.set('connecting');
+
+				// Browsers can't set headers on WebSocket requests, so the token goes in the URL
+				const token = getAuthToken();
+				const ws = new WebSocket(
+					token ? `${this.url}?token=${encodeURIComponent(token)}` : this.url
+				);
+				this.ws = ws;
+
+				ws.onopen = () => {
 					console.log('WebSocket connected');
+					const reconnected = this.reconnectAttempts > 0;
 					this.reconnectAttempts = 0;
+
+					// Catch up with the changes missed while disconnected before anything else
+					if (reconnected && this.collection) this.subscribeToCollection(this.collection);
+					connectionState.set('connected');
 					resolve();
 				};
 
-				this.ws.onmessage = (event) => {
+				ws.onmessage = (event) => {
 					try {
 						const data = JSON.parse(event.data) as WebSocketMessage;
 						this.handleMessage(data);
@@ -40,12 +93,16 @@ export class WebSocketService {
 					}
 				};
 
-				this.ws.onclose = () => {
+				ws.onclose = () => {
+					// A replaced connection
+					if (this.ws !== ws) return;
+
 					console.log('WebSocket disconnected');
+					this.ws = null;
 					this.handleReconnect();
 				};
 
-				this.ws.onerror = (error) => {
+				ws.onerror = (error) => {
 					console.error('WebSocket error:', error);
 					reject(error);
 				};
@@ -56,19 +113,39 @@ export class WebSocketService {
 	}
 
 	private handleMessage(data: WebSocketMessage) {
+		if (data.changeCursor !== undefined && data.collection === this.collection) {
+			this.cursor = data.changeCursor;
+		}
+
 		this.subscribers.forEach((callback) => {
 			callback(data);
 		});
 	}
 
+	// Try again until the connection is back, waiting exponentially longer (up to
+	// maxReconnectDelay) with random jitter, so clients don't all reconnect at once after an
+	// outage of the backend
 	private handleReconnect() {
-		if (this.reconnectAttempts < this.maxReconnectAttempts) {
-			this.reconnectAttempts++;
-
-			setTimeout(() => {
-				this.connect().catch(console.error);
-			}, this.reconnectDelay * this.reconnectAttempts);
+		if (!this.shouldReconnect || this.reconnectTimeout) {
+			if (!this.shouldReconnect) connectionState.set('disconnected');
+			return;
 		}
+
+		connectionState.set('reconnecting');
+		const delay = Math.min(
+			this.maxReconnectDelay,
+			this.reconnectDelay * 2 ** this.reconnectAttempts
+		);
+		this.reconnectAttempts++;
+
+		this.reconnectTimeout = setTimeout(
+			() => {
+				this.reconnectTimeout = null;
+				// A failed attempt closes the socket, which schedules the next one
+				this.connect().catch(() => {});
+			},
+			delay / 2 + Math.random() * (delay / 2)
+		);
 	}
 
 	subscribe(id: string, callback: (data: WebSocketMessage) => void) {
@@ -85,19 +162,36 @@ export class WebSocketService {
 		}
 	}
 
+	// Subscribe to the changes of a collection. Subscribing to the same collection again (e.g.
+	// after reconnecting) resumes from the last change seen: missed changes are replayed, or
+	// `resync_required` tells subscribers to reload everything
 	subscribeToCollection(collection: string) {
+		if (collection !== this.collection) {
+			this.collection = collection;
+			this.cursor = null;
+		}
+
 		this.send({
 			type: 'subscribe',
-			collection
+			collection,
+			since: this.cursor ?? undefined
 		});
 	}
 
 	disconnect() {
+		this.shouldReconnect = false;
+		if (this.reconnectTimeout) clearTimeout(this.reconnectTimeout);
+		this.reconnectTimeout = null;
+		this.reconnectAttempts = 0;
+
 		if (this.ws) {
 			this.ws.close();
 			this.ws = null;
 		}
 		this.subscribers.clear();
+		this.collection = null;
+		this.cursor = null;
+		connectionState.set('disconnected');
 	}
 
 	get isConnected(): boolean {
@@ -105,5 +199,8 @@ export class WebSocketService {
 	}
 }
 
+// The WebSocket server runs on the backend's HTTP server: same host, ws(s) instead of http(s)
+const toWebSocketUrl = (backendUrl: string) => backendUrl.replace(/^http/, 'ws');
+
 // Singleton instance
-export const webSocketService = new WebSocketService('ws://localhost:3000');
+export const webSocketService = new WebSocketService(toWebSocketUrl(BACKEND_API_URL));
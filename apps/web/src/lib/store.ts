@@ -5,6 +5,8 @@ import type {
 	AppSettingsParams,
 	CollectionSettingsParams,
 	FileEntry,
+	NoteConflictParams,
+	PresenceEntry,
 	SettingsStateParams
 } from './types';
 
@@ -15,12 +17,24 @@ const noteHistory = writable<string[]>([]);
 const editorMode = writable<'edit' | 'view'>('edit');
 const editorSearchValue = writable<string>('');
 const editorSearchActive = writable<boolean>(false);
+const noteConflict = writable<NoteConflictParams | null>(null);
+// Other clients with a note of the collection open
+const notePresence = writable<PresenceEntry[]>([]);
+// Set to ask before opening a note that someone else is editing
+const notePresenceWarning = writable<{ path: string; usernames: string[] } | null>(null);
 
 const collection = writable<string>();
 const collectionEntries = writable<FileEntry[]>([]);
 
 const tooltipsOpen = writable<number>(0);
 
+// Set when the backend rejects a request as unauthenticated
+const authRequired = writable<boolean>(false);
+// State of the WebSocket connection to the backend; 'reconnecting' while it is lost
+const connectionState = writable<'disconnected' | 'connecting' | 'connected' | 'reconnecting'>(
+	'disconnected'
+);
+
 const collectionSearchActive = writable<boolean>(false);
 const isPageSidebarOpen = writable<boolean>(true);
 const pageSidebarWidth = writable<number>(210);
@@ -38,11 +52,13 @@ const collectionSettings = writable<CollectionSettingsParams>(BASE_COLLECTION_SE
 
 export {
 	activeFile,
+	authRequired,
 	appSettings,
 	collection,
 	collectionEntries,
 	collectionSearchActive,
 	collectionSettings,
+	connectionState,
 	editor,
 	editorMode,
 	editorSearchActive,
@@ -50,7 +66,10 @@ export {
 	isNoteDetailSidebarOpen,
 	isPageSidebarOpen,
 	noteDetailSidebarWidth,
+	noteConflict,
 	noteHistory,
+	notePresence,
+	notePresenceWarning,
 	pageSidebarWidth,
 	resizingNoteDetailSidebar,
 	resizingPageSidebar,
@@ -64,9 +64,159 @@ export interface FileEntry {
 	name?: string;
 	/** Children of this entry if it's a directory; null otherwise */
 	children?: FileEntry[];
+	/** Set for files that aren't notes (images, PDFs, ...) */
+	attachment?: boolean;
+	contentType?: string;
+	/** Frontmatter properties of notes that have any */
+	properties?: NoteProperties;
+}
+
+/** Properties from the YAML frontmatter of a note */
+export type NoteProperties = Record<string, unknown>;
+
+export interface NotePropertiesEntry {
+	path: string;
+	name: string;
+	properties: NoteProperties;
 }
 
 export interface SearchResultParams {
 	path: string;
 	context_preview: string;
 }
+
+export interface NoteLink {
+	type: 'wiki' | 'markdown';
+	/** Note name or path as written in the note */
+	target: string;
+	anchor: string | null;
+	text: string | null;
+	embed: boolean;
+	/** 1-based line of the link and the line itself */
+	line: number;
+	context: string;
+}
+
+export interface BacklinkParams {
+	/** Note containing the links */
+	path: string;
+	name: string;
+	links: NoteLink[];
+}
+
+export interface TaskEntry {
+	/** Note containing the task */
+	path: string;
+	/** 1-based line of the task in the note */
+	line: number;
+	text: string;
+	done: boolean;
+	/** YYYY-MM-DD */
+	due: string | null;
+	priority: 'high' | 'medium' | 'low' | null;
+	tags: string[];
+}
+
+export interface TaskFilterParams {
+	status?: 'open' | 'done' | 'all';
+	path?: string;
+	tag?: string;
+	dueFrom?: string;
+	dueTo?: string;
+}
+
+export interface TagEntry {
+	/** Lowercase, without "#"; nested tags are separated by "/" */
+	tag: string;
+	/** Notes with the tag or a tag nested below it */
+	count: number;
+}
+
+export interface TaggedNoteEntry {
+	path: string;
+	name: string;
+	tags: string[];
+}
+
+export interface DailyNoteEntry {
+	path: string;
+	name: string;
+	/** YYYY-MM-DD */
+	date: string;
+	words?: number;
+	modifiedAt?: string;
+}
+
+export interface NoteTemplate {
+	/** Path in the templates folder without the extension, e.g. "Work/Weekly review" */
+	name: string;
+	path: string;
+	/** Custom placeholders to ask for when creating a note from the template */
+	variables: string[];
+}
+
+export interface ImportResult {
+	/** Folder the archive was imported into */
+	path: string;
+	source: 'obsidian' | 'notion' | 'zip';
+	/** `from` is the path in the archive */
+	imported: { from: string; path: string }[];
+	/** Files that already existed; `renamed` is where they were imported to instead, if at all */
+	conflicts: { from: string; path: string; renamed: string | null }[];
+	skipped: { path: string; reason: string }[];
+}
+
+export interface BackupEntry {
+	id: string;
+	fileName: string;
+	/** 'restore' backups are made before a restore replaced the notes */
+	reason: 'manual' | 'scheduled' | 'restore';
+	createdAt: string;
+	size: number;
+	files: number;
+}
+
+export interface BackupSchedule {
+	enabled: boolean;
+	/** "1w", "2w", "1m", ... */
+	interval: string;
+	/** null if scheduled backups are disabled */
+	nextBackupAt: string | null;
+	keepCount: number;
+	maxAgeDays: number;
+}
+
+export interface GitStatus {
+	/** false if the backend doesn't manage the notes as a git repository */
+	enabled: boolean;
+	remote?: string | null;
+	branch?: string;
+	autoSync?: boolean;
+	/** "5m", "1h", ... */
+	syncInterval?: string;
+	/** 'conflict' until a merge conflict is resolved with the local or the remote version */
+	status?: 'idle' | 'conflict' | 'error';
+	conflict?: { files: string[]; detectedAt: string } | null;
+	error?: string | null;
+	lastCommitAt?: string | null;
+	lastSyncAt?: string | null;
+}
+
+export interface PresenceEntry {
+	clientId: string;
+	/** null if the backend doesn't require authentication */
+	username: string | null;
+	path: string;
+	cursor: { anchor: number; head: number } | null;
+	/** Whether the client changed the note recently */
+	editing: boolean;
+}
+
+export interface NoteConflictParams {
+	path: string;
+	/** Content of the editor that failed to save */
+	localContent: string;
+	/** Current content on the server; null if the note was deleted */
+	serverContent: string | null;
+	serverEtag: string | null;
+}